@@ -20,7 +20,7 @@
 /**
  * @typedef {Object} GenerationInput
  * @property {string} prompt - The prompt for generating questions
- * @property {string} questionType - Type of questions to generate (OX, SHORT, KEYWORD)
+ * @property {string} questionType - Type of questions to generate (OX, SHORT, KEYWORD, MCQ)
  * @property {number} count - Number of questions to generate
  */
 
@@ -514,6 +514,11 @@ Output format (MUST):
           normalized.keywords = q.keywords;
         }
         
+        // Include wrong options if present (for MCQ type questions)
+        if (Array.isArray(q.distractors)) {
+          normalized.distractors = q.distractors;
+        }
+        
         return normalized;
       });
       
@@ -13,12 +13,7 @@ export async function decideGrade(input) {
   recordMetrics({ used: localResult.used, score: localResult.score });
   
   // Check if we should escalate to cloud (borderline logic)
-  const isKeyword = Array.isArray(input?.reference?.keywords) && input.reference.keywords.length > 0;
-  const isShort = !isKeyword; // OX is typically not routed here
-  const s = Number(localResult.score) || 0;
-  const borderline = (isShort && (s === 0 || (s >= 0.5 && s < 0.9))) ||
-                     (isKeyword && s > 0 && s < 0.9);
-  const shouldUseCloud = borderline && window.__AI_CONF?.enableCloud === true;
+  const shouldUseCloud = isBorderline(input, localResult) && window.__AI_CONF?.enableCloud === true;
   
   if (shouldUseCloud) {
     try {
@@ -38,6 +33,26 @@ export async function decideGrade(input) {
   return localResult;
 }
 
+/**
+ * Free-text question types whose local grade may be escalated; the others are graded exactly
+ */
+export const ESCALATION_TYPES = ['SHORT', 'CLOZE', 'KEYWORD', 'ESSAY'];
+
+/**
+ * Whether a local result is uncertain enough to ask a provider. Shared with the API server's
+ * POST /api/grade, so both sides escalate the same answers.
+ * @param {import('./adapter.js').GradingInput} input
+ * @param {{score: number}} localResult
+ * @returns {boolean}
+ */
+export function isBorderline(input, localResult) {
+  const isKeyword = Array.isArray(input?.reference?.keywords) && input.reference.keywords.length > 0;
+  const isShort = !isKeyword; // OX is typically not routed here
+  const s = Number(localResult?.score) || 0;
+  return (isShort && (s === 0 || (s >= 0.5 && s < 0.9))) ||
+         (isKeyword && s > 0 && s < 0.9);
+}
+
 /**
  * Records grading metrics to localStorage ring buffer
  * @param {{used: string, score: number}} metric
@@ -1,14 +1,30 @@
 import { getAdapter } from './ai/index.js';
+import { ESCALATION_TYPES } from './ai/router.js';
 import { openEditQuestion as uiOpenEditQuestion, closeEditModal as uiCloseEditModal, saveEditQuestion as uiSaveEditQuestion, showTab as uiShowTab, bindEvents, getCurrentNoteId, setCurrentNoteId } from './src/modules/ui-handlers.js';
-import { gradeQuestionAsync } from './src/modules/scoring.js';
-import { updateStats, updateDailyStreak, generateAchievements, openLearningCalendar, closeLearningCalendar } from './src/modules/statistics.js';
+import { gradeQuestionAsync, runMatcherPipelineTests, runGradeSuggestionTests, suggestGrade, calibratePassThresholds, getPassThresholds, setPassThresholds, CALIBRATION_MIN_SAMPLES, STRICTNESS_LEVELS, STRICTNESS_TYPES } from './src/modules/scoring.js';
+import { runKoreanTextTests } from './src/modules/korean-text.js';
+import { parseNumericAnswer, parseTolerance, runNumericAnswerTests } from './src/modules/numeric-answer.js';
+import { hasCloze, clozeBlanks, clozeIndexes, renderClozeText, buildClozeCards, runClozeTests } from './src/modules/cloze.js';
+import { parseOrderItems, validateOrderItems, describeOrder, shuffleOrder, runOrderingTests } from './src/modules/ordering.js';
+import { parsePairs, validatePairs, describePairs, shuffleDefinitions, runMatchingTests } from './src/modules/matching.js';
+import { renderAttachmentRefs, hydrateAttachments, enableImagePaste, runAttachmentTests } from './src/modules/attachments.js';
+import { renderCodeBlock, renderRichText, runCodeHighlightTests } from './src/modules/code-highlight.js';
+import { MCQ_MAX_OPTIONS, parseOptionList, validateChoiceQuestion, describeCorrectOptions, runMultipleChoiceTests } from './src/modules/multiple-choice.js';
+import { updateStats, countDueByDay, updateDailyStreak, generateAchievements, openLearningCalendar, closeLearningCalendar } from './src/modules/statistics.js';
 import { /* startSession, gradeAnswer, */ endSession, pauseSession, resumeSession, resetSession } from './src/modules/session.js';
 import { exportData as dmExportData, importData as dmImportData, showGuidedImport, hideGuidedImport, handleGuidedImport, confirmImport, cancelImport, showQuickAdd, hideQuickAdd, submitQuickAdd } from './src/modules/data-management.js';
 import { initTheme, toggleTheme, setTheme } from './src/modules/theme.js';
 import { createNote, updateNoteList, editNote, saveNote, closeNoteEditor, deleteNoteConfirm, exportNoteToMarkdown, convertSelectionToQuestions } from './src/modules/notes.js';
-import { handleDragStart, handleDragOver, handleDragLeave, handleDrop, handleDragEnd } from './src/modules/drag-drop.js';
+import { handleDragStart, handleDragOver, handleDragLeave, handleDrop, handleDragEnd, makeSortable, moveSortableItem, makeSwappable, swapElements } from './src/modules/drag-drop.js';
 import { updateUserPerformance, selectQuestionsByDifficulty, getCurrentUserDifficulty, getDifficultyStats } from './src/modules/adaptive-difficulty.js';
-import { initializeDatabaseWithHealthCheck, getDeck, getQuestions, getReview, addQuestion } from './src/modules/database.js';
+import { initializeDatabaseWithHealthCheck, getDeck, getQuestions, getReview, addQuestion, updateDeck, getLearnedSynonyms } from './src/modules/database.js';
+import { SYNONYM_SCOPES, loadLearnedSynonyms, learnSynonym, forgetSynonym } from './src/modules/learned-synonyms.js';
+import { validateQuestion, runQuestionSchemaTests } from './src/modules/question-schema.js';
+import { runMarkdownParserTests } from './src/utils/markdown-parser.js';
+import { IMPORT_COLUMNS, parseImportText, validateImportRow, importRowToCards, toCsvLine, runQuestionImportTests } from './src/modules/question-import.js';
+import { getServerConnection, isServerMode, loginToServer, logoutFromServer, fetchQuestionPage, gradeOnServer, runServerApiTests } from './src/modules/server-api.js';
+import { scheduleReview, simulateNextDueRange, formatInterval, formatDueLabel, formatDueRange, isReviewDue, migrateToFsrsState, inferPhase, runSM2PreviewTests, runFSRSPreviewTests, runReviewLogReplayTests, runRescheduleTests, replayReviewLog, planBacklogReschedule, setDueInDays, snapshotReviewState, SCHEDULERS, DEFAULT_SCHEDULER, DEFAULT_DECK_OPTIONS, resolveDeckOptions, parseSteps, formatSteps } from './src/modules/spaced-repetition.js';
+import { runOptimizerTests } from './src/modules/scheduler-optimizer.js';
 import { enableFallbackStorage, isFallbackEnabled, getFallbackStorageInfo } from './src/utils/storage-fallback.js';
 import { initializePersistenceMonitoring } from './src/utils/persistence-monitor.js';
 import { enableAutoBackup, checkAndRestore, downloadBackup, uploadBackup } from './src/utils/docker-persistence.js';
@@ -236,6 +252,93 @@ db.version(52).upgrade(async (trans) => {
   console.log('Adaptive difficulty migration completed');
 });
 
+// Dexie schema v53: per-deck scheduler choice and FSRS memory state on review rows
+db.version(53).stores({
+  profile: '++id, xp, streak, lastStudy',
+  decks: '++id, name, created',
+  questions: '++id, deck, type, prompt, answer, keywords, synonyms, explain, created, sortOrder, *tags',
+  review: '++id, questionId, ease, interval, due, count, created, updated, difficulty, difficultyUpdated',
+  meta: 'key',
+  notes: '++id, deckId, title, source, content, createdAt, updatedAt',
+  note_items: '++id, noteId, ts, text, *tags'
+});
+
+// Migration hook for version 53 - derive stability/difficulty from ease/interval
+db.version(53).upgrade(async (trans) => {
+  await trans.table('decks').toCollection().modify(deck => {
+    if (!deck.scheduler) deck.scheduler = DEFAULT_SCHEDULER;
+  });
+  await trans.table('review').toCollection().modify(review => {
+    if (review.stability === undefined) {
+      Object.assign(review, migrateToFsrsState(review));
+    }
+  });
+});
+
+// Database version 54 - timestamped due dates for intraday learning steps
+db.version(54).stores({
+  profile: '++id, xp, streak, lastStudy',
+  decks: '++id, name, created',
+  questions: '++id, deck, type, prompt, answer, keywords, synonyms, explain, created, sortOrder, *tags',
+  review: '++id, questionId, ease, interval, due, count, created, updated, difficulty, difficultyUpdated',
+  meta: 'key',
+  notes: '++id, deckId, title, source, content, createdAt, updatedAt',
+  note_items: '++id, noteId, ts, text, *tags'
+});
+
+// Migration hook for version 54 - convert date-only due values to ISO timestamps
+db.version(54).upgrade(async (trans) => {
+  await trans.table('review').toCollection().modify(review => {
+    if (typeof review.due === 'string' && review.due.length === 10) {
+      review.due = `${review.due}T00:00:00.000Z`;
+    }
+    // New and lapsed cards (no interval yet) start their learning or relearning steps
+    if (!review.phase) {
+      review.phase = inferPhase(review);
+      if (review.phase !== 'review') review.step = 0;
+    }
+  });
+});
+
+// Database version 55 - append-only answer history
+db.version(55).stores({
+  profile: '++id, xp, streak, lastStudy',
+  decks: '++id, name, created',
+  questions: '++id, deck, type, prompt, answer, keywords, synonyms, explain, created, sortOrder, *tags',
+  review: '++id, questionId, ease, interval, due, count, created, updated, difficulty, difficultyUpdated',
+  review_log: '++id, questionId, deck, ts, grade',
+  meta: 'key',
+  notes: '++id, deckId, title, source, content, createdAt, updatedAt',
+  note_items: '++id, noteId, ts, text, *tags'
+});
+
+// Database version 56 - image attachments referenced from prompt/explain/notes as ![name](attachment:id)
+db.version(56).stores({
+  profile: '++id, xp, streak, lastStudy',
+  decks: '++id, name, created',
+  questions: '++id, deck, type, prompt, answer, keywords, synonyms, explain, created, sortOrder, *tags',
+  review: '++id, questionId, ease, interval, due, count, created, updated, difficulty, difficultyUpdated',
+  review_log: '++id, questionId, deck, ts, grade',
+  attachments: '++id, name, type, created',
+  meta: 'key',
+  notes: '++id, deckId, title, source, content, createdAt, updatedAt',
+  note_items: '++id, noteId, ts, text, *tags'
+});
+
+// Database version 57 - synonyms learned from accepted answers (per question, deck or global)
+db.version(57).stores({
+  profile: '++id, xp, streak, lastStudy',
+  decks: '++id, name, created',
+  questions: '++id, deck, type, prompt, answer, keywords, synonyms, explain, created, sortOrder, *tags',
+  review: '++id, questionId, ease, interval, due, count, created, updated, difficulty, difficultyUpdated',
+  review_log: '++id, questionId, deck, ts, grade',
+  attachments: '++id, name, type, created',
+  learned_synonyms: '++id, scope, deck, questionId, created',
+  meta: 'key',
+  notes: '++id, deckId, title, source, content, createdAt, updatedAt',
+  note_items: '++id, noteId, ts, text, *tags'
+});
+
 // Migration hook for version 5 - add sortOrder to existing questions
 db.version(5).upgrade(async (trans) => {
   const questions = await trans.table('questions').toArray();
@@ -318,12 +421,43 @@ async function setDailyRollup(obj) {
   await db.table('meta').put({ key: 'dailyRollup', value: obj });
 }
 
+// Scheduler parameters applied to every deck ({ sm2Params?, fsrsWeights? })
+async function getGlobalSchedulerParams() {
+  try {
+    const row = await db.table('meta').get('schedulerParams');
+    return row?.value || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+async function setGlobalSchedulerParams(params) {
+  await db.table('meta').put({ key: 'schedulerParams', value: params });
+}
+
+// Pass thresholds calibrated from grade overrides; an empty object means the scoring defaults
+async function getStoredPassThresholds() {
+  try {
+    const row = await db.table('meta').get('passThresholds');
+    return row?.value || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+async function setStoredPassThresholds(thresholds) {
+  await db.table('meta').put({ key: 'passThresholds', value: thresholds });
+  setPassThresholds(thresholds);
+}
+
 // ========== Settings & Daily Stats ==========
 const SETTINGS_KEY = 'cs.settings';
 const DAILY_STATS_KEY = 'cs.dailyStats';
 const DEFAULT_DAILY_REVIEW_LIMIT = 30; // configurable via localStorage settings
 const EASE_LOW_THRESHOLD = 1.5; // heuristic for low-confidence
+const LEARN_AHEAD_MINUTES = 20; // show pending learning cards early when nothing else is left
 const SHORT_FUZZY = 0.85; // fuzzy threshold for SHORT answers and synonyms
+const AUTO_GRADE_DELAY_MS = 1500; // how long auto-grade leaves the result on screen
 
 function getSettings() {
   try {
@@ -332,12 +466,14 @@ function getSettings() {
       dailyReviewLimit: Number.isFinite(s.dailyReviewLimit) ? s.dailyReviewLimit : DEFAULT_DAILY_REVIEW_LIMIT,
       fontSize: s.fontSize || 'medium',
       focusMode: Boolean(s.focusMode),
+      autoGrade: Boolean(s.autoGrade),
     };
   } catch (_) {
     return { 
       dailyReviewLimit: DEFAULT_DAILY_REVIEW_LIMIT,
       fontSize: 'medium',
-      focusMode: false
+      focusMode: false,
+      autoGrade: false
     };
   }
 }
@@ -357,11 +493,11 @@ function getDailyStats() {
   try {
     const raw = JSON.parse(localStorage.getItem(DAILY_STATS_KEY) || '{}');
     if (!raw.date || raw.date !== today) {
-      return { date: today, reviewsDone: 0, totalDone: 0 };
+      return { date: today, reviewsDone: 0, totalDone: 0, newByDeck: {}, buried: [] };
     }
-    return { date: raw.date, reviewsDone: raw.reviewsDone || 0, totalDone: raw.totalDone || 0 };
+    return { date: raw.date, reviewsDone: raw.reviewsDone || 0, totalDone: raw.totalDone || 0, newByDeck: raw.newByDeck || {}, buried: raw.buried || [] };
   } catch (_) {
-    return { date: today, reviewsDone: 0, totalDone: 0 };
+    return { date: today, reviewsDone: 0, totalDone: 0, newByDeck: {}, buried: [] };
   }
 }
 
@@ -534,6 +670,7 @@ const DataStore = {
   async addDeck(deck) {
     return await db.decks.add({
       name: deck.name,
+      scheduler: deck.scheduler || DEFAULT_SCHEDULER,
       created: new Date()
     });
   },
@@ -620,6 +757,13 @@ const DataStore = {
         correct: reviewData.correct || 0,
         lastResult: reviewData.lastResult || null,
         againCount: reviewData.againCount || 0,
+        scheduler: reviewData.scheduler || DEFAULT_SCHEDULER,
+        stability: reviewData.stability ?? null,
+        fsrsDifficulty: reviewData.fsrsDifficulty ?? null,
+        retrievability: reviewData.retrievability ?? null,
+        lastReview: reviewData.lastReview || null,
+        phase: reviewData.phase || null,
+        step: reviewData.step || 0,
         updated: now
       });
     } else {
@@ -632,14 +776,36 @@ const DataStore = {
         correct: reviewData.correct || 0,
         lastResult: reviewData.lastResult || null,
         againCount: reviewData.againCount || 0,
+        scheduler: reviewData.scheduler || DEFAULT_SCHEDULER,
+        stability: reviewData.stability ?? null,
+        fsrsDifficulty: reviewData.fsrsDifficulty ?? null,
+        retrievability: reviewData.retrievability ?? null,
+        lastReview: reviewData.lastReview || null,
+        phase: reviewData.phase || null,
+        step: reviewData.step || 0,
         created: now,
         updated: now
       });
     }
   },
 
-  async getDueReviews(date = todayStr()) {
-    return await db.review.where('due').belowOrEqual(date).toArray();
+  // Review log operations (append-only)
+  async addReviewLog(entry) {
+    return await db.review_log.add(entry);
+  },
+
+  async getReviewLog(questionId = null) {
+    if (questionId !== null) {
+      return await db.review_log.where('questionId').equals(questionId).sortBy('ts');
+    }
+    return await db.review_log.orderBy('ts').toArray();
+  },
+
+  async getDueReviews(now = new Date()) {
+    // `due` is a full timestamp; review cards count as due for the whole day
+    const endOfDay = now.toISOString().slice(0, 10) + 'T23:59:59.999Z';
+    const rows = await db.review.where('due').belowOrEqual(endOfDay).toArray();
+    return rows.filter(r => isReviewDue(r, now));
   },
 
   // Notes operations
@@ -721,100 +887,6 @@ async function setReview(questionId, reviewData) {
   await DataStore.setReview(questionId, reviewData);
 }
 
-// ========== SM-2 알고리즘 (간격 반복) ==========
-function nextSchedule(correct, state, grade = null) {
-  if (!state) {
-    state = {ease: 2.5, interval: 0, due: todayStr(), count: 0, correct: 0};
-  }
-  
-  state.count = (state.count || 0) + 1;
-  
-  if (grade !== null && grade !== undefined) {
-    // SM-2 with grade (0=again, 1=hard, 2=good, 3=easy)
-    if (grade === 0) {
-      state.interval = 0; // immediate retry today
-      state.ease = Math.max(1.3, state.ease - 0.8);
-    } else {
-      if (state.interval === 0) {
-        state.interval = grade === 1 ? 1 : grade === 2 ? 1 : 4;
-      } else if (state.interval === 1) {
-        state.interval = grade === 1 ? 3 : grade === 2 ? 6 : 6;
-      } else {
-        const factor = grade === 1 ? 1.2 : grade === 2 ? state.ease : state.ease * 1.3;
-        state.interval = Math.round(state.interval * factor);
-      }
-      
-      // Ease adjustments
-      if (grade === 1) {
-        state.ease = Math.max(1.3, state.ease - 0.15);
-      } else if (grade === 2) {
-        state.ease = Math.max(1.3, state.ease - 0.02);
-      } else if (grade === 3) {
-        state.ease = Math.min(2.5, state.ease + 0.15);
-      }
-    }
-  } else {
-    // Legacy correct/incorrect logic
-    if (!correct) {
-      state.interval = 1;
-      state.ease = Math.max(1.3, state.ease - 0.2);
-    } else {
-      if (state.interval === 0) {
-        state.interval = 1;
-      } else if (state.interval === 1) {
-        state.interval = 3;
-      } else {
-        state.interval = Math.round(state.interval * state.ease);
-      }
-      state.ease = Math.min(2.5, state.ease + 0.13);
-    }
-  }
-  
-  const due = new Date();
-  due.setDate(due.getDate() + state.interval);
-  state.due = due.toISOString().slice(0, 10);
-  
-  return state;
-}
-
-function simulateNextInterval(state, grade) {
-  const copy = state ? { ...state } : { ease: 2.5, interval: 0, due: todayStr(), count: 0 };
-  const res = nextSchedule(true, copy, grade);
-  return res.interval;
-}
-
-function simulateNextDueDate(state, grade) {
-  const copy = state ? { ...state } : { ease: 2.5, interval: 0, due: todayStr(), count: 0 };
-  const res = nextSchedule(true, copy, grade);
-  return res.due;
-}
-
-function formatInterval(days) {
-  if (days <= 0) return 'today';
-  if (days === 1) return '1 day';
-  return days + ' days';
-}
-
-// ========== Tests (pure functions) ==========
-function runSM2PreviewTests() {
-  const cases = [
-    { state: { ease: 2.5, interval: 0, due: todayStr(), count: 0 }, grade: 0 },
-    { state: { ease: 2.5, interval: 0, due: todayStr(), count: 0 }, grade: 2 },
-    { state: { ease: 2.2, interval: 1, due: todayStr(), count: 3 }, grade: 1 },
-    { state: { ease: 1.8, interval: 6, due: todayStr(), count: 10 }, grade: 3 }
-  ];
-  cases.forEach((c, idx) => {
-    const a = simulateNextInterval(c.state, c.grade);
-    const copy = { ...c.state };
-    const b = nextSchedule(true, copy, c.grade).interval;
-    console.assert(a === b, `simulateNextInterval mismatch in case ${idx}: ${a} != ${b}`);
-    const d1 = simulateNextDueDate(c.state, c.grade);
-    const copy2 = { ...c.state };
-    const d2 = nextSchedule(true, copy2, c.grade).due;
-    console.assert(d1 === d2, `simulateNextDueDate mismatch in case ${idx}: ${d1} != ${d2}`);
-  });
-}
-
 // ========== 세션 관리 ==========
 // Legacy implementation kept for reference after module refactor
 // Renamed to avoid duplicate identifier with imported session module
@@ -844,8 +916,8 @@ async function startSessionLegacy() {
     }
     
     console.log('Calling getReview()...');
-    review = await getReview();
-    console.log('getReview() result:', Object.keys(review || {}).length, 'items');
+    const reviewRows = await getReview();
+    review = Object.fromEntries((reviewRows || []).map(r => [r.questionId, r]));
   } catch (error) {
     console.error('Error getting questions/review:', error);
     showToast('데이터 로딩 중 오류가 발생했습니다', 'error');
@@ -861,11 +933,14 @@ async function startSessionLegacy() {
 
   // Classify questions by category (convert deckId to number for proper comparison)
   const numericDeckId = Number(deckId);
+  const deck = await db.decks.get(numericDeckId);
+  const deckOptions = resolveDeckOptions(deck, await getGlobalSchedulerParams());
   const inDeck = questions.filter(q => q.deck === numericDeckId);
   console.log(`Questions in selected deck (${deckId} -> ${numericDeckId}): ${inDeck.length}`);
   const seenIds = new Set(Object.keys(review).map(Number));
 
-  const isDue = (q) => review[q.id]?.due && review[q.id].due <= today;
+  const now = new Date();
+  const isDue = (q) => isReviewDue(review[q.id], now);
   const isNew = (q) => !seenIds.has(q.id);
   const isLow = (q) => !isNew(q) && !isDue(q) && ((review[q.id]?.ease ?? 2.5) <= EASE_LOW_THRESHOLD);
 
@@ -876,9 +951,15 @@ async function startSessionLegacy() {
     return g || null;
   };
 
+  // Sibling burying: cards buried earlier today sit out until tomorrow
+  const buryMode = deckOptions.burySiblings || 'none';
+  const buryKind = (q) => isNew(q) ? 'new' : 'review';
+  const buriedToday = new Set(getDailyStats().buried);
+
   // Build groups for the deck (with per-category buckets)
   const groups = new Map(); // key -> { key, due:[], new:[], low:[], rest:[], counts }
   for (const q of inDeck) {
+    if (buriedToday.has(q.id)) continue;
     const key = getGroupId(q) || `solo:${q.id}`;
     if (!groups.has(key)) {
       groups.set(key, {
@@ -919,18 +1000,43 @@ async function startSessionLegacy() {
   const { dailyReviewLimit } = getSettings();
   const stats = getDailyStats();
   let dueRemaining = Math.max(0, dailyReviewLimit - (stats.reviewsDone || 0));
+  // Per-deck new card quota from the deck options
+  let newRemaining = Math.max(0, deckOptions.newCardsPerDay - (stats.newByDeck[numericDeckId] || 0));
 
   const queue = [];
   let slotsRemaining = count;
-  const buriedIds = new Set();
+  
+  // Siblings of the buried kind are postponed once a card of the group is answered
+  const siblings = {}; // questionId -> sibling ids to bury
+  if (buryMode !== 'none') {
+    for (const g of groups.values()) {
+      if (g.key.startsWith('solo:')) continue;
+      const members = [...g.due, ...g.new, ...g.low, ...g.rest];
+      for (const q of members) {
+        siblings[q.id] = members.filter(s => s.id !== q.id && buryKind(s) === buryMode).map(s => s.id);
+      }
+    }
+  }
 
   const addGroupIfFits = (g, constrainDue) => {
     if (slotsRemaining <= 0) return false;
-    const items = [...g.due, ...g.new, ...g.low, ...g.rest];
+    let items = [...g.due, ...g.new, ...g.low, ...g.rest];
+    // With burying on, only the first card of the buried kind is queued; answering it buries the rest
+    if (buryMode !== 'none' && !g.key.startsWith('solo:')) {
+      let kept = false;
+      items = items.filter(item => {
+        if (buryKind(item) !== buryMode) return true;
+        if (kept) return false;
+        kept = true;
+        return true;
+      });
+    }
     const size = items.length;
-    const groupDue = g.counts.due;
+    const groupDue = items.filter(isDue).length;
+    const groupNew = items.filter(isNew).length;
     if (size > slotsRemaining) return false; // all-or-nothing inclusion
     if (constrainDue && groupDue > dueRemaining) return false;
+    if (groupNew > newRemaining) return false;
     for (const item of items) {
       let _src = 'rest';
       if (isDue(item)) _src = 'due';
@@ -939,6 +1045,7 @@ async function startSessionLegacy() {
       queue.push({ ...item, _src });
     }
     slotsRemaining -= size;
+    newRemaining -= groupNew;
     if (constrainDue) dueRemaining -= groupDue;
     return true;
   };
@@ -956,6 +1063,8 @@ async function startSessionLegacy() {
 
   if (dueGroups.length > 0 && dueRemaining === 0) {
     showToast('일일 복습 한도 도달: 새 문제/기타 우선 진행합니다', 'info');
+  } else if (newGroups.length > 0 && newRemaining === 0) {
+    showToast(`오늘의 새 문제 한도(${deckOptions.newCardsPerDay}개) 도달: 복습 문제 위주로 진행합니다`, 'info');
   }
   
   if (queue.length === 0) {
@@ -992,8 +1101,11 @@ async function startSessionLegacy() {
   session = {
     active: true,
     deck: deckId,
+    scheduler: deck?.scheduler || DEFAULT_SCHEDULER,
+    deckOptions,
     queue: queue,
-    buried: Array.from(buriedIds),
+    buried: [], // sibling ids buried during this session
+    siblings,
     index: 0,
     ok: 0,
     ng: 0,
@@ -1001,6 +1113,8 @@ async function startSessionLegacy() {
     total: queue.length,
     originalLength: queue.length, // Track the original number of questions
     sessionRepeats: {}, // Track how many times each question has been repeated in this session
+    learning: [], // (re)learning cards waiting for their step: { question, due }
+    dueCounts: countDueByDay(review), // per-day load used to balance new due dates
     userDifficulty: getCurrentUserDifficulty({ difficulty: 3 }) // Track user's current difficulty level
   };
   
@@ -1012,30 +1126,47 @@ async function startSessionLegacy() {
   await showQuestion();
 }
 
+// Move (re)learning cards whose step has elapsed back into the running queue.
+// When the queue is exhausted, cards due within LEARN_AHEAD_MINUTES are shown early.
+function reinsertDueLearningCards() {
+  if (!session.learning || session.learning.length === 0) return;
+  const now = Date.now();
+  const queueEmpty = session.index >= session.queue.length;
+  const cutoff = now + (queueEmpty ? LEARN_AHEAD_MINUTES * 60000 : 0);
+  session.learning.sort((a, b) => new Date(a.due) - new Date(b.due));
+  const ready = [];
+  while (session.learning.length && new Date(session.learning[0].due).getTime() <= cutoff) {
+    ready.push(session.learning.shift().question);
+    if (queueEmpty) break; // learn ahead one card at a time
+  }
+  session.queue.splice(session.index, 0, ...ready);
+}
+
 async function showQuestion() {
-  // Check if we've completed all original questions (not including repeated ones)
-  // Use completedUnique set to track unique question IDs we've processed
   if (!session.completedUnique) session.completedUnique = new Set();
   
-  if (session.completedUnique.size >= session.total) {
-    await finishSession();
-    return;
-  }
+  reinsertDueLearningCards();
   
-  // Also check if we've run out of questions in the queue
+  // Finish once the queue is exhausted and no learning card is due soon
   if (session.index >= session.queue.length) {
+    if (session.learning?.length) {
+      const next = formatDueLabel(session.learning[0].due);
+      showToast(`학습 단계 문제 ${session.learning.length}개는 ${next} 후 다시 나타납니다`, 'info');
+    }
     await finishSession();
     return;
   }
   
   const q = session.queue[session.index];
+  session.shownAt = Date.now(); // answer time is measured from here for the review log
   const qArea = document.getElementById('qArea');
   const decks = await getDecks();
   const deckName = (decks.find(d => Number(d.id) === Number(q.deck)) || {}).name || 'Unknown Deck';
   
   let html = `
     <div class="badge" role="status" aria-label="Question category">${deckName} · ${q.type}</div>
-    <div class="prompt-box" role="main" aria-label="Question prompt">${escapeHtml(q.prompt)}</div>
+    <div class="prompt-box" role="main" aria-label="Question prompt">${renderAttachmentRefs(escapeHtml(q.type === 'CLOZE' ? renderClozeText(q.prompt, q.clozeIndex) : q.prompt))}</div>
+    ${q.type === 'CODE' ? renderCodeBlock(q.code, q.language) : ''}
     <div style="margin-top:16px">
       <button id="revealBtn" onclick="revealAnswer()" aria-expanded="false" aria-label="Reveal answer and answer options">
         <span>🔍</span> Reveal Answer
@@ -1056,9 +1187,89 @@ async function showQuestion() {
           <button class="danger" onclick="submitAnswer('false')" aria-label="Submit False as answer">❌ False</button>
         </div>
     `;
+  } else if (q.type === 'MCQ') {
+    // Options are shuffled per showing; number keys follow the displayed order
+    session.optionOrder = shuffle((q.options || []).map((_, i) => i));
+    if (q.multiSelect) {
+      html += `
+        <div class="mcq-options" role="group" aria-label="보기 (복수 선택)">
+          ${session.optionOrder.map((optionIndex, pos) => `
+          <label class="mcq-option" style="display:flex;gap:8px;align-items:center;padding:8px 0">
+            <input type="checkbox" class="mcq-check" value="${optionIndex}">
+            <span><strong>${pos + 1}.</strong> ${escapeHtml(q.options[optionIndex])}</span>
+          </label>`).join('')}
+        </div>
+        <div id="submitHint" style="font-size:12px;color:var(--muted);margin-top:4px">정답을 모두 고르세요. 숫자 키(1-${session.optionOrder.length})로 선택하고 Enter로 제출합니다.</div>
+        <div style="margin-top:16px" role="group" aria-label="Answer submission options">
+          <button onclick="submitChoiceSelection()" aria-label="답안 제출하기">제출</button>
+          <button class="secondary" onclick="showDontKnowAnswer()" aria-label="모르겠음을 선택하고 정답 보기">모르겠음</button>
+        </div>
+      `;
+    } else {
+      html += `
+        <div class="mcq-options grid" role="group" aria-label="보기">
+          ${session.optionOrder.map((optionIndex, pos) => `
+          <button class="secondary mcq-option" style="text-align:left" onclick="submitAnswer('${optionIndex}')" aria-label="${pos + 1}번 보기 선택"><strong>${pos + 1}.</strong> ${escapeHtml(q.options[optionIndex])}</button>`).join('')}
+        </div>
+        <div id="submitHint" style="font-size:12px;color:var(--muted);margin-top:4px">숫자 키(1-${session.optionOrder.length})로 선택할 수 있습니다.</div>
+        <div style="margin-top:16px">
+          <button class="secondary" onclick="showDontKnowAnswer()" aria-label="모르겠음을 선택하고 정답 보기">모르겠음</button>
+        </div>
+      `;
+    }
+  } else if (q.type === 'ORDER') {
+    // Drag by the handle (mouse or touch) or use the arrow buttons
+    const order = shuffleOrder((q.items || []).length);
+    html += `
+        <ol id="orderList" class="order-list" aria-label="순서대로 정렬할 항목">
+          ${order.map(itemIndex => `
+          <li class="order-item" data-index="${itemIndex}">
+            <span class="drag-handle" aria-hidden="true">⋮⋮</span>
+            <span class="order-text">${escapeHtml(q.items[itemIndex])}</span>
+            <button class="secondary" onclick="moveOrderItem(this, -1)" aria-label="위로 이동">↑</button>
+            <button class="secondary" onclick="moveOrderItem(this, 1)" aria-label="아래로 이동">↓</button>
+          </li>`).join('')}
+        </ol>
+        <div id="submitHint" style="font-size:12px;color:var(--muted);margin-top:4px">항목을 끌어서(⋮⋮) 또는 ↑↓ 버튼으로 올바른 순서로 정렬한 뒤 제출하세요.</div>
+        <div style="margin-top:16px" role="group" aria-label="Answer submission options">
+          <button onclick="submitOrderAnswer()" aria-label="답안 제출하기">제출</button>
+          <button class="secondary" onclick="showDontKnowAnswer()" aria-label="모르겠음을 선택하고 정답 보기">모르겠음</button>
+        </div>
+    `;
+  } else if (q.type === 'MATCH') {
+    // Terms stay put; definitions are swapped by dragging one onto another or by selecting two
+    const pairs = q.pairs || [];
+    const deal = shuffleDefinitions(pairs.length);
+    html += `
+        <div id="matchBoard" class="match-board" role="group" aria-label="용어와 설명 짝짓기">
+          ${pairs.map((pair, i) => `
+          <div class="match-row">
+            <span class="match-term">${escapeHtml(pair.term)}</span>
+            <span class="match-slot"><button class="secondary match-def" data-index="${deal[i]}" aria-pressed="false" onclick="selectMatchDefinition(this)">${escapeHtml(pairs[deal[i]].definition)}</button></span>
+          </div>`).join('')}
+        </div>
+        <div id="submitHint" style="font-size:12px;color:var(--muted);margin-top:4px">설명을 다른 설명 위로 끌어 놓거나, 두 설명을 차례로 선택(Enter)해 자리를 바꾸세요. ↑↓로 설명 사이를 이동합니다.</div>
+        <div style="margin-top:16px" role="group" aria-label="Answer submission options">
+          <button onclick="submitMatchAnswer()" aria-label="답안 제출하기">제출</button>
+          <button class="secondary" onclick="showDontKnowAnswer()" aria-label="모르겠음을 선택하고 정답 보기">모르겠음</button>
+        </div>
+    `;
+  } else if (q.type === 'CLOZE' && clozeBlanks(q.prompt, q.clozeIndex).length > 1) {
+    // One input per blank, in text order; Enter moves to the next blank and submits on the last
+    const blanks = clozeBlanks(q.prompt, q.clozeIndex);
+    html += `
+        <div class="grid" role="group" aria-label="빈칸 답 입력">
+          ${blanks.map((blank, i) => `<input type="text" class="cloze-blank" placeholder="빈칸 ${i + 1}${blank.hint ? ` (${escapeHtml(blank.hint)})` : ''}" aria-label="빈칸 ${i + 1}">`).join('')}
+        </div>
+        <div id="submitHint" style="font-size:12px;color:var(--muted);margin-top:4px">빈칸마다 답을 입력하세요. Enter로 다음 빈칸, 마지막 빈칸에서 제출합니다.</div>
+        <div style="margin-top:16px" role="group" aria-label="Answer submission options">
+          <button onclick="submitClozeBlanks()" aria-label="답안 제출하기">제출</button>
+          <button class="secondary" onclick="showDontKnowAnswer()" aria-label="모르겠음을 선택하고 정답 보기">모르겠음</button>
+        </div>
+    `;
   } else {
     html += `
-        <textarea id="userAnswer" placeholder="답을 입력하세요..." autofocus aria-label="답을 입력하세요" aria-describedby="submitHint"></textarea>
+        <textarea id="userAnswer"${q.type === 'CODE' ? ' class="code-input" spellcheck="false"' : ''} placeholder="${answerPlaceholder(q.type)}" autofocus aria-label="답을 입력하세요" aria-describedby="submitHint"></textarea>
         <div id="submitHint" style="font-size:12px;color:var(--muted);margin-top:4px">Enter를 눌러 제출하거나 제출 버튼을 클릭하세요. 키보드 단축키: R/Space(정답보기), D(모르겠음), 0-3(난이도 선택)</div>
         <div style="margin-top:16px" role="group" aria-label="Answer submission options">
           <button onclick="submitAnswer(document.getElementById('userAnswer').value)" aria-label="답안 제출하기">제출</button>
@@ -1074,6 +1285,12 @@ async function showQuestion() {
   `;
   
   qArea.innerHTML = html;
+  hydrateAttachments(qArea);
+  
+  const orderList = document.getElementById('orderList');
+  if (orderList) makeSortable(orderList, { itemSelector: '.order-item', handleSelector: '.drag-handle' });
+  const matchBoard = document.getElementById('matchBoard');
+  if (matchBoard) makeSwappable(matchBoard, { itemSelector: '.match-def', onSwap: clearMatchSelection });
   
   // Add keyboard navigation support
   addQuizKeyboardNavigation();
@@ -1082,6 +1299,12 @@ async function showQuestion() {
   if (typeof hideQuestionSkeleton === 'function') hideQuestionSkeleton();
 }
 
+function answerPlaceholder(type) {
+  if (type === 'NUMERIC') return '숫자와 단위를 입력하세요 (예: 128 bit, 1.5 ms)';
+  if (type === 'CODE') return '예상 출력을 입력하세요 (Shift+Enter로 줄바꿈, 공백은 무시됩니다)';
+  return '답을 입력하세요...';
+}
+
 function revealAnswer() {
   const revealBtn = document.getElementById('revealBtn');
   const answerSection = document.getElementById('answerSection');
@@ -1103,7 +1326,7 @@ function revealAnswer() {
     setTimeout(() => announcement.remove(), 1000);
     
     // Focus on first interactive element in answer section
-    const userAnswer = document.getElementById('userAnswer');
+    const userAnswer = document.getElementById('userAnswer') || answerSection.querySelector('.cloze-blank');
     const firstButton = answerSection.querySelector('button');
     if (userAnswer) {
       setTimeout(() => userAnswer.focus(), 100);
@@ -1137,8 +1360,49 @@ function handleQuizKeydown(event) {
     return;
   }
   
+  // Enter in a cloze blank moves to the next one, submitting from the last
+  const isClozeBlank = activeElement?.classList?.contains('cloze-blank');
+  if (event.key === 'Enter' && isClozeBlank) {
+    event.preventDefault();
+    const blanks = [...document.querySelectorAll('#qArea .cloze-blank')];
+    const next = blanks[blanks.indexOf(activeElement) + 1];
+    if (next) next.focus();
+    else submitClozeBlanks();
+    return;
+  }
+  
   // Skip keyboard shortcuts if user is typing in textarea or chat input
-  if ((activeElement === userAnswerTextarea || activeElement === chatInput) && event.key.length === 1) {
+  if ((activeElement === userAnswerTextarea || activeElement === chatInput || isClozeBlank) && event.key.length === 1) {
+    return;
+  }
+  
+  // Number keys pick MCQ options until the answer is graded; Enter submits a multi-select
+  const current = session.queue[session.index];
+  const answerSection = document.getElementById('answerSection');
+  const answering = current?.type === 'MCQ' && answerSection?.style.display === 'block' &&
+    !(resultArea && resultArea.innerHTML.includes('grade-btn'));
+  if (answering && /^[1-9]$/.test(event.key)) {
+    event.preventDefault();
+    pickChoiceByNumber(Number(event.key));
+    return;
+  }
+  if (answering && event.key === 'Enter' && current.multiSelect) {
+    event.preventDefault();
+    submitChoiceSelection();
+    return;
+  }
+  
+  // MATCH: Enter/Space selects the focused definition (a second one swaps), arrows move between them
+  const matchDef = activeElement?.classList?.contains('match-def') ? activeElement : null;
+  if (matchDef && !matchDef.disabled && (event.key === 'Enter' || event.key === ' ')) {
+    event.preventDefault();
+    selectMatchDefinition(matchDef);
+    return;
+  }
+  if (matchDef && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+    event.preventDefault();
+    const defs = [...document.querySelectorAll('#matchBoard .match-def')];
+    defs[defs.indexOf(matchDef) + (event.key === 'ArrowUp' ? -1 : 1)]?.focus();
     return;
   }
   
@@ -1215,12 +1479,90 @@ function handleQuizKeydown(event) {
   }
 }
 
+// Number key → displayed option; single answer submits, multi-select toggles
+function pickChoiceByNumber(n) {
+  const q = session.queue[session.index];
+  const optionIndex = session.optionOrder?.[n - 1];
+  if (!q || optionIndex === undefined) return;
+  if (!q.multiSelect) {
+    submitAnswer(String(optionIndex));
+    return;
+  }
+  const box = document.querySelector(`#qArea .mcq-check[value="${optionIndex}"]`);
+  if (box && !box.disabled) box.checked = !box.checked;
+}
+
+function moveOrderItem(button, direction) {
+  const item = button.closest('.order-item');
+  if (item && moveSortableItem(item, direction)) button.focus();
+}
+
+// The arranged order as original item indexes, the format the order matcher expects
+function submitOrderAnswer() {
+  const list = document.getElementById('orderList');
+  if (!list) return;
+  list.setAttribute('aria-disabled', 'true');
+  submitAnswer([...list.querySelectorAll('.order-item')].map(item => item.dataset.index).join(','));
+}
+
+function clearMatchSelection() {
+  document.querySelectorAll('#matchBoard .match-def.selected').forEach(def => {
+    def.classList.remove('selected');
+    def.setAttribute('aria-pressed', 'false');
+  });
+}
+
+// First selection marks a definition; selecting a second one swaps the two
+function selectMatchDefinition(button) {
+  const selected = document.querySelector('#matchBoard .match-def.selected');
+  clearMatchSelection();
+  if (!selected) {
+    button.classList.add('selected');
+    button.setAttribute('aria-pressed', 'true');
+  } else if (selected !== button) {
+    swapElements(selected, button);
+  }
+  button.focus();
+}
+
+// The definition index shown next to each term, in term order — the format the pairs matcher expects
+function submitMatchAnswer() {
+  const board = document.getElementById('matchBoard');
+  if (!board) return;
+  board.setAttribute('aria-disabled', 'true');
+  submitAnswer([...board.querySelectorAll('.match-def')].map(def => def.dataset.index).join(','));
+}
+
+// Blanks are joined one per line, the format the cloze matcher expects
+function submitClozeBlanks() {
+  const values = [...document.querySelectorAll('#qArea .cloze-blank')].map(input => input.value.trim());
+  submitAnswer(values.some(Boolean) ? values.join('\n') : '');
+}
+
+function submitChoiceSelection() {
+  const picked = [...document.querySelectorAll('#qArea .mcq-check:checked')].map(box => box.value);
+  submitAnswer(picked.join(','));
+}
+
+// In server mode free-text answers are graded by the server, which holds the provider keys;
+// other types, and any answer the server cannot grade, are graded here
+async function gradeSubmittedAnswer(q, answer) {
+  if (isServerMode() && ESCALATION_TYPES.includes(q?.type)) {
+    try {
+      return await gradeOnServer(q, answer, { escalate: (localStorage.getItem('aiMode') || 'local') !== 'local' });
+    } catch (error) {
+      console.warn('Server grading failed, grading locally:', error);
+    }
+  }
+  return gradeQuestionAsync(q, answer);
+}
+
 async function submitAnswer(userAnswer) {
   const q = session.queue[session.index];
   // Guard against empty input for SHORT/KEYWORD
   if (q.type !== 'OX') {
     if (!userAnswer || userAnswer.trim() === '') {
-      showToast('정답을 입력해주세요', 'warning');
+      showToast(q.type === 'MCQ' ? '보기를 선택해주세요' : '정답을 입력해주세요', 'warning');
       // Focus back to textarea for accessibility
       const userAnswerTextarea = document.getElementById('userAnswer');
       if (userAnswerTextarea) {
@@ -1231,9 +1573,9 @@ async function submitAnswer(userAnswer) {
   }
   // Disable current action buttons to prevent double submit
   try {
-    document.querySelectorAll('#qArea button').forEach(b => b.disabled = true);
+    document.querySelectorAll('#qArea button, #qArea .mcq-check, #qArea .cloze-blank').forEach(b => b.disabled = true);
   } catch (_) {}
-  const feedback = await gradeQuestionAsync(q, userAnswer);
+  const feedback = await gradeSubmittedAnswer(q, userAnswer);
   const correct = feedback.correct === true;
   
   // Store AI result if available (from gradeQuestionAsync)
@@ -1251,13 +1593,26 @@ async function submitAnswer(userAnswer) {
   await setProfile(profile);
   
   // 결과 표시
-  await showResult(q, userAnswer, feedback);
+  const suggestion = suggestGrade(feedback);
+  const autoGrade = getSettings().autoGrade;
+  await showResult(q, userAnswer, feedback, suggestion, autoGrade);
   await updateProgress();
   
   // Store the question for grading
   session.currentQuestion = q;
   session.currentAnswer = userAnswer;
   session.currentCorrect = correct;
+  session.currentFeedback = feedback;
+  session.currentSuggestion = suggestion;
+  session.currentElapsedMs = session.shownAt ? Date.now() - session.shownAt : null;
+  
+  // Auto-grade applies the suggestion unless a grade was picked by hand in the meantime
+  if (autoGrade) {
+    setTimeout(() => {
+      const pending = document.querySelector('.grade-buttons button:not(:disabled)');
+      if (session.currentFeedback === feedback && pending) gradeAnswer(suggestion.grade);
+    }, AUTO_GRADE_DELAY_MS);
+  }
 }
 
 // Legacy implementation kept for reference after module refactor
@@ -1293,6 +1648,27 @@ async function updateDailyStreakLegacy() {
   document.getElementById('streak').textContent = profile.streak;
 }
 
+// Postpone the other `group:*` siblings of an answered card to tomorrow (deck option `burySiblings`)
+function buryAnsweredSiblings(q) {
+  const siblings = session.siblings?.[q.id];
+  if (!siblings || siblings.length === 0) return;
+  const stats = getDailyStats();
+  const buried = new Set(stats.buried);
+  const fresh = siblings.filter(id => !buried.has(id) && !session.completedUnique?.has(id));
+  if (fresh.length === 0) return;
+  fresh.forEach(id => buried.add(id));
+  stats.buried = Array.from(buried);
+  setDailyStats(stats);
+  
+  // Drop them from the rest of this session
+  const freshIds = new Set(fresh);
+  const before = session.queue.length;
+  session.queue = session.queue.filter((item, i) => i <= session.index || !freshIds.has(item.id));
+  session.total -= before - session.queue.length;
+  session.buried.push(...fresh);
+  showToast(`같은 그룹 문제 ${fresh.length}개를 내일로 미뤘습니다`, 'info');
+}
+
 // Legacy implementation kept for reference after module refactor
 // Renamed to avoid duplicate identifier with imported session module
 async function gradeAnswerLegacy(grade) {
@@ -1304,20 +1680,53 @@ async function gradeAnswerLegacy(grade) {
   } catch (_) {}
   
   // 리뷰 업데이트 with grade and adaptive difficulty
-  const review = await getReview();
-  const baseReviewData = nextSchedule(correct, review[q.id], grade);
+  const prevReview = await DataStore.getReviewByQuestion(q.id);
+  const baseReviewData = scheduleReview(correct, prevReview ? { ...prevReview } : null, grade, session.scheduler, session.deckOptions, new Date(), { dueCounts: session.dueCounts });
+  
+  // Keep the per-day load current so later answers in this session balance against it
+  if (session.dueCounts) {
+    const fromDay = prevReview?.due ? String(prevReview.due).slice(0, 10) : null;
+    const toDay = String(baseReviewData.due).slice(0, 10);
+    if (fromDay && session.dueCounts[fromDay] > 0) session.dueCounts[fromDay]--;
+    session.dueCounts[toDay] = (session.dueCounts[toDay] || 0) + 1;
+  }
   
   // increment correct counter
-  const prevCorrect = (review[q.id]?.correct || 0);
+  const prevCorrect = (prevReview?.correct || 0);
   baseReviewData.correct = prevCorrect + (correct ? 1 : 0);
   baseReviewData.lastResult = correct ? 'ok' : 'ng';
-  const prevAgain = (review[q.id]?.againCount || 0);
+  const prevAgain = (prevReview?.againCount || 0);
   baseReviewData.againCount = prevAgain + (grade === 0 ? 1 : 0);
   
   // Apply adaptive difficulty logic
   const updatedReview = updateUserPerformance(q.id, baseReviewData, correct);
   
   await setReview(q.id, updatedReview);
+  
+  // Append the answer to the review log with the scheduling state before and after it
+  try {
+    const feedback = session.currentFeedback || {};
+    await DataStore.addReviewLog({
+      questionId: q.id,
+      deck: q.deck,
+      ts: updatedReview.lastReview || new Date().toISOString(),
+      grade,
+      correct,
+      elapsedMs: session.currentElapsedMs ?? null,
+      answer: session.currentAnswer ?? '',
+      grader: feedback.grader || 'local',
+      score: typeof feedback.score === 'number' ? feedback.score : null,
+      // A grade that differs from the suggestion is an override; calibratePassThresholds learns from them
+      type: q.type,
+      matchedBy: feedback.matchedBy ?? null,
+      suggestedGrade: session.currentSuggestion?.grade ?? null,
+      scheduler: updatedReview.scheduler || session.scheduler,
+      before: snapshotReviewState(prevReview),
+      after: snapshotReviewState(updatedReview)
+    });
+  } catch (e) {
+    console.warn('Failed to append review log:', e);
+  }
 
   // Recompute and re-render interval previews on buttons using updated state
   try {
@@ -1325,75 +1734,77 @@ async function gradeAnswerLegacy(grade) {
   } catch (_) {}
   
   // Show next scheduled interval
+  const inSteps = updatedReview.phase === 'learning' || updatedReview.phase === 'relearning';
   try {
-    const iv = updatedReview.interval ?? 0;
-    showToast(`다음 복습: ${formatInterval(iv)}`, 'info');
+    const label = inSteps ? formatDueLabel(updatedReview.due) : formatInterval(updatedReview.interval ?? 0);
+    showToast(`다음 복습: ${label}`, 'info');
   } catch (_) {}
   
-  // If grade is Again (0), re-queue this question shortly and advance to next
-  if (grade === 0 && session) {
-    // Check session repeat limit (max 2 times per question per session)
-    const questionId = q.id;
-    const currentRepeats = session.sessionRepeats[questionId] || 0;
-    const MAX_SESSION_REPEATS = 2;
-    
-    if (currentRepeats < MAX_SESSION_REPEATS) {
-      // Track this repeat
-      session.sessionRepeats[questionId] = currentRepeats + 1;
+  // (Re)learning cards come back into this session once their step is due
+  if (inSteps && session) {
+    if (grade === 0) {
+      // Check session repeat limit (max 2 Again re-queues per question per session)
+      const currentRepeats = session.sessionRepeats[q.id] || 0;
+      const MAX_SESSION_REPEATS = 2;
       
-      // Insert repeated questions at the end of the queue
-      // This ensures all original questions are seen before repeated ones
-      session.queue.push(q);
-      // Don't update session.total - keep it as original question count
-      // The queue can be longer than total for repeated questions
-      showToast(`문제 재등장 예정 (${currentRepeats + 1}/${MAX_SESSION_REPEATS})`, 'info');
+      if (currentRepeats < MAX_SESSION_REPEATS) {
+        session.sessionRepeats[q.id] = currentRepeats + 1;
+        session.learning.push({ question: q, due: updatedReview.due });
+        showToast(`문제 재등장 예정: ${formatDueLabel(updatedReview.due)} 후 (${currentRepeats + 1}/${MAX_SESSION_REPEATS})`, 'info');
+      } else {
+        // Question has been repeated too many times, leave it for a later session
+        showToast('이 문제는 이미 충분히 반복했습니다', 'warning');
+      }
     } else {
-      // Question has been repeated too many times, skip re-queuing
-      showToast('이 문제는 이미 충분히 반복했습니다', 'warning');
+      session.learning.push({ question: q, due: updatedReview.due });
     }
-    
-    // Advance to next question now; it will reappear later from the re-queue (if under limit)
+  }
+  
+  buryAnsweredSiblings(q);
+  
+  // Again doesn't count towards completion; advance and let the card come back from the learning queue
+  if (grade === 0) {
     session.index++;
     await updateProgress(); // Update progress after advancing
     setTimeout(() => showQuestion(), 300);
     return;
   }
   
-  // Only count completion stats for non-Again grades
+  // Count completion stats once per question, even if learning steps bring it back
   const questionId = q.id;
-  
-  // Track this question as completed (for unique counting) - but not if it will be repeated
   if (!session.completedUnique) session.completedUnique = new Set();
-  if (grade !== 0) { // Only mark as completed if not "Again"
+  if (!session.completedUnique.has(questionId)) {
     session.completedUnique.add(questionId);
+    
+    // Update session counters for completed questions
+    if (correct) session.ok++; 
+    else session.ng++;
+    
+    // Update streak for daily learning activity
+    await updateDailyStreak();
+    
+    // Update daily rollup (per-day correct/total)
+    try {
+      const roll = await getDailyRollup();
+      const today = todayStr();
+      const cur = roll[today] || { correct: 0, total: 0 };
+      cur.total += 1;
+      if (correct) cur.correct += 1;
+      roll[today] = cur;
+      await setDailyRollup(roll);
+    } catch (_) {}
+    
+    // Update daily stats (count due reviews only)
+    const stats = getDailyStats();
+    stats.totalDone = (stats.totalDone || 0) + 1;
+    if (q._src === 'due') {
+      stats.reviewsDone = (stats.reviewsDone || 0) + 1;
+    } else if (q._src === 'new') {
+      stats.newByDeck[q.deck] = (stats.newByDeck[q.deck] || 0) + 1;
+    }
+    setDailyStats(stats);
   }
   
-  // Update session counters for completed questions
-  if (correct) session.ok++; 
-  else session.ng++;
-  
-  // Update streak for daily learning activity
-  await updateDailyStreak();
-  
-  // Update daily rollup (per-day correct/total)
-  try {
-    const roll = await getDailyRollup();
-    const today = todayStr();
-    const cur = roll[today] || { correct: 0, total: 0 };
-    cur.total += 1;
-    if (correct) cur.correct += 1;
-    roll[today] = cur;
-    await setDailyRollup(roll);
-  } catch (_) {}
-  
-  // Update daily stats (count due reviews only)
-  const stats = getDailyStats();
-  stats.totalDone = (stats.totalDone || 0) + 1;
-  if (q._src === 'due') {
-    stats.reviewsDone = (stats.reviewsDone || 0) + 1;
-  }
-  setDailyStats(stats);
-  
   // Show next question
   session.index++;
   await updateProgress(); // Update progress after counters are incremented
@@ -1410,8 +1821,8 @@ function updateGradePreviewsForCurrent(state) {
   for (const m of mapping) {
     const el = document.querySelector(m.sel);
     if (!el) continue;
-    const due = simulateNextDueDate(state, m.grade);
-    el.textContent = due;
+    const range = simulateNextDueRange(state, m.grade, session.scheduler, session.deckOptions);
+    el.textContent = formatDueRange(range);
   }
 }
 
@@ -1577,17 +1988,20 @@ function matchKeywordAnswer(question, userAnswer) {
   return { passed: matched >= threshold, matched, total, threshold, perGroup };
 }
 
-async function showResult(question, userAnswer, feedback) {
+const GRADE_LABELS = ['Again', 'Hard', 'Good', 'Easy'];
+
+async function showResult(question, userAnswer, feedback, suggestion = null, autoGrade = false) {
   const resultArea = document.getElementById('resultArea');
   const correct = feedback?.correct === true;
   
-  const review = await getReview();
-  const state = review[question.id];
+  const state = await DataStore.getReviewByQuestion(question.id);
+  const scheduler = session.scheduler || DEFAULT_SCHEDULER;
+  const deckOptions = session.deckOptions || DEFAULT_DECK_OPTIONS;
   const preview = {
-    again: simulateNextDueDate(state, 0),
-    hard: simulateNextDueDate(state, 1),
-    good: simulateNextDueDate(state, 2),
-    easy: simulateNextDueDate(state, 3)
+    again: formatDueRange(simulateNextDueRange(state, 0, scheduler, deckOptions)),
+    hard: formatDueRange(simulateNextDueRange(state, 1, scheduler, deckOptions)),
+    good: formatDueRange(simulateNextDueRange(state, 2, scheduler, deckOptions)),
+    easy: formatDueRange(simulateNextDueRange(state, 3, scheduler, deckOptions))
   };
   let html = '<div class="result ' + (correct ? 'ok' : 'ng') + '">';
   
@@ -1597,8 +2011,9 @@ async function showResult(question, userAnswer, feedback) {
     const missesStr = feedback.misses.length ? feedback.misses.join(', ') : '없음';
     // Always display as 100-point scale
     const scoreLabel = `${Math.round((Number(feedback.score) || 0) * 100)}/100`;
+    const stageStr = feedback.matchedBy ? ` • 판정: ${feedback.matchedBy}` : '';
     html += `<div style="font-size:14px;color:var(--muted);margin-bottom:8px">`;
-    html += `점수: ${scoreLabel} • 일치: [${hitsStr}] • 누락: [${missesStr}]${feedback.notes ? ' • ' + feedback.notes : ''}`;
+    html += `점수: ${scoreLabel} • 일치: [${hitsStr}] • 누락: [${missesStr}]${stageStr}${feedback.notes ? ' • ' + feedback.notes : ''}`;
     html += `</div>`;
   }
   
@@ -1620,14 +2035,21 @@ async function showResult(question, userAnswer, feedback) {
         html += `<span class="keyword-match" style="${found ? '' : 'opacity:0.5'}">${k}${found ? ' ✓' : ''}</span>`;
       });
       html += '</div>';
+    } else if (question.type === 'CODE') {
+      html += `<div>예상 출력:</div><pre class="code-block code-output"><code>${escapeHtml(question.answer || '')}</code></pre>`;
     } else if (question.answer && question.type !== 'ESSAY') {
       // For non-ESSAY questions, show the answer separately
-      html += `<div>정답: <strong>${question.answer}</strong></div>`;
+      const tolerance = question.type === 'NUMERIC' && question.tolerance ? ` (허용 오차 ±${escapeHtml(String(question.tolerance))})` : '';
+      html += `<div>정답: <strong>${escapeHtml(String(question.answer))}</strong>${tolerance}</div>`;
     }
   }
   
+  if (question.type === 'CLOZE') {
+    html += `<div class="prompt-box" style="margin-top:8px">${escapeHtml(renderClozeText(question.prompt))}</div>`;
+  }
+  
   if (question.explain) {
-    html += `<div style="margin-top:8px;color:var(--muted)">${question.explain}</div>`;
+    html += `<div style="margin-top:8px;color:var(--muted)">${renderAttachmentRefs(renderRichText(question.explain))}</div>`;
   }
   
   // Add chatbot feature when AI was used for grading (correct or incorrect)
@@ -1647,18 +2069,34 @@ async function showResult(question, userAnswer, feedback) {
     `;
   }
   
-  // Add grade buttons
+  // A wrongly failed (or only fuzzily matched) SHORT answer can be kept as a synonym
+  if (question.type === 'SHORT' && String(userAnswer || '').trim() && (!correct || feedback?.matchedBy === 'fuzzy')) {
+    html += `
+      <div class="accept-answer">
+        <button class="secondary" onclick="acceptMyAnswer()">✔ 내 답 인정</button>
+        <select id="acceptScope" aria-label="인정 범위">${Object.entries(SYNONYM_SCOPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}</select>
+      </div>
+    `;
+  }
+  
+  // Add grade buttons; the grader's suggestion is highlighted
+  const suggested = (grade) => suggestion?.grade === grade ? ' suggested' : '';
+  const suggestedLabel = (grade) => suggestion?.grade === grade ? ' (suggested)' : '';
   html += `
     <div class="grade-buttons" role="group" aria-label="Difficulty grading options">
-      <button class="grade-btn again" onclick="gradeAnswer(0)" aria-label="Again - Review this question again soon, next due ${preview.again}">Again<br><small>${preview.again}</small></button>
-      <button class="grade-btn hard" onclick="gradeAnswer(1)" aria-label="Hard - This was difficult, next due ${preview.hard}">Hard<br><small>${preview.hard}</small></button>
-      <button class="grade-btn good" onclick="gradeAnswer(2)" aria-label="Good - This was okay, next due ${preview.good}">Good<br><small>${preview.good}</small></button>
-      <button class="grade-btn easy" onclick="gradeAnswer(3)" aria-label="Easy - This was easy, next due ${preview.easy}">Easy<br><small>${preview.easy}</small></button>
+      <button class="grade-btn again${suggested(0)}" onclick="gradeAnswer(0)" aria-label="Again - Review this question again soon, next due ${preview.again}${suggestedLabel(0)}">Again<br><small>${preview.again}</small></button>
+      <button class="grade-btn hard${suggested(1)}" onclick="gradeAnswer(1)" aria-label="Hard - This was difficult, next due ${preview.hard}${suggestedLabel(1)}">Hard<br><small>${preview.hard}</small></button>
+      <button class="grade-btn good${suggested(2)}" onclick="gradeAnswer(2)" aria-label="Good - This was okay, next due ${preview.good}${suggestedLabel(2)}">Good<br><small>${preview.good}</small></button>
+      <button class="grade-btn easy${suggested(3)}" onclick="gradeAnswer(3)" aria-label="Easy - This was easy, next due ${preview.easy}${suggestedLabel(3)}">Easy<br><small>${preview.easy}</small></button>
     </div>
   `;
+  if (suggestion) {
+    html += `<div class="grade-suggestion">추천: <strong>${GRADE_LABELS[suggestion.grade]}</strong> — ${escapeHtml(suggestion.reason)}${autoGrade ? ' · 잠시 후 자동 적용' : ''}</div>`;
+  }
   
   html += '</div>';
   resultArea.innerHTML = html;
+  hydrateAttachments(resultArea);
 }
 
 async function finishSession() {
@@ -1714,6 +2152,7 @@ async function finishSession() {
      <div style="margin:20px 0">
        <span class="badge success">정답 ${session.ok}</span>
        <span class="badge danger">오답 ${session.ng}</span>
+       ${session.buried?.length ? `<span class="badge">내일로 미룬 형제 카드 ${session.buried.length}</span>` : ''}
      </div>
      <button onclick="startSession()" class="success">다시 학습하기</button>
    </div>
@@ -1768,6 +2207,61 @@ async function addQuestionLegacy() {
     }
     const fuzzyToggle = document.getElementById('shortFuzzyToggle');
     question.shortFuzzy = !!(fuzzyToggle ? fuzzyToggle.checked : true);
+  } else if (type === 'NUMERIC') {
+    const answer = document.getElementById('newNumericAnswer').value.trim();
+    if (!parseNumericAnswer(answer)) {
+      showToast('숫자 정답을 입력하세요 (예: 128 bit, 10-20 ms)', 'warning');
+      return;
+    }
+    const tolerance = document.getElementById('newTolerance').value.trim();
+    if (!parseTolerance(tolerance)) {
+      showToast('허용 오차 형식이 올바르지 않습니다 (예: 0.5, 5%, 2 ms)', 'warning');
+      return;
+    }
+    question.answer = answer;
+    if (tolerance) question.tolerance = tolerance;
+  } else if (type === 'MCQ') {
+    const { options, correctOptions } = parseOptionList(document.getElementById('newOptions').value.split('\n'));
+    const multiSelect = !!document.getElementById('newMultiSelect')?.checked;
+    const error = validateChoiceQuestion({ options, correctOptions, multiSelect });
+    if (error) {
+      showToast(error, 'warning');
+      return;
+    }
+    Object.assign(question, { options, correctOptions, multiSelect });
+    question.answer = describeCorrectOptions(question);
+  } else if (type === 'ORDER') {
+    const items = parseOrderItems(document.getElementById('newOrderItems').value.split('\n'));
+    const error = validateOrderItems(items);
+    if (error) {
+      showToast(error, 'warning');
+      return;
+    }
+    question.items = items;
+    question.answer = describeOrder(items);
+  } else if (type === 'MATCH') {
+    const pairs = parsePairs(document.getElementById('newPairs').value.split('\n'));
+    const error = validatePairs(pairs);
+    if (error) {
+      showToast(error, 'warning');
+      return;
+    }
+    question.pairs = pairs;
+    question.answer = describePairs(pairs);
+  } else if (type === 'CODE') {
+    const code = document.getElementById('newCode').value.replace(/\s+$/, '');
+    const answer = document.getElementById('newExpectedOutput').value.trim();
+    if (!code || !answer) {
+      showToast('코드와 예상 출력을 입력하세요', 'warning');
+      return;
+    }
+    Object.assign(question, { code, language: document.getElementById('newLanguage').value, answer });
+  } else if (type === 'CLOZE') {
+    if (!hasCloze(prompt)) {
+      showToast('빈칸을 {{c1::정답}} 형식으로 표시하세요', 'warning');
+      return;
+    }
+    question.shortFuzzy = !!document.getElementById('clozeFuzzyToggle')?.checked;
   } else if (type === 'ESSAY') {
     const keywords = document.getElementById('newKeywords').value
       .split(',')
@@ -1788,17 +2282,36 @@ async function addQuestionLegacy() {
       question.keywordThreshold = thr;
     }
   }
+ if (STRICTNESS_TYPES.includes(type)) {
+   question.strictness = document.getElementById('newStrictness').value;
+ }
+ const { valid, errors } = validateQuestion(question);
+ if (!valid) {
+   showToast(Object.values(errors)[0], 'warning');
+   return;
+ }
  
- await DataStore.addQuestion(question);
+ // A cloze text becomes one card per cloze number
+ const cards = type === 'CLOZE' ? buildClozeCards(prompt, question) : [question];
+ for (const card of cards) {
+   await DataStore.addQuestion(card);
+ }
  
  // 입력 필드 초기화
  document.getElementById('newPrompt').value = '';
  document.getElementById('newAnswer').value = '';
  document.getElementById('newSynonyms').value = '';
  document.getElementById('newKeywords').value = '';
+ document.getElementById('newNumericAnswer').value = '';
+ document.getElementById('newTolerance').value = '';
+ document.getElementById('newOptions').value = '';
+ document.getElementById('newOrderItems').value = '';
+ document.getElementById('newPairs').value = '';
+ document.getElementById('newCode').value = '';
+ document.getElementById('newExpectedOutput').value = '';
  document.getElementById('newExplain').value = '';
  
- showToast('문제가 추가되었습니다!', 'success');
+ showToast(cards.length > 1 ? `${cards.length}개 카드가 추가되었습니다!` : '문제가 추가되었습니다!', 'success');
  await updateQuestionList();
 }
 
@@ -1807,10 +2320,23 @@ function updateAnswerField() {
  const answerField = document.getElementById('answerField');
  const synonymField = document.getElementById('synonymField');
  const keywordField = document.getElementById('keywordField');
+ const numericField = document.getElementById('numericField');
+ const mcqField = document.getElementById('mcqField');
+ const clozeField = document.getElementById('clozeField');
+ const orderField = document.getElementById('orderField');
+ const codeField = document.getElementById('codeField');
+ const matchField = document.getElementById('matchField');
  const fuzzyToggle = document.getElementById('shortFuzzyToggle');
  const thrMode = document.getElementById('keywordThresholdMode');
  const thrInputWrap = document.getElementById('keywordThresholdInput');
  
+ numericField.style.display = type === 'NUMERIC' ? 'block' : 'none';
+ mcqField.style.display = type === 'MCQ' ? 'block' : 'none';
+ clozeField.style.display = type === 'CLOZE' ? 'block' : 'none';
+ orderField.style.display = type === 'ORDER' ? 'block' : 'none';
+ codeField.style.display = type === 'CODE' ? 'block' : 'none';
+ matchField.style.display = type === 'MATCH' ? 'block' : 'none';
+ document.getElementById('strictnessField').style.display = STRICTNESS_TYPES.includes(type) ? 'block' : 'none';
  if (type === 'OX') {
    answerField.style.display = 'block';
    synonymField.style.display = 'none';
@@ -1823,6 +2349,10 @@ function updateAnswerField() {
    synonymField.style.display = 'block';
    keywordField.style.display = 'none';
    if (fuzzyToggle) fuzzyToggle.checked = true;
+ } else if (['NUMERIC', 'MCQ', 'CLOZE', 'ORDER', 'CODE', 'MATCH'].includes(type)) {
+   answerField.style.display = 'none';
+   synonymField.style.display = 'none';
+   keywordField.style.display = 'none';
  } else if (type === 'ESSAY') {
    answerField.style.display = 'none';
    synonymField.style.display = 'none';
@@ -1881,7 +2411,8 @@ async function askChatQuestion() {
     
     // Remove loading and add AI response with markdown formatting
     document.getElementById('aiThinking').remove();
-    const formattedResponse = formatMarkdown(response);
+    // Fenced code blocks in the answer are highlighted like explanations
+    const formattedResponse = renderRichText(response);
     history.innerHTML += `<div style="margin-bottom:8px"><strong>AI:</strong> ${formattedResponse}</div>`;
     history.scrollTop = history.scrollHeight;
     
@@ -1893,19 +2424,25 @@ async function askChatQuestion() {
   }
 }
 
-// Simple markdown formatting for chat responses
-function formatMarkdown(text) {
-  if (!text) return '';
-  
-  return text
-    // Bold: **text** -> <strong>text</strong>
-    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-    // Italic: *text* -> <em>text</em>
-    .replace(/\*(.*?)\*/g, '<em>$1</em>')
-    // Code: `text` -> <code>text</code>
-    .replace(/`(.*?)`/g, '<code style="background:var(--bg-secondary);padding:2px 4px;border-radius:3px;font-family:monospace">$1</code>')
-    // Line breaks
-    .replace(/\n/g, '<br>');
+// "내 답 인정": keep the answer as a synonym, then grade it again so the suggestion follows
+async function acceptMyAnswer() {
+  const q = session.currentQuestion;
+  const answer = String(session.currentAnswer || '').trim();
+  if (!q || !answer) return;
+  const scope = document.getElementById('acceptScope')?.value || 'question';
+  try {
+    await learnSynonym(q, answer, scope);
+  } catch (error) {
+    showToast(error.message, 'warning');
+    return;
+  }
+  const feedback = await gradeSubmittedAnswer(q, answer);
+  const suggestion = suggestGrade(feedback);
+  session.currentCorrect = feedback.correct === true;
+  session.currentFeedback = feedback;
+  session.currentSuggestion = suggestion;
+  await showResult(q, answer, feedback, suggestion);
+  showToast(`"${answer}"을(를) ${SYNONYM_SCOPES[scope]}의 동의어로 추가했습니다`, 'success');
 }
 
 // Handle "I don't know" button - show correct answer and mark as incorrect
@@ -1916,6 +2453,9 @@ async function showDontKnowAnswer() {
   session.currentQuestion = q;
   session.currentAnswer = '';
   session.currentCorrect = false;
+  session.currentFeedback = { correct: false, score: 0, grader: 'local' };
+  session.currentSuggestion = null;
+  session.currentElapsedMs = session.shownAt ? Date.now() - session.shownAt : null;
   
   // Show the correct answer immediately
   await showResult(q, '', { correct: false, score: 0, hits: [], misses: [q.answer] });
@@ -2033,6 +2573,438 @@ async function deleteDeck(deckId) {
 	await updateAllLists();
 }
 
+async function setDeckScheduler(deckId, scheduler) {
+ if (!SCHEDULERS[scheduler]) return;
+ try {
+   await updateDeck(deckId, { scheduler });
+   showToast(`복습 알고리즘이 ${SCHEDULERS[scheduler].label}(으)로 변경되었습니다`, 'success');
+ } catch (error) {
+   console.error('Failed to update deck scheduler:', error);
+   showToast('복습 알고리즘 변경에 실패했습니다', 'danger');
+   await updateDeckList();
+ }
+}
+
+async function openDeckOptions(deckId) {
+ const deck = await db.decks.get(deckId);
+ if (!deck) { showToast('덱을 찾을 수 없습니다', 'danger'); return; }
+ const o = resolveDeckOptions(deck);
+ const field = (id, label, value, attrs = '') => `
+     <div>
+       <label style="color:var(--muted);font-size:14px" for="${id}">${label}</label>
+       <input id="${id}" value="${escapeHtml(String(value))}" ${attrs}>
+     </div>`;
+ const html = `
+   <h3 style="margin-top:0">${escapeHtml(deck.name)} · 학습 옵션</h3>
+   <div class="grid grid-2">
+     ${field('optLearningSteps', '학습 단계 (분, 예: 1m 10m 1h)', formatSteps(o.learningSteps), 'type="text"')}
+     ${field('optRelearningSteps', '재학습 단계', formatSteps(o.relearningSteps), 'type="text"')}
+     ${field('optGraduatingInterval', '졸업 간격 (일)', o.graduatingInterval, 'type="number" min="1"')}
+     ${field('optEasyInterval', 'Easy 졸업 간격 (일)', o.easyInterval, 'type="number" min="1"')}
+     ${field('optEasyBonus', 'Easy 보너스 (배수)', o.easyBonus, 'type="number" min="1" step="0.05"')}
+     ${field('optMaxInterval', '최대 간격 (일)', o.maxInterval, 'type="number" min="1"')}
+     ${field('optNewPerDay', '하루 새 문제 수', o.newCardsPerDay, 'type="number" min="0"')}
+     ${field('optTargetRetention', '목표 기억률 (FSRS)', o.targetRetention, 'type="number" min="0.7" max="0.99" step="0.01"')}
+   </div>
+   <div style="margin-top:8px">
+     <label style="color:var(--muted);font-size:14px" for="optBurySiblings">같은 그룹(group:*) 형제 카드 묻어두기</label>
+     <select id="optBurySiblings">
+       ${[['none', '사용 안 함'], ['new', '새 문제'], ['review', '복습 문제']].map(([v, label]) => `<option value="${v}" ${o.burySiblings === v ? 'selected' : ''}>${label}</option>`).join('')}
+     </select>
+   </div>
+   <div style="margin-top:8px"><input type="checkbox" id="optFuzz" ${o.fuzz !== false ? 'checked' : ''}> <span style="font-size:14px;color:var(--muted)">복습 간격 분산 (fuzz + 일별 부하 분산)</span></div>
+   <div class="hint">학습 단계가 비어 있으면 첫 정답에서 바로 졸업합니다.${deck.options?.sm2Params || deck.options?.fsrsWeights ? ' 이 덱은 최적화된 복습 파라미터를 사용 중입니다.' : ''}</div>
+   <div style="display:flex;justify-content:flex-end;gap:8px;margin-top:12px">
+     <button class="secondary" onclick="resetDeckOptions(${deckId}, this)">기본값</button>
+     <button class="secondary" onclick="closeDeckOptions(this)">취소</button>
+     <button class="success" onclick="saveDeckOptions(${deckId}, this)">저장</button>
+   </div>
+ `;
+ const overlay = createModal(html);
+ overlay.dataset.modal = 'deck-options';
+}
+
+function closeDeckOptions(el) {
+ const overlay = el.closest('.modal')?.parentElement;
+ if (overlay) closeModal(overlay);
+}
+
+async function saveDeckOptions(deckId, btn) {
+ const num = (id) => Number(document.getElementById(id).value);
+ const options = {
+   learningSteps: parseSteps(document.getElementById('optLearningSteps').value),
+   relearningSteps: parseSteps(document.getElementById('optRelearningSteps').value),
+   graduatingInterval: num('optGraduatingInterval'),
+   easyInterval: num('optEasyInterval'),
+   easyBonus: num('optEasyBonus'),
+   maxInterval: num('optMaxInterval'),
+   newCardsPerDay: num('optNewPerDay'),
+   targetRetention: num('optTargetRetention'),
+   fuzz: document.getElementById('optFuzz').checked,
+   burySiblings: document.getElementById('optBurySiblings').value
+ };
+ const invalid = ['graduatingInterval', 'easyInterval', 'maxInterval'].some(k => !Number.isFinite(options[k]) || options[k] < 1)
+   || !Number.isFinite(options.easyBonus) || options.easyBonus < 1
+   || !Number.isFinite(options.newCardsPerDay) || options.newCardsPerDay < 0
+   || !(options.targetRetention >= 0.7 && options.targetRetention <= 0.99);
+ if (invalid) {
+   showToast('옵션 값을 확인해주세요', 'warning');
+   return;
+ }
+ if (options.graduatingInterval > options.maxInterval) {
+   showToast('졸업 간격은 최대 간격보다 클 수 없습니다', 'warning');
+   return;
+ }
+ // Keep optimizer-fitted parameters stored alongside the editable options
+ const deck = await db.decks.get(deckId);
+ await updateDeck(deckId, { options: { ...(deck?.options || {}), ...options } });
+ closeDeckOptions(btn);
+ showToast('덱 옵션이 저장되었습니다', 'success');
+}
+
+async function resetDeckOptions(deckId, btn) {
+ // Only the dialog's fields go back to their defaults; optimizer-fitted parameters stay
+ const deck = await db.decks.get(deckId);
+ await updateDeck(deckId, { options: { ...(deck?.options || {}), ...DEFAULT_DECK_OPTIONS } });
+ closeDeckOptions(btn);
+ showToast('덱 옵션을 기본값으로 되돌렸습니다', 'success');
+}
+
+// ========== Scheduler Parameter Optimizer ==========
+let lastOptimizerResult = null;
+
+async function openSchedulerOptimizer() {
+ const decks = await getDecks();
+ const globalParams = await getGlobalSchedulerParams();
+ const hasGlobal = !!(globalParams.sm2Params || globalParams.fsrsWeights);
+ const html = `
+   <h3 style="margin-top:0">복습 파라미터 최적화</h3>
+   <div class="grid grid-2">
+     <div>
+       <label style="color:var(--muted);font-size:14px" for="optimizerAlgorithm">알고리즘</label>
+       <select id="optimizerAlgorithm">
+         ${Object.values(SCHEDULERS).map(s => `<option value="${s.id}">${s.label}</option>`).join('')}
+       </select>
+     </div>
+     <div>
+       <label style="color:var(--muted);font-size:14px" for="optimizerScope">학습 기록 범위</label>
+       <select id="optimizerScope">
+         <option value="">전체 덱</option>
+         ${decks.map(d => `<option value="${d.id}">${escapeHtml(d.name)}</option>`).join('')}
+       </select>
+     </div>
+   </div>
+   <div class="hint">답변 기록으로 기억 예측의 log-loss가 가장 작은 파라미터를 찾습니다. 계산은 백그라운드에서 실행됩니다.</div>
+   <div id="optimizerStatus" style="margin-top:12px"></div>
+   <div style="display:flex;justify-content:flex-end;gap:8px;margin-top:12px">
+     ${hasGlobal ? '<button class="secondary" onclick="resetGlobalSchedulerParams(this)">전체 파라미터 초기화</button>' : ''}
+     <button class="secondary" onclick="closeDeckOptions(this)">닫기</button>
+     <button class="success" id="optimizerRunBtn" onclick="runSchedulerOptimizer()">실행</button>
+   </div>
+ `;
+ const overlay = createModal(html);
+ overlay.dataset.modal = 'scheduler-optimizer';
+}
+
+async function runSchedulerOptimizer() {
+ const status = document.getElementById('optimizerStatus');
+ const runBtn = document.getElementById('optimizerRunBtn');
+ const algorithm = document.getElementById('optimizerAlgorithm').value;
+ const deckId = document.getElementById('optimizerScope').value ? Number(document.getElementById('optimizerScope').value) : null;
+ 
+ const globalParams = await getGlobalSchedulerParams();
+ const deck = deckId !== null ? await db.decks.get(deckId) : null;
+ const options = resolveDeckOptions(deck, globalParams);
+ const log = (await DataStore.getReviewLog()).filter(e => deckId === null || Number(e.deck) === deckId);
+ 
+ lastOptimizerResult = null;
+ runBtn.disabled = true;
+ status.textContent = `답변 기록 ${log.length}건 분석 중...`;
+ 
+ const worker = new Worker(new URL('./src/workers/optimizer-worker.js', import.meta.url), { type: 'module' });
+ worker.onmessage = (event) => {
+   const msg = event.data;
+   if (msg.type === 'progress') {
+     status.textContent = `최적화 중... (${msg.iteration}/${msg.maxIterations}, log-loss ${msg.logLoss.toFixed(4)})`;
+     return;
+   }
+   worker.terminate();
+   runBtn.disabled = false;
+   if (msg.type === 'error') {
+     status.textContent = '';
+     showToast(`최적화 실패: ${msg.message}`, 'danger');
+     return;
+   }
+   const result = msg.result;
+   if (!result.ok) {
+     status.textContent = `복습 기록이 부족합니다 (복습 ${result.samples}건 / 최소 ${result.minSamples}건)`;
+     return;
+   }
+   lastOptimizerResult = { ...result, deckId };
+   renderOptimizerResult(status, lastOptimizerResult);
+ };
+ worker.onerror = (event) => {
+   worker.terminate();
+   runBtn.disabled = false;
+   status.textContent = '';
+   console.error('Optimizer worker failed:', event);
+   showToast('최적화 작업을 실행할 수 없습니다', 'danger');
+ };
+ worker.postMessage({ log, algorithm, options });
+}
+
+function renderOptimizerResult(container, result) {
+ const pct = (v) => `${(v * 100).toFixed(1)}%`;
+ const row = (label, before, after) => `
+   <tr><td style="color:var(--muted)">${label}</td><td>${before}</td><td>${after}</td></tr>`;
+ container.innerHTML = `
+   <table style="width:100%;font-size:14px">
+     <tr><th></th><th>현재</th><th>최적화 후</th></tr>
+     ${row('예상 기억률', pct(result.before.retention), pct(result.after.retention))}
+     ${row('log-loss', result.before.logLoss.toFixed(4), result.after.logLoss.toFixed(4))}
+   </table>
+   <div class="hint">실제 기억률 ${pct(result.before.actualRetention)} · 복습 ${result.samples}건 기준</div>
+   <div style="display:flex;justify-content:flex-end;gap:8px;margin-top:8px">
+     ${result.deckId !== null ? '<button class="secondary" onclick="applyOptimizedParams(\'deck\', this)">이 덱에 적용</button>' : ''}
+     <button class="success" onclick="applyOptimizedParams('global', this)">모든 덱에 적용</button>
+   </div>
+ `;
+}
+
+async function applyOptimizedParams(target, btn) {
+ const result = lastOptimizerResult;
+ if (!result?.ok) return;
+ if (target === 'deck') {
+   const deck = await db.decks.get(result.deckId);
+   await updateDeck(result.deckId, { options: { ...(deck?.options || {}), ...result.params } });
+   showToast(`${deck?.name || '덱'}에 최적화된 파라미터를 적용했습니다`, 'success');
+ } else {
+   const current = await getGlobalSchedulerParams();
+   await setGlobalSchedulerParams({ ...current, ...result.params });
+   showToast('모든 덱에 최적화된 파라미터를 적용했습니다 (덱별 파라미터가 있으면 덱 설정 우선)', 'success');
+ }
+ lastOptimizerResult = null;
+ closeDeckOptions(btn);
+}
+
+async function resetGlobalSchedulerParams(btn) {
+ await setGlobalSchedulerParams({});
+ closeDeckOptions(btn);
+ showToast('전체 복습 파라미터를 기본값으로 되돌렸습니다', 'success');
+}
+
+// ========== Grade Calibration ==========
+// Answers graded differently from the suggestion are logged with both grades; refitting the
+// pass thresholds on them makes future suggestions agree with how the learner actually grades.
+let lastCalibration = null;
+
+async function openGradeCalibration() {
+ const current = getPassThresholds();
+ const log = await DataStore.getReviewLog();
+ lastCalibration = calibratePassThresholds(log, current);
+ const pct = (v) => `${Math.round(v * 100)}%`;
+ const row = (label, key) => {
+   const r = lastCalibration[key];
+   const after = r.ok ? `${pct(r.threshold)} <small style="color:var(--muted)">(불일치 ${r.before} → ${r.after})</small>` : '<small style="color:var(--muted)">기록 부족</small>';
+   return `<tr><td style="color:var(--muted)">${label}</td><td>${pct(current[key])}</td><td>${after}</td><td>${r.overrides}/${r.samples}</td></tr>`;
+ };
+ const canApply = ['short', 'keyword'].some(key => lastCalibration[key].ok && lastCalibration[key].threshold !== current[key]);
+ const html = `
+   <h3 style="margin-top:0">채점 기준 보정</h3>
+   <table style="width:100%;font-size:14px">
+     <tr><th></th><th>현재</th><th>보정 후</th><th>변경/부분 점수</th></tr>
+     ${row('단답형 키워드 통과 (SHORT_PASS)', 'short')}
+     ${row('키워드·서술형 통과 (KEYWORD_PASS)', 'keyword')}
+   </table>
+   <div class="hint">부분 점수를 받은 답에서 추천 등급 대신 고른 등급을 기준으로 통과 기준을 다시 계산합니다 (유형별 최소 ${CALIBRATION_MIN_SAMPLES}건).</div>
+   <div style="display:flex;justify-content:flex-end;gap:8px;margin-top:12px">
+     <button class="secondary" onclick="resetGradeCalibration(this)">기본값으로</button>
+     <button class="secondary" onclick="closeDeckOptions(this)">닫기</button>
+     <button class="success" onclick="applyGradeCalibration(this)" ${canApply ? '' : 'disabled'}>적용</button>
+   </div>
+ `;
+ const overlay = createModal(html);
+ overlay.dataset.modal = 'grade-calibration';
+}
+
+async function applyGradeCalibration(btn) {
+ const result = lastCalibration;
+ if (!result) return;
+ const next = getPassThresholds();
+ ['short', 'keyword'].forEach(key => { if (result[key].ok) next[key] = result[key].threshold; });
+ await setStoredPassThresholds(next);
+ lastCalibration = null;
+ closeDeckOptions(btn);
+ showToast('채점 기준을 보정했습니다', 'success');
+}
+
+async function resetGradeCalibration(btn) {
+ await setStoredPassThresholds({});
+ lastCalibration = null;
+ closeDeckOptions(btn);
+ showToast('채점 기준을 기본값으로 되돌렸습니다', 'success');
+}
+
+// ========== Learned Synonyms Review ==========
+async function openLearnedSynonyms() {
+ const html = `
+   <h3 style="margin-top:0">학습된 동의어</h3>
+   <div id="learnedSynonymList" style="max-height:60vh;overflow-y:auto"></div>
+   <div class="hint">결과 화면의 "내 답 인정"으로 추가된 답입니다. 삭제하면 채점에서 더 이상 인정되지 않습니다.</div>
+   <div style="display:flex;justify-content:flex-end;gap:8px;margin-top:12px">
+     <button class="secondary" onclick="closeDeckOptions(this)">닫기</button>
+   </div>
+ `;
+ const overlay = createModal(html);
+ overlay.dataset.modal = 'learned-synonyms';
+ await renderLearnedSynonymList();
+}
+
+async function renderLearnedSynonymList() {
+ const list = document.getElementById('learnedSynonymList');
+ if (!list) return;
+ const [entries, decks] = await Promise.all([getLearnedSynonyms(), getDecks()]);
+ if (entries.length === 0) {
+   list.innerHTML = '<div class="hint">아직 인정한 답이 없습니다.</div>';
+   return;
+ }
+ const deckName = (id) => decks.find(d => d.id === Number(id))?.name || '(삭제된 덱)';
+ const scopeLabel = (e) => e.scope === 'global' ? SYNONYM_SCOPES.global : e.scope === 'deck' ? `덱: ${deckName(e.deck)}` : `문제 #${e.questionId}`;
+ list.innerHTML = `
+   <table style="width:100%;font-size:14px">
+     <tr><th>정답</th><th>인정한 답</th><th>범위</th><th>추가일</th><th></th></tr>
+     ${entries.slice().reverse().map(e => `
+       <tr>
+         <td>${escapeHtml(e.answer || '')}</td>
+         <td><strong>${escapeHtml(e.synonym)}</strong></td>
+         <td style="color:var(--muted)">${escapeHtml(scopeLabel(e))}</td>
+         <td style="color:var(--muted)">${String(e.created || '').slice(0, 10)}</td>
+         <td><button class="danger" style="padding:4px 8px" onclick="forgetLearnedSynonym(${e.id})">삭제</button></td>
+       </tr>`).join('')}
+   </table>
+ `;
+}
+
+async function forgetLearnedSynonym(id) {
+ await forgetSynonym(id);
+ await renderLearnedSynonymList();
+ showToast('동의어를 삭제했습니다', 'success');
+}
+
+// ========== Reschedule Tools (backlog / set due / reset) ==========
+// Each edit runs in one transaction; the review rows it touched are kept so it can be undone
+let lastReviewEdit = null;
+
+async function applyReviewEdit(label, questionIds, mutate) {
+ let rows = [];
+ await db.transaction('rw', db.review, async () => {
+   rows = await db.review.where('questionId').anyOf(questionIds).toArray();
+   await mutate();
+ });
+ lastReviewEdit = { label, questionIds, rows };
+ const undoBtn = document.getElementById('undoReviewEditBtn'); if (undoBtn) undoBtn.disabled = false;
+}
+
+async function undoLastReviewEdit() {
+ const edit = lastReviewEdit;
+ if (!edit) { showToast('되돌릴 일정 변경이 없습니다', 'warning'); return; }
+ await db.transaction('rw', db.review, async () => {
+   await db.review.where('questionId').anyOf(edit.questionIds).delete();
+   if (edit.rows.length > 0) await db.review.bulkPut(edit.rows);
+ });
+ lastReviewEdit = null;
+ const undoBtn = document.getElementById('undoReviewEditBtn'); if (undoBtn) undoBtn.disabled = true;
+ showToast(`${edit.label}을(를) 되돌렸습니다`, 'success');
+ await updateAllLists();
+}
+
+async function openRescheduleBacklog() {
+ const rows = await db.review.toArray();
+ const backlog = planBacklogReschedule(rows, 1).length;
+ if (backlog === 0) { showToast('밀린 복습이 없습니다', 'info'); return; }
+ const html = `
+   <h3 style="margin-top:0">밀린 복습 재분배</h3>
+   <div class="hint">밀린 복습 ${backlog}개를 오늘부터 며칠에 걸쳐 나눕니다. 잊었을 가능성이 큰 문제가 먼저 나옵니다.</div>
+   <div class="grid grid-2" style="margin-top:8px">
+     <div>
+       <label style="color:var(--muted);font-size:14px" for="backlogDays">분산 일수</label>
+       <input id="backlogDays" type="number" min="1" max="60" value="7">
+     </div>
+     <div>
+       <label style="color:var(--muted);font-size:14px" for="backlogPriority">우선순위</label>
+       <select id="backlogPriority">
+         <option value="retrievability">기억 확률 낮은 순</option>
+         <option value="ease">Ease 낮은 순</option>
+       </select>
+     </div>
+   </div>
+   <div style="display:flex;justify-content:flex-end;gap:8px;margin-top:12px">
+     <button class="secondary" onclick="closeDeckOptions(this)">취소</button>
+     <button class="success" onclick="rescheduleBacklog(this)">재분배</button>
+   </div>
+ `;
+ const overlay = createModal(html);
+ overlay.dataset.modal = 'reschedule-backlog';
+}
+
+async function rescheduleBacklog(btn) {
+ const days = parseInt(document.getElementById('backlogDays').value, 10);
+ const priority = document.getElementById('backlogPriority').value;
+ if (!Number.isFinite(days) || days < 1) { showToast('분산 일수를 확인해주세요', 'warning'); return; }
+ const plan = planBacklogReschedule(await db.review.toArray(), days, priority);
+ if (plan.length === 0) { closeDeckOptions(btn); return; }
+ await applyReviewEdit('밀린 복습 재분배', plan.map(p => p.questionId), async () => {
+   for (const { questionId, due } of plan) {
+     await db.review.where('questionId').equals(questionId).modify({ due, updated: new Date() });
+   }
+ });
+ closeDeckOptions(btn);
+ showToast(`밀린 복습 ${plan.length}개를 ${days}일에 나눴습니다`, 'success');
+ await updateAllLists();
+}
+
+async function openSetDueDate(questionId) {
+ const tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+ const html = `
+   <h3 style="margin-top:0">복습 날짜 지정</h3>
+   <div>
+     <label style="color:var(--muted);font-size:14px" for="setDueDateInput">다음 복습일</label>
+     <input id="setDueDateInput" type="date" min="${todayStr()}" value="${tomorrow}">
+   </div>
+   <div class="hint">새 문제는 복습 문제로 바뀝니다.</div>
+   <div style="display:flex;justify-content:flex-end;gap:8px;margin-top:12px">
+     <button class="secondary" onclick="closeDeckOptions(this)">취소</button>
+     <button class="success" onclick="setDueDate(${questionId}, this)">저장</button>
+   </div>
+ `;
+ const overlay = createModal(html);
+ overlay.dataset.modal = 'set-due-date';
+}
+
+async function setDueDate(questionId, btn) {
+ const value = document.getElementById('setDueDateInput').value;
+ const days = Math.round((Date.parse(value) - Date.parse(todayStr())) / 86400000);
+ if (!value || !Number.isFinite(days) || days < 0) { showToast('날짜를 확인해주세요', 'warning'); return; }
+ await applyReviewEdit('복습 날짜 지정', [questionId], async () => {
+   const prev = await DataStore.getReviewByQuestion(questionId);
+   await DataStore.setReview(questionId, setDueInDays(prev, days));
+ });
+ closeDeckOptions(btn);
+ showToast(`다음 복습일을 ${value}(으)로 지정했습니다`, 'success');
+ await updateAllLists();
+}
+
+async function resetCardToNew(questionId) {
+ const existing = await DataStore.getReviewByQuestion(questionId);
+ if (!existing) { showToast('이미 새 문제입니다', 'info'); return; }
+ if (!confirm('학습 진행 상황을 지우고 새 문제로 되돌리시겠습니까? (답변 기록은 유지됩니다)')) return;
+ await applyReviewEdit('새 문제로 초기화', [questionId], async () => {
+   await db.review.where('questionId').equals(questionId).delete();
+ });
+ showToast('새 문제로 초기화했습니다', 'success');
+ await updateAllLists();
+}
+
 async function deleteQuestion(id) {
  if (!confirm('이 문제를 삭제하시겠습니까?')) {
    return;
@@ -2059,8 +3031,9 @@ async function updateHeader() {
 
 async function getDueCount() {
  const review = await getReview();
- const today = todayStr();
- return Object.values(review).filter(r => r.due <= today).length;
+ const now = new Date();
+ const buried = new Set(getDailyStats().buried);
+ return Object.values(review).filter(r => isReviewDue(r, now) && !buried.has(r.questionId)).length;
 }
 
 async function updateProgress() {
@@ -2169,12 +3142,23 @@ async function updateDeckList() {
    const count = await db.questions.where('deck').equals(d.id).count();
    console.log(`Deck "${d.name}" (ID: ${d.id}): ${count} questions`);
    
+   const scheduler = d.scheduler || DEFAULT_SCHEDULER;
+   const schedulerOptions = Object.values(SCHEDULERS)
+     .map(s => `<option value="${s.id}" ${s.id === scheduler ? 'selected' : ''}>${s.label}</option>`)
+     .join('');
+   
    html += `
      <div class="question-item">
-       <div>
+       <div style="flex:1">
          <strong>${d.name}</strong>
          <span class="badge">${count}문제</span>
        </div>
+       <select onchange="setDeckScheduler(${d.id}, this.value)" aria-label="${escapeHtml(d.name)} 복습 알고리즘" style="width:auto;margin-right:8px">
+         ${schedulerOptions}
+       </select>
+       <button class="secondary" onclick="openDeckOptions(${d.id})" style="padding:6px 12px;margin-right:8px">
+         옵션
+       </button>
        <button class="danger" onclick="deleteDeck(${d.id})" style="padding:6px 12px">
          삭제
        </button>
@@ -2204,6 +3188,11 @@ async function updateQuestionList() {
 	});
 	console.log('Filter values:', { search, type, tag, deckId });
 
+	if (isServerMode()) {
+		scheduleServerQuestionList({ deck: deckId, type, tag, search });
+		return;
+	}
+
 	let query;
 	
 	// Start with deck filter if specified (most efficient)
@@ -2273,25 +3262,87 @@ async function updateQuestionList() {
 
 	let html = '';
 	questions.forEach((q, index) => {
-		const deckName = deckMap.get(q.deck) || '알 수 없음';
-		html += `
-      <div class="question-item" draggable="true" data-question-id="${q.id}" data-index="${index}"
-           ondragstart="handleDragStart(event)" ondragover="handleDragOver(event)" 
-           ondrop="handleDrop(event)" ondragend="handleDragEnd(event)">
-        <div class="drag-handle">⋮⋮</div>
+		html += questionItemHtml(q, index, deckMap.get(q.deck) || '알 수 없음');
+	});
+
+	document.getElementById('questionList').innerHTML = html || '<div style="text-align:center;color:var(--muted);padding:20px">문제가 없습니다</div>';
+}
+
+// Server-list rows have no local question to act on, so they are listed without actions
+function questionItemHtml(q, index, deckName, { draggable = true, actions = true, badge = '' } = {}) {
+	const dragAttrs = draggable
+		? `draggable="true" ondragstart="handleDragStart(event)" ondragover="handleDragOver(event)" 
+           ondrop="handleDrop(event)" ondragend="handleDragEnd(event)"`
+		: '';
+	return `
+      <div class="question-item" data-question-id="${q.id}" data-index="${index}" ${dragAttrs}>
+        ${draggable ? '<div class="drag-handle">⋮⋮</div>' : ''}
         <div style="flex:1">
-          <div class="badge">${deckName} · ${q.type}</div>
-          <div style="margin-top:4px">${escapeHtml(q.prompt.substring(0, 50))}...</div>
+          <div class="badge">${escapeHtml(deckName)} · ${escapeHtml(q.type)}${badge ? ` · ${badge}` : ''}</div>
+          <div style="margin-top:4px">${escapeHtml((q.prompt || '').substring(0, 50))}...</div>
         </div>
-        <div style="display:flex; gap:8px">
+        ${actions ? `<div style="display:flex; gap:8px">
           <button class="secondary" onclick="openEditQuestion(${q.id})" style="padding:6px 12px">수정</button>
+          <button class="secondary" onclick="openSetDueDate(${q.id})" style="padding:6px 12px">기한</button>
+          <button class="secondary" onclick="resetCardToNew(${q.id})" style="padding:6px 12px">새 문제로</button>
           <button class="danger" onclick="deleteQuestion(${q.id})" style="padding:6px 12px">삭제</button>
-        </div>
+        </div>` : ''}
       </div>
     `;
-	});
+}
 
-	document.getElementById('questionList').innerHTML = html || '<div style="text-align:center;color:var(--muted);padding:20px">문제가 없습니다</div>';
+// ========== 문제 목록: 서버 모드 ==========
+// Filtering, search and paging run on the server, one page at a time. Rows are listed without
+// actions: a row's clientId is only the IndexedDB key on the device that wrote it, so it can
+// name an unrelated question here. Drag-reordering is off because a page is only part of the deck.
+const SERVER_SEARCH_DELAY_MS = 250;
+let serverListTimer = null;
+let serverListRequest = 0;
+let serverListState = null; // { filters, cursor, shown, total }
+
+function scheduleServerQuestionList(filters) {
+	clearTimeout(serverListTimer);
+	serverListTimer = setTimeout(() => loadServerQuestionPage(filters, null), SERVER_SEARCH_DELAY_MS);
+}
+
+function loadMoreServerQuestions() {
+	if (serverListState?.cursor) loadServerQuestionPage(serverListState.filters, serverListState.cursor);
+}
+
+async function loadServerQuestionPage(filters, cursor) {
+	const request = ++serverListRequest;
+	const listEl = document.getElementById('questionList');
+	if (!listEl) return;
+	let page;
+	try {
+		page = await fetchQuestionPage(filters, cursor);
+	} catch (error) {
+		if (request !== serverListRequest) return;
+		listEl.innerHTML = `<div style="text-align:center;color:var(--danger);padding:20px">서버 목록을 불러오지 못했습니다: ${escapeHtml(error.message)}</div>`;
+		return;
+	}
+	const decks = await getDecks();
+	// A newer filter or page request superseded this one
+	if (request !== serverListRequest) return;
+	const deckMap = new Map(decks.map(d => [d.id, d.name]));
+	const start = cursor ? serverListState.shown : 0;
+	const html = page.items.map((item, i) => {
+		const deckName = deckMap.get(Number(item.deck)) || '알 수 없음';
+		return questionItemHtml(item, start + i, deckName, { draggable: false, actions: false, badge: '서버' });
+	}).join('');
+	serverListState = { filters, cursor: page.cursor, shown: start + page.items.length, total: page.total };
+	const footer = `
+      <div class="server-list-footer" style="text-align:center;color:var(--muted);padding:12px">
+        서버 문제 ${serverListState.shown} / ${page.total}개
+        ${page.more ? '<button class="secondary" onclick="loadMoreServerQuestions()" style="margin-left:8px">더 보기</button>' : ''}
+      </div>
+    `;
+	if (cursor) {
+		listEl.querySelector('.server-list-footer')?.remove();
+		listEl.insertAdjacentHTML('beforeend', html + footer);
+	} else {
+		listEl.innerHTML = page.items.length ? html + footer : '<div style="text-align:center;color:var(--muted);padding:20px">문제가 없습니다</div>';
+	}
 }
 
 // ========== 문제 수정 모달 ==========
@@ -2531,7 +3582,7 @@ achievements.sort((a, b) => {
        scheduleHtml += `
          <div style="margin-bottom:8px">
            <div style="font-size:14px">${escapeHtml(q.prompt.substring(0, 30))}...</div>
-           <div class="badge">${r.due}</div>
+           <div class="badge">${formatDueLabel(r.due)}</div>
          </div>
        `;
      }
@@ -2707,6 +3758,45 @@ async function importData(event) {
 	reader.readAsText(file);
 }
 
+// Recompute every card's schedule from the answer history using each deck's current settings
+async function rebuildReviewFromLog() {
+ try {
+   const log = await DataStore.getReviewLog();
+   if (log.length === 0) {
+     showToast('복습 기록이 없습니다', 'info');
+     return;
+   }
+   if (!confirm(`복습 기록 ${log.length}건으로 복습 일정을 다시 계산합니다. 계속하시겠습니까?`)) {
+     return;
+   }
+   
+   const decks = await getDecks();
+   const questions = await getQuestions();
+   const globalParams = await getGlobalSchedulerParams();
+   const deckById = new Map(decks.map(d => [Number(d.id), d]));
+   const deckByQuestion = new Map(questions.map(q => [Number(q.id), deckById.get(Number(q.deck))]));
+   
+   const states = replayReviewLog(log, entry => {
+     const deck = deckByQuestion.get(Number(entry.questionId));
+     return deck ? { scheduler: deck.scheduler || DEFAULT_SCHEDULER, options: resolveDeckOptions(deck, globalParams) } : null;
+   });
+   
+   let rebuilt = 0;
+   for (const [qid, state] of Object.entries(states)) {
+     const questionId = Number(qid);
+     if (!deckByQuestion.has(questionId)) continue; // question was deleted
+     await DataStore.setReview(questionId, state);
+     rebuilt++;
+   }
+   
+   showToast(`${rebuilt}개 문제의 복습 일정을 다시 계산했습니다`, 'success');
+   await updateAllLists();
+ } catch (error) {
+   console.error('Review log replay failed:', error);
+   showToast(`복습 일정 재계산 실패: ${error.message}`, 'danger');
+ }
+}
+
 async function resetAll() {
  if (!confirm('모든 데이터를 초기화합니다. 계속하시겠습니까?')) {
    return;
@@ -2805,12 +3895,18 @@ async function updateSettingsPanel() {
     focusModeToggle.checked = s.focusMode;
   }
   
+  const autoGradeToggle = document.getElementById('autoGradeToggle');
+  if (autoGradeToggle) {
+    autoGradeToggle.checked = s.autoGrade;
+  }
+  
   const aiMode = document.getElementById('aiMode');
   if (aiMode) {
     aiMode.value = localStorage.getItem('aiMode') || 'local';
   }
   
   loadAISettings();
+  renderServerStatus();
   
   // Apply current settings to the UI
   applyFontSize(s.fontSize);
@@ -2830,11 +3926,13 @@ async function saveSettings() {
   // Get font size and focus mode settings
   const fontSizeSelect = document.getElementById('fontSizeSelect');
   const focusModeToggle = document.getElementById('focusModeToggle');
+  const autoGradeToggle = document.getElementById('autoGradeToggle');
   
   const newSettings = {
     dailyReviewLimit: val,
     fontSize: fontSizeSelect ? fontSizeSelect.value : 'medium',
-    focusMode: focusModeToggle ? focusModeToggle.checked : false
+    focusMode: focusModeToggle ? focusModeToggle.checked : false,
+    autoGrade: autoGradeToggle ? autoGradeToggle.checked : false
   };
   
   setSettings(newSettings);
@@ -2853,6 +3951,41 @@ async function saveSettings() {
   showToast('설정이 저장되었습니다', 'success');
 }
 
+// ========== 서버 모드 설정 ==========
+function renderServerStatus() {
+  const { url, username, token } = getServerConnection();
+  const urlInput = document.getElementById('serverUrlInput');
+  const userInput = document.getElementById('serverUserInput');
+  const status = document.getElementById('serverStatus');
+  if (urlInput && !urlInput.value) urlInput.value = url;
+  if (userInput && !userInput.value) userInput.value = username;
+  if (status) {
+    status.textContent = token ? `${username} (으)로 연결됨 · 문제 목록을 서버에서 검색합니다` : '연결 안 됨 · 문제 목록은 이 브라우저의 데이터를 사용합니다';
+  }
+}
+
+async function loginServer() {
+  const url = document.getElementById('serverUrlInput')?.value || '';
+  const username = (document.getElementById('serverUserInput')?.value || '').trim();
+  const passwordInput = document.getElementById('serverPasswordInput');
+  try {
+    await loginToServer(url, username, passwordInput?.value || '');
+    if (passwordInput) passwordInput.value = '';
+    showToast('서버에 로그인했습니다', 'success');
+  } catch (error) {
+    showToast(`서버 로그인 실패: ${error.message}`, 'danger');
+  }
+  renderServerStatus();
+  await updateQuestionList();
+}
+
+async function logoutServer() {
+  await logoutFromServer();
+  showToast('서버에서 로그아웃했습니다', 'info');
+  renderServerStatus();
+  await updateQuestionList();
+}
+
 // Font size application
 function applyFontSize(fontSize) {
   const root = document.documentElement;
@@ -3036,14 +4169,18 @@ function setupGuidedImport() {
 }
 
 function downloadImportTemplate() {
-  const headers = ['type','deck','prompt','answer','synonyms','keywords','keywordThreshold','explain','tags'];
   const sample = [
-    ['OX','net','TCP는 연결 지향이다.','true','','','','3-way handshake 관련','net,group:transport'],
-    ['SHORT','os','ACID 중 A는?','Atomicity','원자성, atomic','','','트랜잭션 성질',''],
-    ['KEYWORD','db','인덱스의 장점을 설명하시오','','','검색|조회, 성능, B-Tree','','선택사항','group:index']
+    ['OX','net','TCP는 연결 지향이다.','true','','','','3-way handshake 관련','net,group:transport','','','','','',''],
+    ['SHORT','os','ACID 중 A는?','Atomicity','원자성, atomic','','','트랜잭션 성질','','','','','','','normal'],
+    ['KEYWORD','db','인덱스의 장점을 설명하시오','','','검색|조회, 성능, B-Tree','','선택사항','group:index','','','','','',''],
+    ['NUMERIC','net','IPv6 주소는 몇 비트인가?','128 bit','','','','16바이트','','','','','','',''],
+    ['MCQ','net','연결 지향 프로토콜을 모두 고르시오','1,3','','','','TCP와 SCTP는 연결을 설정한다','','','TCP|UDP|SCTP|ICMP','','','',''],
+    ['CLOZE','os','{{c1::교착 상태}}의 4가지 조건 중 하나는 {{c2::순환 대기}}이다.','','','','','','','','','','','',''],
+    ['ORDER','net','TCP 연결 수립 순서대로 정렬하시오','','','','','3-way handshake','','','SYN|SYN-ACK|ACK','','','',''],
+    ['CODE','java','다음 코드의 출력은?','33\n3','','','','문자열을 만나기 전까지는 숫자 덧셈','','','','System.out.println(1 + 2 + "3");\nSystem.out.println("" + 3);','java','',''],
+    ['MATCH','net','HTTP 상태 코드와 의미를 짝지으시오','','','','','3xx는 리다이렉션, 4xx는 클라이언트 오류','','','','','','200=OK|301=Moved Permanently|404=Not Found|503=Service Unavailable','']
   ];
-  const toCsvCell = (v) => '"' + String(v ?? '').replace(/"/g, '""') + '"';
-  const csv = headers.join(',') + '\n' + sample.map(r => r.map(toCsvCell).join(',')).join('\n');
+  const csv = IMPORT_COLUMNS.join(',') + '\n' + sample.map(toCsvLine).join('\n');
   const blob = new Blob([csv], { type: 'text/csv' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
@@ -3056,75 +4193,13 @@ async function handleDelimitedFile(file) {
   processDelimitedText(text);
 }
 
-function detectDelimiter(text) {
-  return text.indexOf('\t') !== -1 ? '\t' : ',';
-}
-
-function parseDelimited(text, delimiter) {
-  // 간단 파서: TSV는 분리, CSV는 따옴표 처리(기본 수준)
-  const lines = text.replace(/\r\n?/g, '\n').split('\n').filter(l => l.trim() !== '');
-  if (delimiter === '\t') return lines.map(l => l.split('\t'));
-  const rows = [];
-  for (const line of lines) {
-    const cells = [];
-    let cur = '', inQ = false;
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (inQ) {
-        if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
-        else if (ch === '"') inQ = false;
-        else cur += ch;
-      } else {
-        if (ch === '"') inQ = true;
-        else if (ch === ',') { cells.push(cur.trim()); cur = ''; }
-        else cur += ch;
-      }
-    }
-    cells.push(cur.trim());
-    rows.push(cells);
-  }
-  return rows;
-}
-
 let importPreviewRows = [];
 
 function processDelimitedText(text) {
-  const delimiter = detectDelimiter(text);
-  const rows = parseDelimited(text, delimiter);
-  if (rows.length === 0) return;
-  const headers = rows[0].map(h => h.trim());
-  const body = rows.slice(1);
-  const idx = (name) => headers.indexOf(name);
-  importPreviewRows = body.map(cols => validateImportRow({
-    type: (cols[idx('type')] || '').trim(),
-    deck: (cols[idx('deck')] || '').trim(),
-    prompt: (cols[idx('prompt')] || '').trim(),
-    answer: (cols[idx('answer')] || '').trim(),
-    synonyms: ((cols[idx('synonyms')] || '').split(',').map(s => s.trim()).filter(Boolean)),
-    keywords: ((cols[idx('keywords')] || '').split(',').map(s => s.trim()).filter(Boolean)),
-    keywordThreshold: (cols[idx('keywordThreshold')] || '').trim(),
-    explain: (cols[idx('explain')] || ''),
-    tags: ((cols[idx('tags')] || '').split(',').map(s => s.trim()).filter(Boolean))
-  }));
+  importPreviewRows = parseImportText(text);
   renderImportPreview();
 }
 
-function validateImportRow(row) {
-  const errors = [];
-  const t = (row.type || '').toUpperCase();
-  if (!['OX', 'SHORT', 'ESSAY'].includes(t)) errors.push('유형 오류');
-  if (!row.deck) errors.push('덱 누락');
-  if (!row.prompt) errors.push('문제 누락');
-  if (t === 'OX') {
-    if (!['true', 'false', 'TRUE', 'FALSE'].includes(String(row.answer))) errors.push('OX 정답 오류');
-  } else if (t === 'SHORT') {
-    if (!row.answer) errors.push('정답 누락');
-  } else if (t === 'ESSAY') {
-    if (!row.keywords || row.keywords.length === 0) errors.push('키워드 누락');
-  }
-  return { ...row, type: t, error: errors.join(', ') };
-}
-
 function renderImportPreview() {
   const sum = document.getElementById('importSummary');
   const prev = document.getElementById('importPreview');
@@ -3187,12 +4262,10 @@ async function importValidPreviewRows() {
       deckId = found?.id;
       nameToId[(r.deck||'').toLowerCase()] = deckId;
     }
-    const q = { deck: deckId, type: r.type, prompt: r.prompt, explain: r.explain||'', tags: r.tags||[] };
-    if (r.type === 'OX') { q.answer = String(r.answer).toLowerCase() === 'true' ? 'true' : 'false'; }
-    else if (r.type === 'SHORT') { q.answer = r.answer; if (r.synonyms?.length) q.synonyms = r.synonyms; q.shortFuzzy = true; }
-    else if (r.type === 'KEYWORD') { q.keywords = r.keywords; if (r.keywordThreshold) q.keywordThreshold = r.keywordThreshold; }
-    const id = await DataStore.addQuestion(q);
-    createdIds.push(id);
+    const cards = importRowToCards(r, deckId);
+    for (const card of cards) {
+      createdIds.push(await DataStore.addQuestion(card));
+    }
   }
   window.lastImport = { questionIds: createdIds };
   const undoBtn = document.getElementById('undoImportBtn'); if (undoBtn) undoBtn.disabled = createdIds.length === 0;
@@ -3440,22 +4513,25 @@ async function noteLinesToDraftQuestions() {
 
   const itemsToConvert = await db.note_items.where('id').anyOf(Array.from(selectedNoteItemIds)).toArray();
 
-  const newQuestions = itemsToConvert.map(item => ({
-    deck: note.deckId,
+  // Lines marked with {{c1::...}} become cloze cards (one per number); others stay SHORT drafts
+  const base = { deck: note.deckId, explain: `노트 '${note.title}'에서 생성됨`, tags: ['from:note'], created: new Date() };
+  const clozeCards = itemsToConvert.filter(item => hasCloze(item.text)).flatMap(item => buildClozeCards(item.text, base));
+  const drafts = itemsToConvert.filter(item => !hasCloze(item.text)).map(item => ({
+    ...base,
     type: 'SHORT',
     prompt: item.text,
     answer: '',
-    explain: `노트 '${note.title}'에서 생성됨`,
     keywords: [],
-    synonyms: [],
-    tags: ['from:note'],
-    created: new Date(),
+    synonyms: []
   }));
+  const newQuestions = [...clozeCards, ...drafts];
 
   await db.questions.bulkAdd(newQuestions);
 
   selectedNoteItemIds.clear();
-  showToast(`${newQuestions.length}개의 질문 초안이 생성되었습니다.`, 'success');
+  showToast(clozeCards.length
+    ? `빈칸 카드 ${clozeCards.length}개, 질문 초안 ${drafts.length}개가 생성되었습니다.`
+    : `${newQuestions.length}개의 질문 초안이 생성되었습니다.`, 'success');
   // Visually clear selection in a real implementation
 }
 
@@ -3714,11 +4790,17 @@ document.addEventListener('DOMContentLoaded', async function() {
    // Initialize database and run migration if needed
    await migrateFromLocalStorage();
    
+   // Calibrated pass thresholds replace the scoring defaults
+   setPassThresholds(await getStoredPassThresholds());
+   await loadLearnedSynonyms();
+   
    // Initialize UI
    await updateHeader();
   await updateDeckSelects();
   // Initialize answer field display for default OX question type
   updateAnswerField();
+  // Pasting an image into a question or note attaches it
+  ['newPrompt', 'newExplain', 'noteTextarea'].forEach(id => enableImagePaste(document.getElementById(id)));
   // Optional: guided import setup (guard if not defined)
   try { if (typeof setupGuidedImport === 'function') setupGuidedImport(); } catch (_) {}
    
@@ -3762,7 +4844,7 @@ document.addEventListener('DOMContentLoaded', async function() {
  loadAISettings();
   
   console.log('Application initialized successfully');
-  try { runSM2PreviewTests(); } catch (_) {}
+  try { runSM2PreviewTests(); runFSRSPreviewTests(); runReviewLogReplayTests(); runRescheduleTests(); runOptimizerTests(); runMatcherPipelineTests(); runNumericAnswerTests(); runMultipleChoiceTests(); runClozeTests(); runOrderingTests(); runCodeHighlightTests(); runMatchingTests(); runAttachmentTests(); runKoreanTextTests(); runGradeSuggestionTests(); runServerApiTests(); runQuestionSchemaTests(); runQuestionImportTests(); runMarkdownParserTests(); } catch (_) {}
  } catch (error) {
    console.error('Initialization error:', error);
    showToast('앱 초기화 중 오류가 발생했습니다', 'danger');
@@ -4387,7 +5469,8 @@ function buildGenerationPrompt(topic, difficulty, questionType, count, contextQu
   const typeMap = {
     'OX': 'OX 문제 (참/거짓)',
     'SHORT': '단답형 문제 (간단한 답변)',
-    'KEYWORD': '키워드형 문제 (핵심 단어들로 채점)'
+    'KEYWORD': '키워드형 문제 (핵심 단어들로 채점)',
+    'MCQ': '객관식 문제 (정답 1개 + 그럴듯한 오답 보기 3개)'
   };
 
   let contextText = '';
@@ -4408,6 +5491,7 @@ function buildGenerationPrompt(topic, difficulty, questionType, count, contextQu
       "prompt": "문제 내용",
       "answer": "${questionType === 'OX' ? 'true 또는 false' : '정답 내용'}",
       ${questionType === 'KEYWORD' ? '"keywords": ["키워드1", "키워드2", "키워드3"],' : ''}
+      ${questionType === 'MCQ' ? '"distractors": ["오답 보기1", "오답 보기2", "오답 보기3"],' : ''}
       "explanation": "상세한 해설"
     }${count > 1 ? ',\n    {\n      "prompt": "두 번째 문제...",\n      "answer": "정답",\n      "explanation": "해설"\n    }' : ''}
   ]
@@ -4418,6 +5502,7 @@ function buildGenerationPrompt(topic, difficulty, questionType, count, contextQu
 - explanation은 개념을 명확히 설명하는 상세한 해설
 - ${questionType === 'OX' ? 'answer는 반드시 true 또는 false (문자열 아님)' : '정확한 정답 작성'}
 - ${questionType === 'KEYWORD' ? 'keywords는 3-5개의 핵심 키워드 배열' : ''}
+- ${questionType === 'MCQ' ? 'answer는 정답 보기 문장, distractors는 정답과 길이·형식이 비슷하지만 명백히 틀린 그럴듯한 오답 3개 (흔한 오개념 활용, "모두 정답" 같은 보기 금지)' : ''}
 - 실제 CS 시험/면접 수준의 고품질 문제
 - JSON 형식 엄격 준수 (문법 오류 없이)
  - 각 문제는 280자 이내, 해설은 1~2문장(60~120자)로 간결히 작성
@@ -4446,6 +5531,7 @@ function displayGeneratedQuestions() {
             <div style="font-size:12px;color:var(--muted);margin:4px 0">
               정답: ${q.answer === true ? 'O (참)' : q.answer === false ? 'X (거짓)' : q.answer}
               ${q.keywords ? ` | 키워드: ${q.keywords.join(', ')}` : ''}
+              ${q.distractors ? ` | 오답 보기: ${q.distractors.join(', ')}` : ''}
             </div>
             <div style="font-size:12px;color:var(--muted)">${q.explanation}</div>
           </div>
@@ -4502,6 +5588,15 @@ async function saveGeneratedQuestions() {
         questionData.keywords = arr;
       }
 
+      // Options are stored correct-first; they are shuffled every time the question is shown
+      if (questionType === 'MCQ') {
+        const distractors = (q.distractors || []).map(d => String(d).trim()).filter(Boolean);
+        questionData.options = [String(q.answer), ...distractors].slice(0, MCQ_MAX_OPTIONS);
+        questionData.correctOptions = [0];
+        questionData.multiSelect = false;
+        if (validateChoiceQuestion(questionData)) continue; // skip items the AI returned without distractors
+      }
+
       console.log('Saving question data:', questionData);
       await addQuestion(questionData);
       savedCount++;
@@ -4537,6 +5632,12 @@ window.switchTab = switchTab;
 window.revealAnswer = revealAnswer;
 window.gradeAnswer = gradeAnswerLegacy;
 window.submitAnswer = submitAnswer;
+window.submitChoiceSelection = submitChoiceSelection;
+window.submitClozeBlanks = submitClozeBlanks;
+window.submitOrderAnswer = submitOrderAnswer;
+window.moveOrderItem = moveOrderItem;
+window.selectMatchDefinition = selectMatchDefinition;
+window.submitMatchAnswer = submitMatchAnswer;
 window.startSession = startSessionLegacy;
 window.addQuestion = addQuestionLegacy;
 window.addDeck = addDeck;
@@ -4546,6 +5647,24 @@ window.importData = dmImportData;
 window.resetAll = resetAll;
 window.saveSettings = saveSettings;
 window.deleteDeck = deleteDeck;
+window.setDeckScheduler = setDeckScheduler;
+window.openDeckOptions = openDeckOptions;
+window.saveDeckOptions = saveDeckOptions;
+window.openSchedulerOptimizer = openSchedulerOptimizer;
+window.runSchedulerOptimizer = runSchedulerOptimizer;
+window.applyOptimizedParams = applyOptimizedParams;
+window.openGradeCalibration = openGradeCalibration;
+window.openLearnedSynonyms = openLearnedSynonyms;
+window.loadMoreServerQuestions = loadMoreServerQuestions;
+window.loginServer = loginServer;
+window.logoutServer = logoutServer;
+window.forgetLearnedSynonym = forgetLearnedSynonym;
+window.acceptMyAnswer = acceptMyAnswer;
+window.applyGradeCalibration = applyGradeCalibration;
+window.resetGradeCalibration = resetGradeCalibration;
+window.resetGlobalSchedulerParams = resetGlobalSchedulerParams;
+window.resetDeckOptions = resetDeckOptions;
+window.closeDeckOptions = closeDeckOptions;
 
 // Additional functions for HTML compatibility
 window.updateAnswerField = updateAnswerField;
@@ -4556,10 +5675,17 @@ window.updateDeckList = updateDeckList;
 window.updateQuestionList = updateQuestionList;
 window.updateSettingsPanel = updateSettingsPanel;
 window.updateStats = updateStats;
+window.rebuildReviewFromLog = rebuildReviewFromLog;
 window.downloadImportTemplate = downloadImportTemplate;
 window.resetData = resetData;
 window.importValidPreviewRows = importValidPreviewRows;
 window.undoLastImport = undoLastImport;
+window.openRescheduleBacklog = openRescheduleBacklog;
+window.rescheduleBacklog = rescheduleBacklog;
+window.openSetDueDate = openSetDueDate;
+window.setDueDate = setDueDate;
+window.resetCardToNew = resetCardToNew;
+window.undoLastReviewEdit = undoLastReviewEdit;
 window.parseNaturalLanguage = parseNaturalLanguage;
 window.updateQuickAddFields = updateQuickAddFields;
 window.quickAdd = quickAdd;
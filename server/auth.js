@@ -0,0 +1,202 @@
+// ========== Accounts & sessions ==========
+// Local accounts with scrypt password hashes. Logging in returns an opaque bearer token; only
+// its SHA-256 is stored, so a leaked database can't be replayed as sessions. The first account
+// becomes the admin and takes over any rows written before accounts existed.
+const crypto = require('crypto');
+const express = require('express');
+const { all, get, run, transaction, SYNC_TABLES } = require('./database');
+
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const ROLES = ['user', 'admin'];
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// ========== Passwords ==========
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(password, Buffer.from(salt, 'base64'));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+// Unknown usernames are checked against this so login takes as long as for real accounts
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// ========== Users ==========
+function publicUser(row) {
+  return { id: row.id, username: row.username, role: row.role, created_at: row.created_at };
+}
+
+function validateCredentials({ username, password } = {}) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw httpError(400, 'username must be 3-32 letters, digits, ".", "_" or "-"');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+async function createUser({ username, password, role }) {
+  validateCredentials({ username, password });
+  if (role !== undefined && !ROLES.includes(role)) throw httpError(400, `role must be one of ${ROLES.join(', ')}`);
+  const passwordHash = await hashPassword(password);
+  return await transaction(async () => {
+    if (await get('SELECT id FROM users WHERE username = ?', [username])) throw httpError(409, 'username is taken');
+    const first = !(await get('SELECT id FROM users LIMIT 1'));
+    const { id } = await run('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)', [username, passwordHash, first ? 'admin' : (role || 'user')]);
+    if (first) await claimUnownedRows(id);
+    return publicUser(await get('SELECT * FROM users WHERE id = ?', [id]));
+  });
+}
+
+// Questions created through the open API before accounts existed belong to the first admin
+async function claimUnownedRows(userId) {
+  for (const table of Object.keys(SYNC_TABLES)) {
+    await run(`UPDATE ${table} SET owner_id = ? WHERE owner_id IS NULL`, [userId]);
+  }
+  await run('UPDATE sync_changes SET owner_id = ? WHERE owner_id IS NULL', [userId]);
+}
+
+// ========== Sessions ==========
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function login({ username, password } = {}) {
+  const user = typeof username === 'string' ? await get('SELECT * FROM users WHERE username = ?', [username]) : null;
+  const ok = await verifyPassword(String(password ?? ''), user ? user.password_hash : await DUMMY_HASH);
+  if (!user || !ok) throw httpError(401, 'invalid username or password');
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+  await run('DELETE FROM sessions WHERE user_id = ? AND expires_at <= ?', [user.id, new Date().toISOString()]);
+  await run('INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)', [tokenHash(token), user.id, expiresAt]);
+  return { token, expires_at: expiresAt, user: publicUser(user) };
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+// Sets req.user for a valid session; everything mounted behind it needs an account
+async function requireAuth(req, res, next) {
+  try {
+    const token = bearerToken(req);
+    const row = token && await get(
+      `SELECT u.* FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.token_hash = ? AND s.expires_at > ?`,
+      [tokenHash(token), new Date().toISOString()]
+    );
+    if (!row) return res.status(401).json({ error: 'Authentication required' });
+    req.user = publicUser(row);
+    next();
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+}
+
+function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') return res.status(403).json({ error: 'Admin only' });
+  next();
+}
+
+// ========== Routes ==========
+// Mounted at /api/auth without requireAuth; /api/users sits behind requireAuth + requireAdmin
+const authRouter = express.Router();
+const usersRouter = express.Router();
+
+function sendError(res, e) {
+  res.status(e.status || 500).json({ error: e.message });
+}
+
+// Open sign-up unless ALLOW_REGISTRATION=false; the very first account is always allowed
+authRouter.post('/register', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (process.env.ALLOW_REGISTRATION === 'false' && await get('SELECT id FROM users LIMIT 1')) {
+      return res.status(403).json({ error: 'Registration is closed; ask an admin for an account' });
+    }
+    res.status(201).json(await createUser({ username, password }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+authRouter.post('/login', async (req, res) => {
+  try {
+    res.json(await login(req.body || {}));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+authRouter.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await run('DELETE FROM sessions WHERE token_hash = ?', [tokenHash(bearerToken(req))]);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+authRouter.get('/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+usersRouter.get('/', async (req, res) => {
+  try {
+    const rows = await all('SELECT * FROM users ORDER BY id');
+    res.json(rows.map(publicUser));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+usersRouter.post('/', async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    res.status(201).json(await createUser({ username, password, role }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Sessions look the user up on every request, so a new role applies immediately
+usersRouter.put('/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body || {};
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    const user = await get('SELECT * FROM users WHERE id = ?', [req.params.id]);
+    if (!user) return res.status(404).json({ error: 'Not found' });
+    if (user.id === req.user.id && role !== 'admin') return res.status(400).json({ error: 'You cannot demote yourself' });
+    await run('UPDATE users SET role = ? WHERE id = ?', [role, user.id]);
+    res.json(publicUser({ ...user, role }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+module.exports = {
+  authRouter,
+  usersRouter,
+  requireAuth,
+  requireAdmin,
+  hashPassword,
+  verifyPassword
+};
@@ -6,6 +6,38 @@ const sqlite3 = require('sqlite3').verbose();
 const DB_PATH = process.env.DB_PATH || path.join(process.cwd(), 'data.sqlite');
 const db = new sqlite3.Database(DB_PATH);
 
+// Tables mirrored from the client's Dexie schema (app.js `db.version(...)`). Every synced row has
+//   uid      – client-generated id shared by all devices (Dexie ids are local to one browser)
+//   data     – the full record as JSON
+//   vv       – version vector { deviceId: counter }
+//   modified – the writer's clock (ISO) for last-writer-wins
+//   deleted  – tombstone, so deletions reach the other devices
+//   seq      – position in the change feed (sync_changes)
+//   owner_id – the account that created it (users.id)
+//   shared   – published by an admin: readable by every account, writable only by its owner
+// The indexed Dexie fields are copied into their own columns so the server can query them.
+const SYNC_TABLES = {
+  profile: { xp: 'INTEGER', streak: 'INTEGER', lastStudy: 'TEXT' },
+  decks: { name: 'TEXT', created: 'TEXT' },
+  questions: { deck: 'INTEGER', type: 'TEXT', prompt: 'TEXT', answer: 'TEXT', keywords: 'TEXT', keywordThreshold: 'TEXT', synonyms: 'TEXT', explain: 'TEXT', tags: 'TEXT', sortOrder: 'INTEGER' },
+  review: { questionId: 'TEXT', ease: 'REAL', interval: 'REAL', due: 'TEXT', count: 'INTEGER', lastReview: 'TEXT' },
+  review_log: { questionId: 'TEXT', deck: 'TEXT', ts: 'TEXT', grade: 'INTEGER' },
+  meta: { key: 'TEXT' },
+  notes: { deckId: 'TEXT', title: 'TEXT', source: 'TEXT', createdAt: 'TEXT', updatedAt: 'TEXT' },
+  note_items: { noteId: 'TEXT', ts: 'TEXT', text: 'TEXT' },
+  attachments: { name: 'TEXT', type: 'TEXT', created: 'TEXT' },
+  learned_synonyms: { scope: 'TEXT', deck: 'TEXT', questionId: 'TEXT', created: 'TEXT' }
+};
+
+const SYNC_COLUMNS = { uid: 'TEXT', data: 'TEXT', vv: 'TEXT', modified: 'TEXT', deleted: 'INTEGER DEFAULT 0', seq: 'INTEGER', owner_id: 'INTEGER', shared: 'INTEGER DEFAULT 0' };
+
+// ALTER TABLE has no IF NOT EXISTS; a column that is already there is fine
+function addColumn(table, name, type) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN "${name}" ${type}`, (err) => {
+    if (err && !/duplicate column/i.test(err.message)) console.error(`Failed to add ${table}.${name}:`, err.message);
+  });
+}
+
 db.serialize(() => {
   db.run(`CREATE TABLE IF NOT EXISTS questions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -20,6 +52,77 @@ db.serialize(() => {
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
   )`);
+
+  // One entry per record, moved to a new seq on every write: the change feed is `seq > cursor`
+  db.run(`CREATE TABLE IF NOT EXISTS sync_changes (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    table_name TEXT NOT NULL,
+    uid TEXT NOT NULL,
+    UNIQUE (table_name, uid)
+  )`);
+  // Copied from the record so each account's feed is one indexed query
+  addColumn('sync_changes', 'owner_id', 'INTEGER');
+  addColumn('sync_changes', 'shared', 'INTEGER DEFAULT 0');
+
+  db.run(`CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'user',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Bearer tokens are stored as their SHA-256 only
+  db.run(`CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at TEXT NOT NULL
+  )`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id)`);
+
+  // Provider grades for POST /api/grade, keyed by a hash of (question, normalized answer, model)
+  db.run(`CREATE TABLE IF NOT EXISTS grade_cache (
+    key TEXT PRIMARY KEY,
+    result TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  for (const [table, columns] of Object.entries(SYNC_TABLES)) {
+    db.run(`CREATE TABLE IF NOT EXISTS ${table} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    for (const [name, type] of Object.entries({ ...columns, ...SYNC_COLUMNS })) addColumn(table, name, type);
+    db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_uid ON ${table} (uid)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_seq ON ${table} (seq)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_owner ON ${table} (owner_id)`);
+  }
+  db.run(`CREATE INDEX IF NOT EXISTS idx_sync_changes_owner ON sync_changes (owner_id, seq)`);
+
+  // Full-text index for GET /api/questions?q=, kept in step with the table by triggers.
+  // Rebuilt on start so rows written before the index existed are searchable.
+  db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS questions_fts USING fts5(
+    prompt, answer, explain, content='questions', content_rowid='id', tokenize='unicode61 remove_diacritics 2'
+  )`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS questions_fts_insert AFTER INSERT ON questions BEGIN
+    INSERT INTO questions_fts (rowid, prompt, answer, explain) VALUES (new.id, new.prompt, new.answer, new.explain);
+  END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS questions_fts_delete AFTER DELETE ON questions BEGIN
+    INSERT INTO questions_fts (questions_fts, rowid, prompt, answer, explain) VALUES ('delete', old.id, old.prompt, old.answer, old.explain);
+  END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS questions_fts_update AFTER UPDATE OF prompt, answer, explain ON questions BEGIN
+    INSERT INTO questions_fts (questions_fts, rowid, prompt, answer, explain) VALUES ('delete', old.id, old.prompt, old.answer, old.explain);
+    INSERT INTO questions_fts (rowid, prompt, answer, explain) VALUES (new.id, new.prompt, new.answer, new.explain);
+  END`);
+  db.run(`INSERT INTO questions_fts (questions_fts) VALUES ('rebuild')`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_questions_updated ON questions (updated_at)`);
+
+  // Questions created before sync existed get a uid and a place in the change feed
+  db.run(`UPDATE questions SET uid = lower(hex(randomblob(16))) WHERE uid IS NULL`);
+  db.run(`INSERT OR IGNORE INTO sync_changes (table_name, uid) SELECT 'questions', uid FROM questions WHERE seq IS NULL`);
+  db.run(`UPDATE questions SET seq = (SELECT c.seq FROM sync_changes c WHERE c.table_name = 'questions' AND c.uid = questions.uid) WHERE seq IS NULL`);
 });
 
 function all(sql, params = []) {
@@ -43,5 +146,24 @@ function run(sql, params = []) {
   });
 }
 
-module.exports = { db, all, get, run };
+// Runs `fn` between BEGIN and COMMIT. Calls are queued, so two requests never interleave
+// statements inside one open transaction on the shared connection.
+let transactionQueue = Promise.resolve();
+
+function transaction(fn) {
+  const next = transactionQueue.then(async () => {
+    await run('BEGIN IMMEDIATE');
+    try {
+      const result = await fn();
+      await run('COMMIT');
+      return result;
+    } catch (e) {
+      await run('ROLLBACK').catch(() => {});
+      throw e;
+    }
+  });
+  transactionQueue = next.catch(() => {});
+  return next;
+}
 
+module.exports = { db, all, get, run, transaction, SYNC_TABLES };
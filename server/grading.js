@@ -0,0 +1,238 @@
+// ========== Grading ==========
+// POST /api/grade scores an answer to any question type with the browser's scoring.js, using the
+// account's learned synonyms and calibrated pass thresholds from its synced rows. Borderline
+// free-text results are escalated to an AI provider by the same rule as ai/router.js decideGrade.
+// Provider keys come from the server's environment only, and provider grades are cached by a
+// hash of (question, normalized answer, model), so a repeated answer costs nothing.
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { all, get, run } = require('./database');
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+const MAX_ANSWER_LENGTH = 10000;
+const PROVIDER_TIMEOUT_MS = 10000;
+// What the provider sees of a question; the cache key covers exactly these
+const PROVIDER_FIELDS = ['type', 'prompt', 'answer', 'explain', 'keywords'];
+const DEFAULT_MODELS = { openai: 'gpt-4o-mini', anthropic: 'claude-3-haiku-20240307', gemini: 'gemini-2.5-flash' };
+const ESSAY_SYSTEM_PROMPT = 'You are a KR/EN essay grader. Return ONLY strict JSON: {"score":0..1,"correct":bool,"rationale":"..."}. Judge content quality, relevance and correctness. Write the rationale in Korean. No extra text.';
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+const browserModules = new Map();
+function loadBrowserModule(relativePath) {
+  if (!browserModules.has(relativePath)) {
+    browserModules.set(relativePath, import(pathToFileURL(path.join(__dirname, '..', relativePath)).href));
+  }
+  return browserModules.get(relativePath);
+}
+
+function parseObject(value) {
+  if (!value) return {};
+  try { return JSON.parse(value) || {}; } catch (_) { return {}; }
+}
+
+// ========== Providers ==========
+// Request headers are only consulted by the legacy /grade/essay route; /grade uses the environment
+function getApiKeyForProvider(provider, headers = {}) {
+  switch (provider) {
+    case 'openai': return process.env.OPENAI_API_KEY || headers['x-openai-key'] || headers['x-api-key'];
+    case 'anthropic': return process.env.ANTHROPIC_API_KEY || headers['x-anthropic-key'] || headers['x-api-key'];
+    case 'gemini': return process.env.GEMINI_API_KEY || headers['x-gemini-key'] || headers['x-api-key'];
+    default: return undefined;
+  }
+}
+
+function providerModel(provider, model) {
+  return model || process.env[`${provider.toUpperCase()}_MODEL`] || DEFAULT_MODELS[provider];
+}
+
+function buildProviderRequest({ provider, model, systemPrompt, userContent, apiKey }) {
+  if (!apiKey) return {};
+  const usedModel = providerModel(provider, model);
+  if (provider === 'openai') {
+    return {
+      url: 'https://api.openai.com/v1/chat/completions',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: {
+        model: usedModel,
+        temperature: 0.2,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userContent }
+        ]
+      }
+    };
+  }
+
+  if (provider === 'anthropic') {
+    return {
+      url: 'https://api.anthropic.com/v1/messages',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`,
+        'anthropic-version': '2023-06-01'
+      },
+      body: {
+        model: usedModel,
+        system: systemPrompt,
+        messages: [{ role: 'user', content: userContent }],
+        temperature: 0.2,
+        max_tokens: 300
+      }
+    };
+  }
+
+  if (provider === 'gemini') {
+    return {
+      url: `https://generativelanguage.googleapis.com/v1beta/models/${usedModel}:generateContent?key=${encodeURIComponent(apiKey)}`,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: {
+        contents: [{ parts: [{ text: `${systemPrompt}\n\n${userContent}` }] }],
+        generationConfig: { temperature: 0.2, maxOutputTokens: 300, responseMimeType: 'application/json' }
+      }
+    };
+  }
+  return {};
+}
+
+function extractProviderContent(provider, data) {
+  switch (provider) {
+    case 'openai':
+      return data?.choices?.[0]?.message?.content || '';
+    case 'anthropic':
+      return data?.content?.[0]?.text || '';
+    case 'gemini':
+      return data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    default:
+      return '';
+  }
+}
+
+// → the model's text; a failed call throws with the provider's status and response body
+async function sendProviderRequest(provider, { url, headers, body }) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROVIDER_TIMEOUT_MS);
+  try {
+    const resp = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal: controller.signal });
+    if (!resp.ok) {
+      const details = await resp.text().catch(() => '');
+      throw Object.assign(httpError(resp.status, `${provider} HTTP ${resp.status}`), { details });
+    }
+    return extractProviderContent(provider, await resp.json());
+  } catch (e) {
+    if (e.name === 'AbortError') throw httpError(504, `${provider} timed out after ${PROVIDER_TIMEOUT_MS / 1000}s`);
+    throw e;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Models sometimes wrap the JSON in prose or code fences
+function parseProviderJson(content) {
+  try { return JSON.parse(content); } catch (_) {
+    const m = content && content.match(/\{[\s\S]*\}/);
+    if (m) { try { return JSON.parse(m[0]); } catch (__) {} }
+  }
+  return null;
+}
+
+// ========== Local scoring ==========
+async function gradeLocally(user, question, answer) {
+  const scoring = await loadBrowserModule('src/modules/scoring.js');
+  const [synonymRows, thresholdRow] = await Promise.all([
+    all('SELECT data FROM learned_synonyms WHERE deleted = 0 AND (owner_id = ? OR shared = 1)', [user.id]),
+    get(`SELECT data FROM meta WHERE deleted = 0 AND owner_id = ? AND key = 'passThresholds'`, [user.id])
+  ]);
+  // scoring.js keeps both in module state: set, grade and reset with no await in between,
+  // so concurrent requests never see another account's values
+  scoring.setLearnedSynonyms(synonymRows.map(row => parseObject(row.data)));
+  scoring.setPassThresholds(parseObject(thresholdRow?.data).value || {});
+  try {
+    return { ...scoring.gradeQuestion(question, answer), grader: 'local' };
+  } finally {
+    scoring.setLearnedSynonyms([]);
+    scoring.setPassThresholds({});
+  }
+}
+
+// ========== Escalation ==========
+// The provider configured on the server (AI_PROVIDER, <PROVIDER>_API_KEY, <PROVIDER>_MODEL), or null
+function gradingProvider() {
+  const provider = (process.env.AI_PROVIDER || 'openai').toLowerCase();
+  const apiKey = getApiKeyForProvider(provider);
+  if (!apiKey || !DEFAULT_MODELS[provider]) return null;
+  return { provider, apiKey, model: providerModel(provider) };
+}
+
+async function gradeCacheKey(question, answer, { provider, model }) {
+  const { normalizeText } = await loadBrowserModule('src/modules/scoring.js');
+  const fields = PROVIDER_FIELDS.map(field => question[field] ?? null);
+  return crypto.createHash('sha256').update(JSON.stringify([fields, normalizeText(answer), `${provider}:${model}`])).digest('hex');
+}
+
+async function gradeWithProvider(question, answer, { provider, apiKey, model }) {
+  const { SYSTEM_PROMPT, USER_TEMPLATE } = await loadBrowserModule('ai/prompts.js');
+  const isEssay = question.type === 'ESSAY' || question.type === 'KEYWORD';
+  const keywords = Array.isArray(question.keywords) ? question.keywords : [];
+  // Essays are judged against their explanation, as in the browser's gradeQuestionAsync
+  const reference = isEssay ? question.explain || question.answer : question.answer || question.explain;
+  const userContent = USER_TEMPLATE({ question: question.prompt, reference, keywords, student: answer });
+  const request = buildProviderRequest({ provider, model, systemPrompt: isEssay ? ESSAY_SYSTEM_PROMPT : SYSTEM_PROMPT, userContent, apiKey });
+  const parsed = parseProviderJson(await sendProviderRequest(provider, request));
+  if (!parsed || typeof parsed.score !== 'number') throw httpError(502, 'Model did not return expected JSON');
+  // Some models answer on a 0..100 scale despite the prompt
+  const score = Math.max(0, Math.min(1, parsed.score > 1 ? parsed.score / 100 : parsed.score));
+  return {
+    correct: typeof parsed.correct === 'boolean' ? parsed.correct : score >= 0.75,
+    score,
+    hits: [],
+    misses: [],
+    notes: String(parsed.rationale || parsed.feedback || ''),
+    aiGraded: true,
+    grader: 'cloud',
+    model: `${provider}:${model}`
+  };
+}
+
+// → gradeQuestionAsync's result shape: { correct, score, hits, misses, notes, grader, ... }
+// grader: 'local', 'cloud' (with `cached`) or 'fallback' (the provider failed; local result kept)
+async function gradeAnswer(user, question, answer, { escalate = true } = {}) {
+  const { PIPELINES } = await loadBrowserModule('src/modules/scoring.js');
+  if (!question || typeof question !== 'object' || !PIPELINES[question.type]) throw httpError(400, 'question with a known type is required');
+  if (typeof answer !== 'string') throw httpError(400, 'answer must be a string');
+  if (answer.length > MAX_ANSWER_LENGTH) throw httpError(400, `answer must be at most ${MAX_ANSWER_LENGTH} characters`);
+
+  const local = await gradeLocally(user, question, answer);
+  const { ESCALATION_TYPES, isBorderline } = await loadBrowserModule('ai/router.js');
+  const input = { prompt: answer, reference: { answer: question.answer, keywords: question.keywords } };
+  const provider = gradingProvider();
+  if (!escalate || !provider || !ESCALATION_TYPES.includes(question.type) || !isBorderline(input, local)) return local;
+
+  const key = await gradeCacheKey(question, answer, provider);
+  const cached = await get('SELECT result FROM grade_cache WHERE key = ?', [key]);
+  if (cached) return { ...parseObject(cached.result), cached: true };
+  try {
+    const result = await gradeWithProvider(question, answer, provider);
+    await run('INSERT OR REPLACE INTO grade_cache (key, result) VALUES (?, ?)', [key, JSON.stringify(result)]);
+    return { ...result, cached: false };
+  } catch (e) {
+    console.warn('Provider grading failed, keeping the local grade:', e.message);
+    return { ...local, grader: 'fallback' };
+  }
+}
+
+module.exports = {
+  gradeAnswer,
+  getApiKeyForProvider,
+  buildProviderRequest,
+  sendProviderRequest,
+  parseProviderJson
+};
@@ -1,12 +1,17 @@
 const express = require('express');
 const cors = require('cors');
 const questionsRouter = require('./router');
+const { authRouter, usersRouter, requireAuth, requireAdmin } = require('./auth');
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+// Auth uses bearer tokens, not cookies; CORS_ORIGIN (comma-separated) limits which sites may call the API
+const corsOrigins = (process.env.CORS_ORIGIN || '').split(',').map(s => s.trim()).filter(Boolean);
+app.use(cors(corsOrigins.length ? { origin: corsOrigins } : undefined));
+app.use(express.json({ limit: '25mb' })); // sync pushes can carry base64 attachments
 
-app.use('/api', questionsRouter);
+app.use('/api/auth', authRouter);
+app.use('/api/users', requireAuth, requireAdmin, usersRouter);
+app.use('/api', requireAuth, questionsRouter);
 
 const PORT = process.env.PORT || 5174;
 app.listen(PORT, () => {
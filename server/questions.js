@@ -0,0 +1,121 @@
+// ========== Question listing ==========
+// GET /api/questions filters, full-text search (FTS5 over prompt/answer/explain), sorting and
+// keyset pagination. The cursor holds the sort value and id of the last row of a page, so
+// pages stay stable while rows are added or edited in between requests.
+const crypto = require('crypto');
+const { all, get } = require('./database');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// `sort=<key>` ascending, `sort=-<key>` descending; ties are broken by id
+const QUESTION_SORTS = {
+  id: 'q.id',
+  updated: 'q.updated_at',
+  prompt: 'q.prompt',
+  // Questions without a manual order go last, as in the question manager
+  sortOrder: 'COALESCE(q.sortOrder, 9007199254740991)'
+};
+const DEFAULT_SORT = '-id';
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// SQLite's CURRENT_TIMESTAMP format, so updated_at compares as text
+function toSqliteTime(value) {
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) throw httpError(400, 'updated_since must be a date');
+  return time.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Every word must match; each is a prefix so "스택" also finds "스택은"
+function ftsQuery(text) {
+  return String(text).split(/\s+/).map(word => word.replace(/"/g, '')).filter(Boolean).map(word => `"${word}"*`).join(' ');
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (Number.isInteger(id)) return { value, id };
+  } catch (_) {}
+  throw httpError(400, 'invalid cursor');
+}
+
+function parseListQuery(query = {}) {
+  const sort = String(query.sort || DEFAULT_SORT);
+  const key = sort.replace(/^-/, '');
+  if (!QUESTION_SORTS[key]) throw httpError(400, `sort must be one of ${Object.keys(QUESTION_SORTS).join(', ')} (prefix "-" for descending)`);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) throw httpError(400, `limit must be 1-${MAX_PAGE_SIZE}`);
+  return {
+    deck: query.deck || null,
+    type: query.type || null,
+    tag: query.tag ? String(query.tag).toLowerCase() : null,
+    search: query.q ? ftsQuery(query.q) : null,
+    updatedSince: query.updated_since ? toSqliteTime(query.updated_since) : null,
+    sortKey: key,
+    descending: sort.startsWith('-'),
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null
+  };
+}
+
+// Filters shared by the page and its total
+function whereClause(user, params) {
+  const clauses = ['q.deleted = 0', '(q.owner_id = ? OR q.shared = 1)'];
+  const values = [user.id];
+  if (params.deck) { clauses.push('q.deck = ?'); values.push(params.deck); }
+  if (params.type) { clauses.push('q.type = ?'); values.push(params.type); }
+  if (params.tag) {
+    clauses.push("EXISTS (SELECT 1 FROM json_each(CASE WHEN json_valid(q.tags) THEN q.tags ELSE '[]' END) WHERE lower(value) LIKE ?)");
+    values.push(`%${params.tag}%`);
+  }
+  if (params.search) {
+    clauses.push('q.id IN (SELECT rowid FROM questions_fts WHERE questions_fts MATCH ?)');
+    values.push(params.search);
+  }
+  if (params.updatedSince) { clauses.push('q.updated_at > ?'); values.push(params.updatedSince); }
+  return { sql: clauses.join(' AND '), values };
+}
+
+// Returns { rows, total, cursor, more }; `cursor` is passed back to get the next page
+async function listQuestions(user, params) {
+  const where = whereClause(user, params);
+  const column = QUESTION_SORTS[params.sortKey];
+  const direction = params.descending ? 'DESC' : 'ASC';
+  const page = { sql: where.sql, values: [...where.values] };
+  if (params.cursor) {
+    const op = params.descending ? '<' : '>';
+    page.sql += ` AND (${column} ${op} ? OR (${column} = ? AND q.id ${op} ?))`;
+    page.values.push(params.cursor.value, params.cursor.value, params.cursor.id);
+  }
+  const rows = await all(
+    `SELECT q.*, ${column} AS sort_value FROM questions q WHERE ${page.sql} ORDER BY ${column} ${direction}, q.id ${direction} LIMIT ?`,
+    [...page.values, params.limit + 1]
+  );
+  const { total } = await get(`SELECT COUNT(*) AS total FROM questions q WHERE ${where.sql}`, where.values);
+  const more = rows.length > params.limit;
+  const items = rows.slice(0, params.limit);
+  const last = items[items.length - 1];
+  return {
+    rows: items.map(({ sort_value, ...row }) => row),
+    total,
+    cursor: more ? encodeCursor(last.sort_value, last.id) : null,
+    more
+  };
+}
+
+// Every write to a question moves it to a new seq, so the highest seq the user can see
+// (tombstones included) changes whenever any listing of theirs could.
+async function questionsEtag(user, url) {
+  const { seq } = await get('SELECT MAX(seq) AS seq FROM questions WHERE owner_id = ? OR shared = 1', [user.id]);
+  const hash = crypto.createHash('sha1').update(`${seq || 0}|${user.id}|${url}`).digest('base64url');
+  return `W/"q-${hash.slice(0, 20)}"`;
+}
+
+module.exports = { parseListQuery, listQuestions, questionsEtag, QUESTION_SORTS };
@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { all, get, run } = require('./database');
+const { get } = require('./database');
+const { pullChanges, pushChanges, saveServerRecord, publishDeck } = require('./sync');
+const { requireAdmin } = require('./auth');
+const { parseListQuery, listQuestions, questionsEtag } = require('./questions');
+const { importQuestions, exportQuestions } = require('./transfer');
+const { gradeAnswer, getApiKeyForProvider, buildProviderRequest, sendProviderRequest, parseProviderJson } = require('./grading');
+const crypto = require('crypto');
 const path = require('path');
 const { pathToFileURL } = require('url');
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 
 // Helpers to (de)serialize arrays
 function toJson(value) {
@@ -15,47 +20,89 @@ function fromJson(value) {
   try { return JSON.parse(value); } catch (_) { return []; }
 }
 
-// List questions
+// REST rows carry the full client record (`data`) plus their columns; sync bookkeeping stays internal
+function questionFromRow(row) {
+  const { data, vv, modified, deleted, seq, owner_id, ...columns } = row;
+  let record = {};
+  try { record = data ? JSON.parse(data) : {}; } catch (_) {}
+  return {
+    ...record,
+    ...columns,
+    keywords: fromJson(row.keywords),
+    synonyms: fromJson(row.synonyms),
+    tags: fromJson(row.tags),
+    shared: !!row.shared,
+    // The record's id on the device that wrote it (its IndexedDB key); `id` is the server's
+    clientId: record.id ?? null
+  };
+}
+
+// What the client sent, minus ids and timestamps the server owns
+function questionData(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return null;
+  const { id, uid, created_at, updated_at, shared, clientId, ...data } = body;
+  return data;
+}
+
+// The browser's question schema (an ES module), loaded once
+let questionSchema = null;
+function loadQuestionSchema() {
+  questionSchema ||= import(pathToFileURL(path.join(__dirname, '..', 'src', 'modules', 'question-schema.js')).href);
+  return questionSchema;
+}
+
+// → the error response body, or null when the question is valid
+async function questionErrors(data) {
+  const { validateQuestion } = await loadQuestionSchema();
+  const { valid, errors } = validateQuestion(data);
+  return valid ? null : { error: 'Invalid question', fields: errors };
+}
+
+// Every route below runs behind requireAuth (index.js): req.user is the signed-in account.
+// Reads cover the user's own questions and published ones; writes only their own.
+async function getVisibleQuestion(id, user) {
+  return await get('SELECT * FROM questions WHERE id = ? AND deleted = 0 AND (owner_id = ? OR shared = 1)', [id, user.id]);
+}
+
+async function getOwnQuestion(id, user) {
+  return await get('SELECT * FROM questions WHERE id = ? AND deleted = 0 AND owner_id = ?', [id, user.id]);
+}
+
+// List questions: ?deck=&type=&tag=&q=&updated_since=&sort=&limit=&cursor= (see questions.js)
 router.get('/questions', async (req, res) => {
   try {
-    const rows = await all('SELECT * FROM questions ORDER BY id DESC');
-    const items = rows.map(r => ({
-      ...r,
-      keywords: fromJson(r.keywords),
-      synonyms: fromJson(r.synonyms)
-    }));
-    res.json(items);
+    const params = parseListQuery(req.query);
+    const etag = await questionsEtag(req.user, req.originalUrl);
+    res.set({ ETag: etag, 'Cache-Control': 'private, no-cache' });
+    if (req.headers['if-none-match'] === etag) return res.status(304).end();
+    const { rows, total, cursor, more } = await listQuestions(req.user, params);
+    res.json({ items: rows.map(questionFromRow), total, cursor, more });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.message });
   }
 });
 
 // Get by id
 router.get('/questions/:id', async (req, res) => {
   try {
-    const row = await get('SELECT * FROM questions WHERE id = ?', [req.params.id]);
+    const row = await getVisibleQuestion(req.params.id, req.user);
     if (!row) return res.status(404).json({ error: 'Not found' });
-    row.keywords = fromJson(row.keywords);
-    row.synonyms = fromJson(row.synonyms);
-    res.json(row);
+    res.json(questionFromRow(row));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// Create
+// Create (also published to the sync feed)
 router.post('/questions', async (req, res) => {
   try {
-    const q = req.body || {};
-    const result = await run(
-      `INSERT INTO questions (deck, type, prompt, answer, keywords, keywordThreshold, synonyms, explain)
-       VALUES (?,?,?,?,?,?,?,?)`,
-      [q.deck ?? null, q.type, q.prompt, q.answer ?? null, toJson(q.keywords) , q.keywordThreshold ?? null, toJson(q.synonyms), q.explain ?? null]
-    );
-    const row = await get('SELECT * FROM questions WHERE id = ?', [result.id]);
-    row.keywords = fromJson(row.keywords);
-    row.synonyms = fromJson(row.synonyms);
-    res.status(201).json(row);
+    const data = questionData(req.body);
+    const invalid = await questionErrors(data);
+    if (invalid) return res.status(400).json(invalid);
+    const uid = crypto.randomUUID();
+    await saveServerRecord('questions', uid, data, { ownerId: req.user.id });
+    const row = await get('SELECT * FROM questions WHERE uid = ?', [uid]);
+    res.status(201).json(questionFromRow(row));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -64,32 +111,104 @@ router.post('/questions', async (req, res) => {
 // Update
 router.put('/questions/:id', async (req, res) => {
   try {
-    const q = req.body || {};
-    await run(
-      `UPDATE questions SET deck=?, type=?, prompt=?, answer=?, keywords=?, keywordThreshold=?, synonyms=?, explain=?, updated_at=CURRENT_TIMESTAMP WHERE id=?`,
-      [q.deck ?? null, q.type, q.prompt, q.answer ?? null, toJson(q.keywords), q.keywordThreshold ?? null, toJson(q.synonyms), q.explain ?? null, req.params.id]
-    );
-    const row = await get('SELECT * FROM questions WHERE id = ?', [req.params.id]);
-    if (!row) return res.status(404).json({ error: 'Not found' });
-    row.keywords = fromJson(row.keywords);
-    row.synonyms = fromJson(row.synonyms);
-    res.json(row);
+    const existing = await getOwnQuestion(req.params.id, req.user);
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+    const data = questionData(req.body);
+    const invalid = await questionErrors(data);
+    if (invalid) return res.status(400).json(invalid);
+    await saveServerRecord('questions', existing.uid, data);
+    res.json(questionFromRow(await getOwnQuestion(req.params.id, req.user)));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// Delete
+// Delete (a tombstone, so synced devices delete it too)
 router.delete('/questions/:id', async (req, res) => {
   try {
-    const result = await run('DELETE FROM questions WHERE id = ?', [req.params.id]);
-    if (result.changes === 0) return res.status(404).json({ error: 'Not found' });
+    const existing = await getOwnQuestion(req.params.id, req.user);
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+    await saveServerRecord('questions', existing.uid, null, { deleted: true });
     res.json({ ok: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+// ========== Bulk import / export ==========
+// { format: 'csv' | 'json' | 'markdown', content, dryRun }; ?dryRun=1 works too
+router.post('/import', async (req, res) => {
+  try {
+    const { format, content, dryRun } = req.body || {};
+    const dry = dryRun === true || ['1', 'true'].includes(String(req.query.dryRun));
+    res.json(await importQuestions(req.user, { format, content, dryRun: dry }));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// ?format=csv|json|markdown&deck=<deck uid> (all visible decks without `deck`)
+router.get('/export', async (req, res) => {
+  try {
+    await exportQuestions(req.user, { format: req.query.format, deck: req.query.deck }, res);
+  } catch (e) {
+    // Once streaming has started the status is sent; all that is left is to cut the response short
+    if (res.headersSent) return res.end();
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// ========== Sync ==========
+// Change feed: records written after `since` (the cursor of the previous pull)
+router.get('/sync', async (req, res) => {
+  try {
+    const since = req.query.since === undefined ? 0 : Number(req.query.since);
+    if (!Number.isInteger(since) || since < 0) return res.status(400).json({ error: 'since must be a non-negative integer' });
+    res.json(await pullChanges(req.user, since, req.query.limit));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Batch push: { deviceId, changes: [{ table, uid, data, vv, modified, deleted }] }
+router.post('/sync', async (req, res) => {
+  try {
+    res.json(await pushChanges(req.body || {}, req.user));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// Publish one of the admin's decks (by uid) with its questions to every account
+router.post('/decks/:uid/publish', requireAdmin, async (req, res) => {
+  try {
+    res.json(await publishDeck(req.params.uid, req.user));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// ========== Grading ==========
+// { question | questionId, answer, escalate } → gradeQuestionAsync's result shape (see grading.js)
+router.post('/grade', async (req, res) => {
+  try {
+    const { questionId, answer, escalate } = req.body || {};
+    let question = questionData(req.body?.question);
+    if (questionId != null) {
+      const row = await getVisibleQuestion(questionId, req.user);
+      if (!row) return res.status(404).json({ error: 'Question not found' });
+      question = questionFromRow(row);
+    } else if (question) {
+      // Inline questions get the same per-field 400 as POST/PUT /questions
+      const invalid = await questionErrors(question);
+      if (invalid) return res.status(400).json(invalid);
+    }
+    res.json(await gradeAnswer(req.user, question, answer, { escalate: escalate !== false }));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
 module.exports = router;
 
 // ========== AI Grading: Essay (OpenAI) ==========
@@ -98,7 +217,8 @@ async function loadPrompts() {
   return await import(url);
 }
 
-// Unified essay grading endpoint supporting openai | anthropic | gemini
+// Unified essay grading endpoint supporting openai | anthropic | gemini.
+// Kept for older clients; POST /grade handles every question type with server-side keys.
 router.post('/grade/essay', async (req, res) => {
   try {
     const { question, reference, student, model, provider } = req.body || {};
@@ -107,22 +227,12 @@ router.post('/grade/essay', async (req, res) => {
     const systemPrompt = 'You are a KR/EN essay grader. Return ONLY strict JSON: {"score":0..100,"feedback":"..."}. Be concise, judge content quality, relevance, correctness. No extra text.';
 
     const prov = (provider || process.env.AI_PROVIDER || 'openai').toLowerCase();
-    const { url, headers, body } = buildProviderRequest({ provider: prov, model, systemPrompt, userContent, req });
+    const request = buildProviderRequest({ provider: prov, model, systemPrompt, userContent, apiKey: getApiKeyForProvider(prov, req.headers) });
 
-    if (!url) return res.status(400).json({ error: 'Unsupported provider', provider: prov });
+    if (!request.url) return res.status(400).json({ error: 'Unsupported provider', provider: prov });
 
-    const resp = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
-    if (!resp.ok) {
-      const text = await resp.text().catch(() => '');
-      return res.status(resp.status).json({ error: `${prov} HTTP ${resp.status}`, details: text });
-    }
-    const data = await resp.json();
-    const content = extractProviderContent(prov, data);
-    let parsed;
-    try { parsed = JSON.parse(content); } catch (_) {
-      const m = content && content.match(/\{[\s\S]*\}/);
-      if (m) { try { parsed = JSON.parse(m[0]); } catch (__) {} }
-    }
+    const content = await sendProviderRequest(prov, request);
+    const parsed = parseProviderJson(content);
     if (!parsed || typeof parsed.score !== 'number') {
       return res.status(502).json({ error: 'Model did not return expected JSON', raw: content });
     }
@@ -130,89 +240,6 @@ router.post('/grade/essay', async (req, res) => {
     const feedback = String(parsed.feedback || parsed.rationale || '');
     res.json({ score, feedback });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.message, details: e.details });
   }
 });
-
-function getApiKeyForProvider(provider, req) {
-  switch (provider) {
-    case 'openai': return process.env.OPENAI_API_KEY || req.headers['x-openai-key'] || req.headers['x-api-key'];
-    case 'anthropic': return process.env.ANTHROPIC_API_KEY || req.headers['x-anthropic-key'] || req.headers['x-api-key'];
-    case 'gemini': return process.env.GEMINI_API_KEY || req.headers['x-gemini-key'] || req.headers['x-api-key'];
-    default: return undefined;
-  }
-}
-
-function buildProviderRequest({ provider, model, systemPrompt, userContent, req }) {
-  if (provider === 'openai') {
-    const apiKey = getApiKeyForProvider('openai', req);
-    if (!apiKey) return {};
-    const usedModel = model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
-    return {
-      url: 'https://api.openai.com/v1/chat/completions',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: {
-        model: usedModel,
-        temperature: 0.2,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userContent }
-        ]
-      }
-    };
-  }
-
-  if (provider === 'anthropic') {
-    const apiKey = getApiKeyForProvider('anthropic', req);
-    if (!apiKey) return {};
-    const usedModel = model || process.env.ANTHROPIC_MODEL || 'claude-3-haiku-20240307';
-    return {
-      url: 'https://api.anthropic.com/v1/messages',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-        'anthropic-version': '2023-06-01'
-      },
-      body: {
-        model: usedModel,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: userContent }],
-        temperature: 0.2,
-        max_tokens: 300
-      }
-    };
-  }
-
-  if (provider === 'gemini') {
-    const apiKey = getApiKeyForProvider('gemini', req);
-    if (!apiKey) return {};
-    const usedModel = model || process.env.GEMINI_MODEL || 'gemini-2.5-flash';
-    return {
-      url: `https://generativelanguage.googleapis.com/v1beta/models/${usedModel}:generateContent?key=${encodeURIComponent(apiKey)}`,
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: {
-        contents: [{ parts: [{ text: `${systemPrompt}\n\n${userContent}` }] }],
-        generationConfig: { temperature: 0.2, maxOutputTokens: 300, responseMimeType: 'application/json' }
-      }
-    };
-  }
-  return {};
-}
-
-function extractProviderContent(provider, data) {
-  switch (provider) {
-    case 'openai':
-      return data?.choices?.[0]?.message?.content || '';
-    case 'anthropic':
-      return data?.content?.[0]?.text || '';
-    case 'gemini':
-      return data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    default:
-      return '';
-  }
-}
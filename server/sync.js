@@ -0,0 +1,316 @@
+// ========== Sync: change feed and batch push ==========
+// Devices pull `GET /api/sync?since=<cursor>` and push `POST /api/sync` batches of
+// { table, uid, data, vv, modified, deleted }. A device bumps its own counter in a record's
+// version vector on every local edit, so comparing vectors tells whether a push builds on what
+// the server has (apply), is older (ignore, send the server's copy back) or was made
+// concurrently (conflict). Conflicts are resolved per table:
+//   review_log – entries are immutable, so both sides' logs are merged (union by uid)
+//   review     – the state with the later lastReview wins; the device should replay its merged log
+//   others     – last writer wins on `modified`; a tie keeps the server's copy
+// Every account sees its own records plus the ones an admin published (`shared`), and may only
+// write its own.
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { all, get, run, transaction, SYNC_TABLES } = require('./database');
+
+const SERVER_DEVICE = 'server';
+const MAX_PULL = 1000;
+const MAX_PUSH = 1000;
+
+function toJson(value) {
+  if (value == null) return null;
+  try { return JSON.stringify(value); } catch (_) { return null; }
+}
+
+function parseObject(value) {
+  if (!value) return {};
+  try { return JSON.parse(value) || {}; } catch (_) { return {}; }
+}
+
+// ========== Version vectors ==========
+// 'equal' | 'before' (a is older than b) | 'after' | 'concurrent'
+function compareVersionVectors(a = {}, b = {}) {
+  let less = false;
+  let greater = false;
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const x = a[key] || 0;
+    const y = b[key] || 0;
+    if (x < y) less = true;
+    if (x > y) greater = true;
+  }
+  if (less && greater) return 'concurrent';
+  if (less) return 'before';
+  if (greater) return 'after';
+  return 'equal';
+}
+
+function mergeVersionVectors(a = {}, b = {}) {
+  const merged = { ...a };
+  for (const [key, value] of Object.entries(b)) merged[key] = Math.max(merged[key] || 0, value);
+  return merged;
+}
+
+function isVersionVector(vv) {
+  return vv && typeof vv === 'object' && !Array.isArray(vv) &&
+    Object.values(vv).every(n => Number.isInteger(n) && n >= 0);
+}
+
+// Which side of a concurrent edit is kept: 'incoming' or 'existing'
+function resolveConflict(table, incoming, existing) {
+  if (table === 'review_log') return 'existing';
+  if (table === 'review') {
+    const a = incoming.data?.lastReview || '';
+    const b = existing.data?.lastReview || '';
+    if (a !== b) return a > b ? 'incoming' : 'existing';
+  }
+  const a = incoming.modified || '';
+  const b = existing.modified || '';
+  return a > b ? 'incoming' : 'existing';
+}
+
+// ========== Rows ==========
+function rowToRecord(table, row) {
+  return {
+    table,
+    uid: row.uid,
+    data: row.deleted ? null : rowData(table, row),
+    vv: parseObject(row.vv),
+    modified: row.modified || null,
+    deleted: !!row.deleted,
+    shared: !!row.shared,
+    seq: row.seq
+  };
+}
+
+// Rows written by the questions CRUD routes before sync existed have no `data` yet
+function rowData(table, row) {
+  if (row.data) return parseObject(row.data);
+  const data = {};
+  for (const column of Object.keys(SYNC_TABLES[table])) {
+    if (row[column] == null) continue;
+    data[column] = ['keywords', 'synonyms', 'tags'].includes(column) ? parseJsonArray(row[column]) : row[column];
+  }
+  return data;
+}
+
+function parseJsonArray(value) {
+  try { return JSON.parse(value); } catch (_) { return []; }
+}
+
+function columnValue(value) {
+  if (value == null) return null;
+  if (typeof value === 'object') return toJson(value);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+async function getRow(table, uid) {
+  return await get(`SELECT * FROM ${table} WHERE uid = ?`, [uid]);
+}
+
+// Upserts the record, then moves it to the end of the change feed; returns its new seq.
+// The feed entry is only written once the upsert succeeded, so a rejected row never shows up in a pull.
+async function writeRecord(table, { uid, data, vv, modified, deleted, ownerId, shared }) {
+  const columns = Object.keys(SYNC_TABLES[table]);
+  const values = columns.map(column => columnValue(data?.[column]));
+  const names = ['uid', ...columns, 'data', 'vv', 'modified', 'deleted', 'owner_id', 'shared'];
+  const quoted = names.map(n => `"${n}"`);
+  await run(
+    `INSERT INTO ${table} (${quoted.join(', ')}) VALUES (${names.map(() => '?').join(', ')})
+     ON CONFLICT(uid) DO UPDATE SET ${quoted.slice(1).map(n => `${n} = excluded.${n}`).join(', ')}, updated_at = CURRENT_TIMESTAMP`,
+    [uid, ...values, toJson(data), toJson(vv), modified, deleted ? 1 : 0, ownerId, shared ? 1 : 0]
+  );
+  await run('DELETE FROM sync_changes WHERE table_name = ? AND uid = ?', [table, uid]);
+  const { id: seq } = await run(
+    'INSERT INTO sync_changes (table_name, uid, owner_id, shared) VALUES (?, ?, ?, ?)',
+    [table, uid, ownerId, shared ? 1 : 0]
+  );
+  await run(`UPDATE ${table} SET seq = ? WHERE uid = ?`, [seq, uid]);
+  return seq;
+}
+
+// ========== Pull ==========
+async function pullChanges(user, since = 0, limit = MAX_PULL) {
+  const size = Math.max(1, Math.min(MAX_PULL, Number(limit) || MAX_PULL));
+  const entries = await all(
+    'SELECT seq, table_name, uid FROM sync_changes WHERE seq > ? AND (owner_id = ? OR shared = 1) ORDER BY seq LIMIT ?',
+    [Number(since) || 0, user.id, size]
+  );
+  const byTable = {};
+  for (const entry of entries) (byTable[entry.table_name] ||= []).push(entry.uid);
+  const records = [];
+  for (const [table, uids] of Object.entries(byTable)) {
+    if (!SYNC_TABLES[table]) continue;
+    const rows = await all(`SELECT * FROM ${table} WHERE uid IN (${uids.map(() => '?').join(', ')})`, uids);
+    records.push(...rows.map(row => rowToRecord(table, row)));
+  }
+  records.sort((a, b) => a.seq - b.seq);
+  return {
+    changes: records,
+    cursor: entries.length ? entries[entries.length - 1].seq : Number(since) || 0,
+    more: entries.length === size
+  };
+}
+
+// ========== Push ==========
+// The browser's question schema (an ES module), loaded once
+let questionSchema = null;
+function loadQuestionSchema() {
+  questionSchema ||= import(pathToFileURL(path.join(__dirname, '..', 'src', 'modules', 'question-schema.js')).href);
+  return questionSchema;
+}
+
+function validateChange(change) {
+  if (!change || typeof change !== 'object') return 'change must be an object';
+  if (!SYNC_TABLES[change.table]) return `unknown table: ${change.table}`;
+  if (typeof change.uid !== 'string' || !change.uid || change.uid.length > 100) return 'uid must be a non-empty string';
+  if (!isVersionVector(change.vv)) return 'vv must map device ids to counters';
+  if (!change.deleted && (!change.data || typeof change.data !== 'object')) return 'data is required unless deleted';
+  return null;
+}
+
+async function applyChange(change, user) {
+  const row = await getRow(change.table, change.uid);
+  if (row && row.owner_id !== user.id) return { status: 'rejected', error: row.shared ? 'shared records are read-only' : 'forbidden' };
+  const incoming = { ...change, deleted: !!change.deleted, ownerId: user.id, shared: !!row?.shared };
+  if (!row) {
+    // A deletion of something the server never saw has nothing to remove
+    if (incoming.deleted) return { status: 'applied', seq: null };
+    const seq = await writeRecord(change.table, incoming);
+    return { status: 'applied', seq };
+  }
+  const existing = rowToRecord(change.table, row);
+  const order = compareVersionVectors(incoming.vv, existing.vv);
+  if (order === 'equal') return { status: 'applied', seq: existing.seq };
+  if (order === 'before') return { status: 'stale', record: existing };
+  if (order === 'after') {
+    // A tombstone keeps the last content so the mirrored columns stay filled
+    const seq = await writeRecord(change.table, { ...incoming, data: incoming.data ?? rowData(change.table, row) });
+    return { status: 'applied', seq };
+  }
+  // Concurrent: keep one side's content under the merged vector so both devices descend from it
+  const winner = resolveConflict(change.table, incoming, existing) === 'incoming' ? incoming : existing;
+  const resolved = {
+    uid: change.uid,
+    data: winner.data ?? rowData(change.table, row),
+    vv: mergeVersionVectors(incoming.vv, existing.vv),
+    modified: winner.modified,
+    deleted: winner.deleted,
+    ownerId: user.id,
+    shared: incoming.shared
+  };
+  const seq = await writeRecord(change.table, resolved);
+  return {
+    status: 'conflict',
+    winner: winner === incoming ? 'client' : 'server',
+    record: rowToRecord(change.table, { ...resolved, data: toJson(resolved.data), vv: toJson(resolved.vv), seq }),
+    replay: change.table === 'review'
+  };
+}
+
+// Applies a batch for `user` in one transaction. Invalid or forbidden changes (including questions
+// that fail the shared question schema) are reported per change, not fatal.
+// Each applied change carries its new `seq`; the device's pull cursor stays where it was.
+async function pushChanges({ deviceId, changes }, user) {
+  if (typeof deviceId !== 'string' || !deviceId) throw Object.assign(new Error('deviceId is required'), { status: 400 });
+  if (deviceId === SERVER_DEVICE) throw Object.assign(new Error(`deviceId '${SERVER_DEVICE}' is reserved`), { status: 400 });
+  if (!Array.isArray(changes)) throw Object.assign(new Error('changes must be an array'), { status: 400 });
+  if (changes.length > MAX_PUSH) throw Object.assign(new Error(`at most ${MAX_PUSH} changes per push`), { status: 413 });
+  return await transaction(async () => {
+    const applied = [];
+    const conflicts = [];
+    const rejected = [];
+    for (const change of changes) {
+      const error = validateChange(change);
+      if (error) {
+        rejected.push({ table: change?.table, uid: change?.uid, error });
+        continue;
+      }
+      if (change.table === 'questions' && !change.deleted) {
+        const { validateQuestion } = await loadQuestionSchema();
+        const { valid, errors } = validateQuestion(change.data);
+        if (!valid) {
+          rejected.push({ table: change.table, uid: change.uid, error: 'Invalid question', fields: errors });
+          continue;
+        }
+      }
+      try {
+        const result = await applyChange(change, user);
+        if (result.status === 'rejected') rejected.push({ table: change.table, uid: change.uid, error: result.error });
+        else if (result.status === 'applied') applied.push({ table: change.table, uid: change.uid, seq: result.seq });
+        else if (result.status === 'stale') conflicts.push({ table: change.table, uid: change.uid, winner: 'server', record: result.record });
+        else conflicts.push({ table: change.table, uid: change.uid, winner: result.winner, record: result.record, replay: result.replay });
+      } catch (e) {
+        // Database errors name tables and constraints; the device only needs to know this change failed
+        console.error(`Sync push of ${change.table}/${change.uid} failed:`, e.message);
+        rejected.push({ table: change.table, uid: change.uid, error: 'Change could not be stored' });
+      }
+    }
+    // No cursor: other devices may have written between this device's last pull and this push,
+    // so only a pull's cursor is safe as the next `since`
+    return { applied, conflicts, rejected };
+  });
+}
+
+// ========== Server-side writes ==========
+// Writes that don't come from a device (the REST routes, bulk import) count as the 'server' device.
+// `ownerId` is only used for new records; ownership never changes.
+async function saveServerRecord(table, uid, data, options = {}) {
+  return await transaction(() => putServerRecord(table, uid, data, options));
+}
+
+// saveServerRecord for callers that already hold a transaction (several writes, one commit)
+async function putServerRecord(table, uid, data, { deleted = false, ownerId } = {}) {
+  const row = await getRow(table, uid);
+  const vv = parseObject(row?.vv);
+  vv[SERVER_DEVICE] = (vv[SERVER_DEVICE] || 0) + 1;
+  return await writeRecord(table, {
+    uid,
+    data: deleted && row ? rowData(table, row) : data,
+    vv,
+    modified: new Date().toISOString(),
+    deleted,
+    ownerId: row ? row.owner_id : ownerId,
+    shared: !!row?.shared
+  });
+}
+
+// What a question's `deck` holds for this deck: its id on the device that created it, or the
+// uid for decks created on the server (which have no device id)
+function deckKey(row) {
+  return parseObject(row.data).id ?? row.uid;
+}
+
+// ========== Shared decks ==========
+// Publishing marks a deck and its questions `shared` and moves them to the end of the feed, so
+// every account pulls them on its next sync. Questions belong to the deck through `deck`
+// (see deckKey). To withdraw a shared deck its owner deletes it:
+// the tombstones stay shared and reach everyone.
+async function publishDeck(uid, user) {
+  return await transaction(async () => {
+    const deck = await getRow('decks', uid);
+    if (!deck || deck.deleted) throw Object.assign(new Error('Deck not found'), { status: 404 });
+    if (deck.owner_id !== user.id) throw Object.assign(new Error('Only the owner can publish a deck'), { status: 403 });
+    const questions = await all(
+      'SELECT * FROM questions WHERE owner_id = ? AND deleted = 0 AND deck = ?',
+      [user.id, deckKey(deck)]
+    );
+    for (const [table, row] of [['decks', deck], ...questions.map(q => ['questions', q])]) {
+      await writeRecord(table, { ...rowToRecord(table, row), ownerId: row.owner_id, shared: true });
+    }
+    return { deck: uid, questions: questions.length };
+  });
+}
+
+module.exports = {
+  compareVersionVectors,
+  mergeVersionVectors,
+  resolveConflict,
+  rowToRecord,
+  pullChanges,
+  pushChanges,
+  saveServerRecord,
+  putServerRecord,
+  deckKey,
+  publishDeck
+};
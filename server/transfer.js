@@ -0,0 +1,268 @@
+// ========== Bulk import / export ==========
+// POST /api/import takes the browser's formats: the guided-import CSV/TSV, a JSON backup
+// (exportAllData's shape) or the <details>/<summary> interview markdown. Parsing and validation
+// reuse the browser modules, loaded with import(), so a file is accepted or rejected the same
+// way on both sides. Rows are reported one by one; `dryRun` reports without writing.
+// GET /api/export streams a deck (or every visible deck) back out in the same formats.
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { all, get, transaction } = require('./database');
+const { putServerRecord, deckKey } = require('./sync');
+
+const FORMATS = ['csv', 'json', 'markdown'];
+const MAX_IMPORT_ROWS = 5000;
+const EXPORT_BATCH = 500;
+// Backup sections that only travel through /api/sync
+const SYNC_ONLY_SECTIONS = ['profile', 'reviews', 'reviewLog', 'notes', 'dailyRollup', 'attachments', 'learnedSynonyms'];
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+const browserModules = new Map();
+function loadBrowserModule(relativePath) {
+  if (!browserModules.has(relativePath)) {
+    browserModules.set(relativePath, import(pathToFileURL(path.join(__dirname, '..', relativePath)).href));
+  }
+  return browserModules.get(relativePath);
+}
+
+function parseObject(value) {
+  if (!value) return {};
+  try { return JSON.parse(value) || {}; } catch (_) { return {}; }
+}
+
+// ========== Import ==========
+// Every format becomes entries: { row, deck (name), prompt?, cards: [question], errors: [message] }
+// (`prompt` names a row that produced no cards)
+async function csvEntries(text) {
+  const { parseImportText, importRowToCards } = await loadBrowserModule('src/modules/question-import.js');
+  // Row numbers count the header, as in a spreadsheet
+  return parseImportText(text).map((r, i) => ({
+    row: i + 2,
+    deck: r.deck,
+    prompt: r.prompt,
+    cards: r.error ? [] : importRowToCards(r),
+    errors: r.error ? [r.error] : []
+  }));
+}
+
+async function markdownEntries(text) {
+  const { parseBackendInterviewMarkdown } = await loadBrowserModule('src/utils/markdown-parser.js');
+  // Questions before the first ### heading have no deck: report them rather than drop them
+  return parseBackendInterviewMarkdown(text, { keepUncategorized: true }).map((q, i) => {
+    const { deck, category, endIndex, ...question } = q;
+    return { row: i + 1, deck: category || '', cards: [{ ...question, tags: [] }], errors: category ? [] : ['덱 누락'] };
+  });
+}
+
+function jsonEntries(backup) {
+  if (!backup || typeof backup !== 'object' || !Array.isArray(backup.questions)) {
+    throw httpError(400, 'JSON import expects a backup with a "questions" array');
+  }
+  const deckNames = new Map((Array.isArray(backup.decks) ? backup.decks : []).map(d => [String(d?.id), d?.name]));
+  return backup.questions.map((q, i) => {
+    const { id, deck, ...question } = q && typeof q === 'object' ? q : {};
+    const name = deckNames.get(String(deck));
+    return { row: i + 1, deck: name || '', cards: [question], errors: name ? [] : ['덱 누락'] };
+  });
+}
+
+async function parseEntries(format, content) {
+  if (format === 'json') {
+    let backup = content;
+    if (typeof content === 'string') {
+      try { backup = JSON.parse(content); } catch (_) { throw httpError(400, 'content is not valid JSON'); }
+    }
+    return { entries: jsonEntries(backup), ignored: SYNC_ONLY_SECTIONS.filter(key => backup[key] != null && !(Array.isArray(backup[key]) && backup[key].length === 0)) };
+  }
+  if (typeof content !== 'string') throw httpError(400, `${format} content must be a string`);
+  return { entries: format === 'csv' ? await csvEntries(content) : await markdownEntries(content), ignored: [] };
+}
+
+// Finds the user's deck by name (case-insensitive) or creates it; in a dry run, only notes the name
+async function deckResolver(user, dryRun) {
+  const rows = await all('SELECT * FROM decks WHERE owner_id = ? AND deleted = 0', [user.id]);
+  const byName = new Map(rows.map(row => [String(row.name || '').toLowerCase(), deckKey(row)]));
+  const created = [];
+  return {
+    created,
+    async resolve(name) {
+      const key = name.toLowerCase();
+      if (byName.has(key)) return byName.get(key);
+      created.push(name);
+      const uid = dryRun ? null : crypto.randomUUID();
+      if (!dryRun) await putServerRecord('decks', uid, { name, created: new Date().toISOString() }, { ownerId: user.id });
+      byName.set(key, uid);
+      return uid;
+    }
+  };
+}
+
+function duplicateKey(deck, q) {
+  return JSON.stringify([deck, q.type, q.prompt, q.clozeIndex ?? 0]);
+}
+
+async function isDuplicate(user, deck, q) {
+  if (deck == null) return false;
+  const row = await get(
+    `SELECT 1 FROM questions WHERE owner_id = ? AND deleted = 0 AND deck = ? AND type = ? AND prompt = ?
+     AND COALESCE(json_extract(data, '$.clozeIndex'), 0) = ?`,
+    [user.id, deck, q.type, q.prompt, q.clozeIndex ?? 0]
+  );
+  return !!row;
+}
+
+// → { format, dryRun, total, created, duplicates, invalid, decks, ignored, results }
+// results[i].status: 'created' | 'valid' (dry run) | 'duplicate' | 'invalid'
+async function importQuestions(user, { format, content, dryRun = false } = {}) {
+  if (!FORMATS.includes(format)) throw httpError(400, `format must be one of ${FORMATS.join(', ')}`);
+  if (content == null || content === '') throw httpError(400, 'content is required');
+  const { entries, ignored } = await parseEntries(format, content);
+  if (entries.length > MAX_IMPORT_ROWS) throw httpError(413, `at most ${MAX_IMPORT_ROWS} rows per import`);
+  const { validateQuestion } = await loadBrowserModule('src/modules/question-schema.js');
+
+  const run = async () => {
+    const decks = await deckResolver(user, dryRun);
+    const seen = new Set();
+    const results = [];
+    const counts = { created: 0, duplicates: 0, invalid: 0 };
+    for (const entry of entries) {
+      const result = { row: entry.row, deck: entry.deck, prompt: String(entry.cards[0]?.prompt ?? entry.prompt ?? '').slice(0, 80) };
+      const errors = [...entry.errors];
+      for (const card of entry.cards) errors.push(...Object.values(validateQuestion(card).errors));
+      // Never resolve a missing deck, whatever the format's parser reported
+      if (!entry.deck && !errors.some(error => error.includes('덱 누락'))) errors.push('덱 누락');
+      if (errors.length) {
+        counts.invalid++;
+        results.push({ ...result, status: 'invalid', errors: [...new Set(errors)] });
+        continue;
+      }
+      const deck = await decks.resolve(entry.deck);
+      const fresh = [];
+      for (const card of entry.cards) {
+        const key = duplicateKey(deck ?? entry.deck.toLowerCase(), card);
+        if (seen.has(key) || await isDuplicate(user, deck, card)) continue;
+        seen.add(key);
+        fresh.push(card);
+      }
+      if (fresh.length === 0) {
+        counts.duplicates++;
+        results.push({ ...result, status: 'duplicate' });
+        continue;
+      }
+      if (!dryRun) {
+        for (const card of fresh) await putServerRecord('questions', crypto.randomUUID(), { ...card, deck }, { ownerId: user.id });
+      }
+      counts.created += fresh.length;
+      results.push({ ...result, status: dryRun ? 'valid' : 'created', questions: fresh.length });
+    }
+    return { format, dryRun, total: entries.length, ...counts, decks: decks.created, ignored, results };
+  };
+  // One transaction: an import is written completely or not at all
+  return dryRun ? await run() : await transaction(run);
+}
+
+// ========== Export ==========
+// Questions are grouped by deck; a deck's key is only unique per owner (see deckKey)
+async function exportGroups(user, deckUid) {
+  const deckRows = await all('SELECT * FROM decks WHERE deleted = 0 AND (owner_id = ? OR shared = 1)', [user.id]);
+  const decks = new Map(deckRows.map(row => [`${row.owner_id}|${deckKey(row)}`, row]));
+  if (deckUid) {
+    const row = deckRows.find(d => d.uid === deckUid);
+    if (!row) throw httpError(404, 'Deck not found');
+    return [{ ownerId: row.owner_id, key: deckKey(row), deck: row }];
+  }
+  const groups = await all(
+    'SELECT DISTINCT owner_id, deck FROM questions WHERE deleted = 0 AND (owner_id = ? OR shared = 1) ORDER BY owner_id, deck',
+    [user.id]
+  );
+  return groups.map(g => ({ ownerId: g.owner_id, key: g.deck, deck: decks.get(`${g.owner_id}|${g.deck}`) || null }));
+}
+
+async function* groupQuestions(user, group) {
+  let after = 0;
+  for (;;) {
+    const rows = await all(
+      `SELECT * FROM questions WHERE deleted = 0 AND (owner_id = ? OR shared = 1) AND owner_id = ? AND deck IS ? AND id > ?
+       ORDER BY id LIMIT ?`,
+      [user.id, group.ownerId, group.key, after, EXPORT_BATCH]
+    );
+    for (const row of rows) yield { ...parseObject(row.data), deck: group.key };
+    if (rows.length < EXPORT_BATCH) return;
+    after = rows[rows.length - 1].id;
+  }
+}
+
+function groupName(group) {
+  return group.deck?.name || (group.key == null ? '미분류' : String(group.key));
+}
+
+// Resolves once `res` can take more: a slow client holds the export back instead of it piling up
+// in memory. Rejects if the client goes away first.
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const settle = (error) => {
+      res.off('drain', settle);
+      res.off('close', closed);
+      error ? reject(error) : resolve();
+    };
+    const closed = () => settle(httpError(499, 'Client closed the export'));
+    res.on('drain', settle);
+    res.on('close', closed);
+  });
+}
+
+// Writes the export to `res`, a batch of questions at a time
+async function exportQuestions(user, { format, deck } = {}, res) {
+  if (!FORMATS.includes(format)) throw httpError(400, `format must be one of ${FORMATS.join(', ')}`);
+  const groups = await exportGroups(user, deck);
+  const stamp = new Date().toISOString().slice(0, 10);
+  const filename = `cs-study-${deck ? groupName(groups[0]).replace(/[^\p{L}\p{N}_-]+/gu, '-') : 'all'}-${stamp}`;
+  const types = { csv: 'text/csv', json: 'application/json', markdown: 'text/markdown' };
+  const extensions = { csv: 'csv', json: 'json', markdown: 'md' };
+  res.set({
+    'Content-Type': `${types[format]}; charset=utf-8`,
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(`${filename}.${extensions[format]}`)}`
+  });
+
+  if (format === 'csv') {
+    const { IMPORT_COLUMNS, questionToImportRow, toCsvLine } = await loadBrowserModule('src/modules/question-import.js');
+    await writeChunk(res, IMPORT_COLUMNS.join(',') + '\n');
+    for (const group of groups) {
+      const clozeTexts = new Set();
+      for await (const q of groupQuestions(user, group)) {
+        // One row rebuilds every card of a cloze text
+        if (q.type === 'CLOZE') {
+          if (clozeTexts.has(q.prompt)) continue;
+          clozeTexts.add(q.prompt);
+        }
+        await writeChunk(res, toCsvLine(questionToImportRow(q, groupName(group))) + '\n');
+      }
+    }
+  } else if (format === 'markdown') {
+    const { formatMarkdownCategory, formatMarkdownQuestion } = await loadBrowserModule('src/utils/markdown-parser.js');
+    for (const group of groups) {
+      await writeChunk(res, formatMarkdownCategory(groupName(group)));
+      for await (const q of groupQuestions(user, group)) await writeChunk(res, formatMarkdownQuestion(q));
+    }
+  } else {
+    // exportAllData's shape with only decks and questions. Deck ids are kept so questions stay
+    // linked; question ids are local to the exporting device and left out.
+    const decks = groups.filter(g => g.key != null).map(g => ({ ...parseObject(g.deck?.data), id: g.key, name: groupName(g) }));
+    await writeChunk(res, `{"version":"1.0","timestamp":${JSON.stringify(new Date().toISOString())},"decks":${JSON.stringify(decks)},"questions":[`);
+    let first = true;
+    for (const group of groups) {
+      for await (const { id, ...q } of groupQuestions(user, group)) {
+        await writeChunk(res, (first ? '' : ',') + JSON.stringify(q));
+        first = false;
+      }
+    }
+    await writeChunk(res, ']}');
+  }
+  res.end();
+}
+
+module.exports = { importQuestions, exportQuestions };
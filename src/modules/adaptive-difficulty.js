@@ -251,6 +251,10 @@ function getDefaultQuestionDifficulty(question) {
       }
       return DIFFICULTY_LEVELS.MEDIUM;
     
+    case 'MCQ':
+      // Picking one option is close to OX; "select all that apply" is harder
+      return question.multiSelect ? DIFFICULTY_LEVELS.MEDIUM : DIFFICULTY_LEVELS.EASY;
+    
     case 'KEYWORD':
     case 'ESSAY':
       return DIFFICULTY_LEVELS.HARD; // Keyword and essay questions are generally harder
@@ -0,0 +1,155 @@
+// ========== Image Attachments ==========
+// Diagrams and screenshots are stored as Blobs in the `attachments` table and referenced from
+// prompts, explanations and notes as ![name](attachment:12). Rendering turns a reference into
+// an <img data-attachment-id> placeholder; hydrateAttachments() fills in object URLs read from
+// IndexedDB, so attachments work offline and each Blob is only read once per page.
+import { addAttachment, getAttachment, getAttachments } from './database.js';
+
+export const ATTACHMENT_MAX_BYTES = 5 * 1024 * 1024;
+
+const ATTACHMENT_REF_RE = /!\[([^\]\n]*)\]\(attachment:(\d+)\)/g;
+const objectUrls = new Map(); // attachment id → object URL
+
+export function attachmentRef(id, name = 'image') {
+  const label = String(name || 'image').replace(/[[\]"\n]/g, '').trim() || 'image';
+  return `![${label}](attachment:${id})`;
+}
+
+export function attachmentIds(text) {
+  return [...String(text ?? '').matchAll(ATTACHMENT_REF_RE)].map(m => Number(m[2]));
+}
+
+// Works on already-escaped HTML: the reference syntax survives escaping unchanged
+export function renderAttachmentRefs(html) {
+  return String(html ?? '').replace(ATTACHMENT_REF_RE, (_, alt, id) =>
+    `<img class="attachment-img" data-attachment-id="${id}" alt="${alt.replace(/"/g, '&quot;')}" loading="lazy">`);
+}
+
+export async function attachmentUrl(id) {
+  const key = Number(id);
+  if (!objectUrls.has(key)) {
+    const row = await getAttachment(key);
+    if (!row?.blob) return null;
+    objectUrls.set(key, URL.createObjectURL(row.blob));
+  }
+  return objectUrls.get(key);
+}
+
+export async function hydrateAttachments(root) {
+  const images = [...(root?.querySelectorAll('img[data-attachment-id]:not([src])') || [])];
+  await Promise.all(images.map(async img => {
+    const url = await attachmentUrl(img.dataset.attachmentId).catch(() => null);
+    if (url) {
+      img.src = url;
+      return;
+    }
+    const missing = document.createElement('span');
+    missing.className = 'attachment-missing';
+    missing.textContent = `🖼️ 첨부 없음 (${img.alt || img.dataset.attachmentId})`;
+    img.replaceWith(missing);
+  }));
+}
+
+export async function saveImageAttachment(file) {
+  if (!file?.type?.startsWith('image/')) throw new Error('이미지 파일만 첨부할 수 있습니다');
+  if (file.size > ATTACHMENT_MAX_BYTES) throw new Error(`이미지는 ${ATTACHMENT_MAX_BYTES / 1024 / 1024}MB 이하만 첨부할 수 있습니다`);
+  return await addAttachment({ name: file.name || 'image', type: file.type, size: file.size, blob: file, created: new Date() });
+}
+
+function insertAtCursor(textarea, text) {
+  const start = textarea.selectionStart ?? textarea.value.length;
+  const end = textarea.selectionEnd ?? start;
+  const before = textarea.value.slice(0, start);
+  const insert = (before && !before.endsWith('\n') ? '\n' : '') + text + '\n';
+  textarea.value = before + insert + textarea.value.slice(end);
+  textarea.selectionStart = textarea.selectionEnd = start + insert.length;
+}
+
+// Pasted images are stored and replaced by a reference; a plain text paste is left alone
+export async function handleImagePaste(event) {
+  const textarea = event.currentTarget;
+  const files = [...(event.clipboardData?.files || [])].filter(file => file.type.startsWith('image/'));
+  if (files.length === 0) return;
+  event.preventDefault();
+  for (const file of files) {
+    try {
+      const id = await saveImageAttachment(file);
+      insertAtCursor(textarea, attachmentRef(id, file.name));
+      showToast('이미지를 첨부했습니다', 'success');
+    } catch (error) {
+      showToast(error.message, 'warning');
+    }
+  }
+  textarea.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+export function enableImagePaste(textarea) {
+  if (!textarea || textarea.dataset.imagePaste) return;
+  textarea.dataset.imagePaste = 'true';
+  textarea.addEventListener('paste', handleImagePaste);
+}
+
+// ========== Backup (base64) ==========
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+export async function exportAttachments() {
+  const rows = await getAttachments();
+  return await Promise.all(rows.map(async ({ blob, ...meta }) => ({
+    ...meta,
+    data: bytesToBase64(new Uint8Array(await blob.arrayBuffer()))
+  })));
+}
+
+// Restored under new ids, since a restore merges into a device that may already use the backup's
+// ids for its own images. → Map of backup id → new id, for rewriteAttachmentRefs
+export async function importAttachments(list) {
+  const ids = new Map();
+  for (const { data, id, ...meta } of list || []) {
+    if (!data) continue;
+    const newId = await addAttachment({ ...meta, blob: new Blob([base64ToBytes(data)], { type: meta.type }) });
+    if (id != null) ids.set(Number(id), newId);
+  }
+  return ids;
+}
+
+// Points ![..](attachment:N) references at the ids importAttachments gave the images;
+// references to images that were not in the backup are left alone
+export function rewriteAttachmentRefs(text, ids) {
+  if (typeof text !== 'string' || !ids?.size) return text;
+  return text.replace(ATTACHMENT_REF_RE, (ref, alt, id) => (ids.has(Number(id)) ? `![${alt}](attachment:${ids.get(Number(id))})` : ref));
+}
+
+// The same for every text field of a restored question or note
+export function rewriteRecordAttachmentRefs(record, ids) {
+  if (!record || typeof record !== 'object' || !ids?.size) return record;
+  return Object.fromEntries(Object.entries(record).map(([key, value]) => [key, rewriteAttachmentRefs(value, ids)]));
+}
+
+// ========== Tests (pure functions) ==========
+export function runAttachmentTests() {
+  const ref = attachmentRef(12, 'b-tree [v2].png');
+  console.assert(ref === '![b-tree v2.png](attachment:12)', `attachment reference: ${ref}`);
+  console.assert(attachmentIds(`위 그림 ${ref} 과 ![](attachment:3)`).join() === '12,3', 'attachment ids');
+  const html = renderAttachmentRefs('그림: ![망 구성도](attachment:7) 참고');
+  console.assert(html === '그림: <img class="attachment-img" data-attachment-id="7" alt="망 구성도" loading="lazy"> 참고', `render: ${html}`);
+  console.assert(renderAttachmentRefs('[link](attachment:7)') === '[link](attachment:7)', 'only image references render');
+  const ids = new Map([[7, 31], [3, 7]]);
+  console.assert(rewriteAttachmentRefs('![a](attachment:7) ![b](attachment:3) ![c](attachment:9)', ids) === '![a](attachment:31) ![b](attachment:7) ![c](attachment:9)', 'restored references follow the new ids in one pass');
+  const restored = rewriteRecordAttachmentRefs({ id: 7, prompt: '![a](attachment:7)', tags: ['x'] }, ids);
+  console.assert(restored.id === 7 && restored.prompt === '![a](attachment:31)' && restored.tags[0] === 'x', 'only text fields are rewritten');
+  const bytes = new Uint8Array([0, 137, 80, 78, 71, 255]);
+  console.assert(base64ToBytes(bytesToBase64(bytes)).join() === bytes.join(), 'base64 round trip');
+}
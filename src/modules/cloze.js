@@ -0,0 +1,80 @@
+// ========== Cloze Deletions ==========
+// Source text marks blanks as {{c1::answer}}, {{c1::answer|synonym}} or {{c1::answer::hint}}.
+// Every cloze number becomes its own card: the card keeps the full source text in `prompt`
+// and its number in `clozeIndex`; blanks sharing a number are asked together.
+
+const CLOZE_RE = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+export const CLOZE_BLANK = '[…]';
+
+export function hasCloze(text) {
+  CLOZE_RE.lastIndex = 0;
+  return CLOZE_RE.test(String(text ?? ''));
+}
+
+// [{ index, answer, synonyms, hint }] in text order
+export function parseCloze(text) {
+  const blanks = [];
+  String(text ?? '').replace(CLOZE_RE, (_, index, body, hint) => {
+    const [answer, ...synonyms] = body.split('|').map(s => s.trim());
+    blanks.push({ index: Number(index), answer, synonyms: synonyms.filter(Boolean), hint: (hint || '').trim() });
+    return '';
+  });
+  return blanks;
+}
+
+export function clozeIndexes(text) {
+  return [...new Set(parseCloze(text).map(b => b.index))].sort((a, b) => a - b);
+}
+
+export function clozeBlanks(text, index) {
+  return parseCloze(text).filter(b => b.index === Number(index));
+}
+
+// Text with the blanks of `index` hidden ("[…]" or "[hint]") and every other cloze shown.
+// With index = null every cloze is shown, which is what the result screen uses.
+export function renderClozeText(text, index = null) {
+  return String(text ?? '').replace(CLOZE_RE, (_, i, body, hint) => {
+    if (index !== null && Number(i) === Number(index)) return hint ? `[${hint.trim()}]` : CLOZE_BLANK;
+    return body.split('|')[0].trim();
+  });
+}
+
+// Learners answer multiple blanks one per line, in text order
+export function splitClozeAnswer(answer) {
+  return String(answer ?? '').split('\n').map(s => s.trim());
+}
+
+// Blanks sharing a source text bury each other like any other `group:*` siblings
+export function clozeGroupTag(text) {
+  let hash = 0;
+  for (const ch of String(text ?? '')) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+  return `group:cloze-${hash.toString(36)}`;
+}
+
+// One card per cloze number; `base` carries deck, explain, tags and the like
+export function buildClozeCards(text, base = {}) {
+  const tags = [...new Set([...(base.tags || []), clozeGroupTag(text)])];
+  return clozeIndexes(text).map(index => ({
+    ...base,
+    type: 'CLOZE',
+    prompt: String(text).trim(),
+    clozeIndex: index,
+    answer: clozeBlanks(text, index).map(b => b.answer).join(', '),
+    tags
+  }));
+}
+
+// ========== Tests (pure functions) ==========
+export function runClozeTests() {
+  const text = '{{c1::TCP|전송 제어 프로토콜}}는 {{c2::3-way handshake::연결 절차}}로 연결하고 {{c1::ACK}}로 응답한다.';
+  console.assert(hasCloze(text) && !hasCloze('plain text'), 'cloze detection');
+  console.assert(clozeIndexes(text).join() === '1,2', 'cloze indexes');
+  const c1 = clozeBlanks(text, 1);
+  console.assert(c1.length === 2 && c1[0].synonyms[0] === '전송 제어 프로토콜' && c1[1].answer === 'ACK', 'blanks sharing a number');
+  console.assert(renderClozeText(text, 1) === `${CLOZE_BLANK}는 3-way handshake로 연결하고 ${CLOZE_BLANK}로 응답한다.`, `render c1: ${renderClozeText(text, 1)}`);
+  console.assert(renderClozeText(text, 2) === 'TCP는 [연결 절차]로 연결하고 ACK로 응답한다.', 'render c2 with hint');
+  console.assert(renderClozeText(text) === 'TCP는 3-way handshake로 연결하고 ACK로 응답한다.', 'render revealed');
+  const cards = buildClozeCards(text, { deck: 1, tags: ['net'] });
+  console.assert(cards.length === 2 && cards[0].answer === 'TCP, ACK' && cards[1].clozeIndex === 2, 'one card per cloze number');
+  console.assert(cards[0].tags.includes('net') && cards[0].tags.includes(clozeGroupTag(text)), 'cloze cards are siblings');
+}
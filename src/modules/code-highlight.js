@@ -0,0 +1,168 @@
+// ========== Code Highlighting & Rich Text ==========
+// Small offline highlighter for CODE questions and fenced code blocks in explanations and AI
+// chat answers. One regex per language finds comments, strings, numbers, annotations and
+// keywords; everything else is escaped as-is. Output uses `tok-*` classes from styles.css.
+
+const C_LIKE_COMMENT = String.raw`\/\/[^\n]*|\/\*[\s\S]*?\*\/`;
+const QUOTED = String.raw`"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'`;
+const NUMBER = String.raw`\b(?:0x[\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?)[lLfFdDn]?\b`;
+
+const LANGUAGES = {
+  java: {
+    comment: C_LIKE_COMMENT,
+    string: String.raw`"""[\s\S]*?"""|` + QUOTED,
+    annotation: String.raw`@[A-Za-z_]\w*`,
+    keywords: 'abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long native new null package private protected public record return short static super switch synchronized this throw throws transient try var void volatile while true false yield sealed permits',
+    types: true
+  },
+  kotlin: {
+    comment: C_LIKE_COMMENT,
+    string: String.raw`"""[\s\S]*?"""|` + QUOTED,
+    annotation: String.raw`@[A-Za-z_]\w*`,
+    keywords: 'as break class continue do else false for fun if in interface is null object package return super this throw true try typealias val var when while by companion data enum init inline internal lateinit open override private protected public sealed suspend',
+    types: true
+  },
+  javascript: {
+    comment: C_LIKE_COMMENT,
+    string: QUOTED + String.raw`|\x60(?:\\.|[^\x60\\])*\x60`,
+    keywords: 'async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while with yield',
+    types: false
+  },
+  typescript: {
+    comment: C_LIKE_COMMENT,
+    string: QUOTED + String.raw`|\x60(?:\\.|[^\x60\\])*\x60`,
+    annotation: String.raw`@[A-Za-z_]\w*`,
+    keywords: 'abstract any as async await boolean break case catch class const continue declare default delete do else enum export extends false finally for from function if implements import in instanceof interface keyof let namespace never new null number of private protected public readonly return static string super switch this throw true try type typeof undefined unknown var void while yield',
+    types: true
+  },
+  python: {
+    comment: String.raw`#[^\n]*`,
+    string: String.raw`[rbfu]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?'''|` + QUOTED + ')',
+    annotation: String.raw`@[A-Za-z_][\w.]*`,
+    keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield self print len range',
+    types: false
+  },
+  sql: {
+    comment: String.raw`--[^\n]*|\/\*[\s\S]*?\*\/`,
+    string: QUOTED,
+    keywords: 'select from where and or not in is null like between join inner left right outer full cross on group by order having limit offset insert into values update set delete create table index view drop alter add primary key foreign references unique distinct as union all exists case when then else end count sum avg min max begin commit rollback transaction',
+    caseInsensitive: true,
+    types: false
+  },
+  bash: {
+    comment: String.raw`#[^\n]*`,
+    string: QUOTED,
+    annotation: String.raw`\$\{?[A-Za-z_]\w*\}?`,
+    keywords: 'if then else elif fi for while do done case esac in function return export local echo exit cd sudo',
+    types: false
+  },
+  json: {
+    string: String.raw`"(?:\\.|[^"\\\n])*"`,
+    keywords: 'true false null',
+    types: false
+  }
+};
+
+const ALIASES = {
+  js: 'javascript', node: 'javascript', nodejs: 'javascript', mjs: 'javascript',
+  ts: 'typescript', py: 'python', python3: 'python', kt: 'kotlin',
+  sh: 'bash', shell: 'bash', zsh: 'bash', mysql: 'sql', postgresql: 'sql'
+};
+
+const compiled = new Map();
+
+export function resolveLanguage(lang) {
+  const key = String(lang || '').trim().toLowerCase();
+  const name = ALIASES[key] || key;
+  return LANGUAGES[name] ? name : null;
+}
+
+export function getSupportedLanguages() {
+  return Object.keys(LANGUAGES);
+}
+
+function tokenizerFor(name) {
+  if (!compiled.has(name)) {
+    const spec = LANGUAGES[name];
+    const parts = [];
+    if (spec.comment) parts.push(`(?<comment>${spec.comment})`);
+    if (spec.string) parts.push(`(?<string>${spec.string})`);
+    if (spec.annotation) parts.push(`(?<annotation>${spec.annotation})`);
+    parts.push(`(?<number>${NUMBER})`);
+    parts.push(`(?<keyword>\\b(?:${spec.keywords.split(' ').join('|')})\\b)`);
+    if (spec.types) parts.push(String.raw`(?<type>\b[A-Z][A-Za-z0-9_]*\b)`);
+    compiled.set(name, new RegExp(parts.join('|'), spec.caseInsensitive ? 'gi' : 'g'));
+  }
+  return compiled.get(name);
+}
+
+export function escapeCode(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Escaped HTML with `tok-*` spans; unknown languages are only escaped
+export function highlightCode(code, lang) {
+  const source = String(code ?? '');
+  const name = resolveLanguage(lang);
+  if (!name) return escapeCode(source);
+  const re = tokenizerFor(name);
+  let html = '';
+  let last = 0;
+  for (const match of source.matchAll(re)) {
+    const kind = Object.keys(match.groups).find(key => match.groups[key] !== undefined);
+    html += escapeCode(source.slice(last, match.index));
+    html += `<span class="tok-${kind}">${escapeCode(match[0])}</span>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeCode(source.slice(last));
+}
+
+export function renderCodeBlock(code, lang) {
+  const name = resolveLanguage(lang) || String(lang || '').trim().toLowerCase();
+  const label = name ? `<span class="code-lang">${escapeCode(name)}</span>` : '';
+  return `<pre class="code-block" data-lang="${escapeCode(name)}">${label}<code>${highlightCode(code, lang)}</code></pre>`;
+}
+
+// Inline markdown on escaped text: `code`, **bold**, *italic* and line breaks
+function renderInline(text) {
+  return String(text).split(/(`[^`\n]+`)/).map(part => {
+    if (/^`[^`\n]+`$/.test(part)) return `<code class="inline-code">${escapeCode(part.slice(1, -1))}</code>`;
+    return escapeCode(part)
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*(.+?)\*/g, '<em>$1</em>')
+      .replace(/\n/g, '<br>');
+  }).join('');
+}
+
+const FENCE_RE = /```[ \t]*([\w+#.-]*)[^\n]*\n([\s\S]*?)\n?[ \t]*```/g;
+
+// Explanations and AI answers: fenced ```lang blocks are highlighted, the rest gets inline markdown
+export function renderRichText(text) {
+  const source = String(text ?? '');
+  let html = '';
+  let last = 0;
+  for (const match of source.matchAll(FENCE_RE)) {
+    html += renderInline(source.slice(last, match.index).replace(/\n$/, ''));
+    html += renderCodeBlock(match[2], match[1]);
+    last = match.index + match[0].length;
+  }
+  return html + renderInline(source.slice(last).replace(/^\n/, ''));
+}
+
+// ========== Tests (pure functions) ==========
+export function runCodeHighlightTests() {
+  const java = highlightCode('public static void main(String[] a) { // hi\n  System.out.println("x<y" + 42); }', 'java');
+  console.assert(java.includes('<span class="tok-keyword">public</span>') && java.includes('<span class="tok-type">String</span>'), 'java keywords and types');
+  console.assert(java.includes('<span class="tok-comment">// hi</span>') && java.includes('<span class="tok-string">&quot;x&lt;y&quot;</span>'), 'java comments and escaped strings');
+  console.assert(java.includes('<span class="tok-number">42</span>'), 'numbers');
+  console.assert(highlightCode('let s = `a ${b}`', 'node').includes('<span class="tok-string">`a ${b}`</span>'), 'node alias and template strings');
+  console.assert(highlightCode('SELECT * from t', 'sql').includes('<span class="tok-keyword">SELECT</span>'), 'sql is case-insensitive');
+  console.assert(highlightCode('<b>', 'brainfuck') === '&lt;b&gt;', 'unknown languages are escaped only');
+  const rich = renderRichText('결과는 **2**\n```java\nint x = 1;\n```\n끝 `x`');
+  console.assert(rich.includes('<strong>2</strong>') && rich.includes('data-lang="java"') && rich.includes('<code class="inline-code">x</code>'), `rich text: ${rich}`);
+  console.assert(!renderRichText('<script>alert(1)</script>').includes('<script>'), 'rich text escapes html');
+}
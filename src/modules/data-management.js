@@ -1,13 +1,14 @@
 // ========== Data Management (Import/Export) ==========
-import { getDecks, getQuestions, getReview, getProfile, addDeck, addQuestion } from './database.js';
+import { getDecks, getQuestions, getReview, getReviewLog, getProfile, addDeck, addQuestion } from './database.js';
 
 export async function exportData() {
   const decks = await getDecks();
   const questions = await getQuestions();
   const review = await getReview();
+  const review_log = await getReviewLog();
   const profile = await getProfile();
   
-  const data = { decks, questions, review, profile };
+  const data = { decks, questions, review, review_log, profile };
   const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   
@@ -47,12 +48,14 @@ export async function importData() {
       await db.decks.clear();
       await db.questions.clear();
       await db.review.clear();
+      await db.review_log.clear();
       await db.profile.clear();
       
       // 새 데이터 추가
       if (data.decks?.length > 0) await db.decks.bulkAdd(data.decks);
       if (data.questions?.length > 0) await db.questions.bulkAdd(data.questions);
       if (data.review?.length > 0) await db.review.bulkAdd(data.review);
+      if (data.review_log?.length > 0) await db.review_log.bulkAdd(data.review_log);
       if (data.profile) await db.profile.add(data.profile);
       
       showToast('데이터를 가져왔습니다', 'success');
@@ -277,6 +277,75 @@ export async function deleteReview(id) {
   return await getDb().table('review').delete(id);
 }
 
+// Append-only answer history; entries are never updated in place
+export async function addReviewLog(entry) {
+  return await getDb().table('review_log').add(entry);
+}
+
+export async function getReviewLog(questionId = null) {
+  return await withErrorHandling(async () => {
+    const table = getDb().table('review_log');
+    if (questionId !== null) {
+      return await table.where('questionId').equals(questionId).sortBy('ts');
+    }
+    return await table.orderBy('ts').toArray();
+  }, {
+    operation: '복습 기록 조회',
+    table: 'review_log',
+    method: 'getReviewLog',
+    expectData: false
+  });
+}
+
+// Image attachments: { id, name, type, size, blob, created }
+export async function addAttachment(attachment) {
+  return await withErrorHandling(async () => {
+    return await getDb().table('attachments').add(attachment);
+  }, {
+    operation: '첨부 파일 저장',
+    table: 'attachments',
+    method: 'addAttachment',
+    data: { name: attachment.name, type: attachment.type, size: attachment.size }
+  });
+}
+
+// Backups restore attachments under their original ids so existing references keep working
+export async function getAttachment(id) {
+  return await getDb().table('attachments').get(Number(id));
+}
+
+export async function getAttachments() {
+  return await getDb().table('attachments').toArray();
+}
+
+// Synonyms learned from "accept my answer": { id, scope: 'question'|'deck'|'global', questionId, deck, answer, synonym, created }
+export async function addLearnedSynonym(entry) {
+  return await withErrorHandling(async () => {
+    return await getDb().table('learned_synonyms').add(entry);
+  }, {
+    operation: '동의어 저장',
+    table: 'learned_synonyms',
+    method: 'addLearnedSynonym',
+    data: { scope: entry.scope, synonym: entry.synonym }
+  });
+}
+
+export async function putLearnedSynonym(entry) {
+  return await getDb().table('learned_synonyms').put(entry);
+}
+
+export async function getLearnedSynonyms() {
+  return await getDb().table('learned_synonyms').orderBy('created').toArray();
+}
+
+export async function getLearnedSynonym(id) {
+  return await getDb().table('learned_synonyms').get(Number(id));
+}
+
+export async function deleteLearnedSynonym(id) {
+  return await getDb().table('learned_synonyms').delete(Number(id));
+}
+
 export async function getNotes() {
   return await getDb().table('notes').orderBy('createdAt').toArray();
 }
@@ -3,6 +3,24 @@ import { updateQuestion } from './database.js';
 
 let draggedElement = null;
 
+// Drop position relative to the hovered item: above or below its middle
+function dropPosition(target, clientY) {
+  const rect = target.getBoundingClientRect();
+  return clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+}
+
+function clearDropIndicators(items) {
+  items.forEach(item => item.classList.remove('drag-over-top', 'drag-over-bottom'));
+}
+
+function showDropIndicator(target, position) {
+  target.classList.add(position === 'before' ? 'drag-over-top' : 'drag-over-bottom');
+}
+
+function moveBeside(item, target, position) {
+  target.parentNode.insertBefore(item, position === 'before' ? target : target.nextSibling);
+}
+
 export function handleDragStart(e) {
   draggedElement = e.target.closest('.question-item');
   if (draggedElement) {
@@ -19,19 +37,10 @@ export function handleDragOver(e) {
   if (!questionItem || questionItem === draggedElement) return;
   
   // Remove existing indicators
-  document.querySelectorAll('.question-item').forEach(item => {
-    item.classList.remove('drag-over-top', 'drag-over-bottom');
-  });
+  clearDropIndicators(document.querySelectorAll('.question-item'));
   
   // Determine drop position
-  const rect = questionItem.getBoundingClientRect();
-  const midY = rect.top + rect.height / 2;
-  
-  if (e.clientY < midY) {
-    questionItem.classList.add('drag-over-top');
-  } else {
-    questionItem.classList.add('drag-over-bottom');
-  }
+  showDropIndicator(questionItem, dropPosition(questionItem, e.clientY));
 }
 
 export function handleDragLeave(e) {
@@ -49,23 +58,13 @@ export function handleDrop(e) {
   const target = e.target.closest('.question-item');
   if (!target || target === draggedElement) return;
   
-  const container = target.parentNode;
-  const rect = target.getBoundingClientRect();
-  const midY = rect.top + rect.height / 2;
-  
-  if (e.clientY < midY) {
-    container.insertBefore(draggedElement, target);
-  } else {
-    container.insertBefore(draggedElement, target.nextSibling);
-  }
+  moveBeside(draggedElement, target, dropPosition(target, e.clientY));
   
   // Update question order in database
   updateQuestionOrder();
   
   // Clean up visual indicators
-  document.querySelectorAll('.question-item').forEach(item => {
-    item.classList.remove('drag-over-top', 'drag-over-bottom');
-  });
+  clearDropIndicators(document.querySelectorAll('.question-item'));
 }
 
 export function handleDragEnd(e) {
@@ -75,9 +74,132 @@ export function handleDragEnd(e) {
   draggedElement = null;
   
   // Clean up any remaining visual indicators
-  document.querySelectorAll('.question-item').forEach(item => {
-    item.classList.remove('drag-over-top', 'drag-over-bottom');
+  clearDropIndicators(document.querySelectorAll('.question-item'));
+}
+
+// ========== Pointer-based Sortable Lists ==========
+// HTML5 drag events never fire for touch, so lists that must work on phones (ORDER answers)
+// use pointer events instead. Dragging starts from `handleSelector` (if given) so the rest of
+// the item still scrolls the page; `onReorder` receives the items in their new order.
+export function makeSortable(container, { itemSelector, handleSelector = null, onReorder = () => {} }) {
+  let dragged = null;
+  let drop = null;
+
+  const items = () => Array.from(container.querySelectorAll(itemSelector));
+
+  const finish = (commit) => {
+    if (!dragged) return;
+    if (commit && drop) {
+      moveBeside(dragged, drop.target, drop.position);
+      onReorder(items());
+    }
+    dragged.classList.remove('dragging');
+    clearDropIndicators(items());
+    dragged = null;
+    drop = null;
+  };
+
+  container.addEventListener('pointerdown', (e) => {
+    const item = e.target.closest(itemSelector);
+    if (!item || !container.contains(item) || e.target.closest('button')) return;
+    if (handleSelector && !e.target.closest(handleSelector)) return;
+    if (item.closest('[aria-disabled="true"]')) return;
+    e.preventDefault();
+    dragged = item;
+    dragged.classList.add('dragging');
+    container.setPointerCapture?.(e.pointerId);
+  });
+
+  container.addEventListener('pointermove', (e) => {
+    if (!dragged) return;
+    const target = document.elementFromPoint(e.clientX, e.clientY)?.closest(itemSelector);
+    clearDropIndicators(items());
+    if (!target || target === dragged || !container.contains(target)) {
+      drop = null;
+      return;
+    }
+    drop = { target, position: dropPosition(target, e.clientY) };
+    showDropIndicator(target, drop.position);
   });
+
+  container.addEventListener('pointerup', () => finish(true));
+  container.addEventListener('pointercancel', () => finish(false));
+}
+
+// Keyboard/button alternative to dragging: moves `item` one place up (-1) or down (+1)
+export function moveSortableItem(item, direction) {
+  const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+  if (!sibling) return false;
+  moveBeside(item, sibling, direction < 0 ? 'before' : 'after');
+  return true;
+}
+
+// ========== Pointer-based Swapping ==========
+// MATCH answers keep terms fixed and move definitions: dropping one item on another swaps the
+// two. A press that doesn't move is left to the item's own click handler, which is how the
+// keyboard/tap "select one, then select its partner" flow works.
+const SWAP_DRAG_THRESHOLD = 6; // px before a press becomes a drag
+
+export function swapElements(a, b) {
+  if (a === b) return;
+  const marker = document.createComment('');
+  a.replaceWith(marker);
+  b.replaceWith(a);
+  marker.replaceWith(b);
+}
+
+export function makeSwappable(container, { itemSelector, onSwap = () => {} }) {
+  let dragged = null;
+  let target = null;
+  let start = null;
+  let moved = false;
+
+  const items = () => Array.from(container.querySelectorAll(itemSelector));
+
+  const finish = (commit) => {
+    if (!dragged) return;
+    if (commit && target) {
+      swapElements(dragged, target);
+      onSwap(dragged, target);
+    }
+    dragged.classList.remove('dragging');
+    items().forEach(item => item.classList.remove('drag-over'));
+    dragged = null;
+    target = null;
+  };
+
+  container.addEventListener('pointerdown', (e) => {
+    const item = e.target.closest(itemSelector);
+    if (!item || !container.contains(item) || item.disabled || item.closest('[aria-disabled="true"]')) return;
+    dragged = item;
+    start = { x: e.clientX, y: e.clientY };
+    moved = false;
+  });
+
+  container.addEventListener('pointermove', (e) => {
+    if (!dragged) return;
+    if (!moved) {
+      if (Math.hypot(e.clientX - start.x, e.clientY - start.y) < SWAP_DRAG_THRESHOLD) return;
+      moved = true;
+      dragged.classList.add('dragging');
+      container.setPointerCapture?.(e.pointerId);
+    }
+    const over = document.elementFromPoint(e.clientX, e.clientY)?.closest(itemSelector);
+    items().forEach(item => item.classList.remove('drag-over'));
+    target = over && over !== dragged && container.contains(over) ? over : null;
+    if (target) target.classList.add('drag-over');
+  });
+
+  container.addEventListener('pointerup', () => finish(moved));
+  container.addEventListener('pointercancel', () => finish(false));
+
+  // The click that ends a drag must not also select the item
+  container.addEventListener('click', (e) => {
+    if (!moved) return;
+    moved = false;
+    e.stopPropagation();
+    e.preventDefault();
+  }, true);
 }
 
 async function updateQuestionOrder() {
@@ -0,0 +1,107 @@
+// ========== Korean Text Normalization ==========
+// Answers in Korean (or mixed KR/EN) are compared on a folded form: spacing (띄어쓰기) and
+// trailing particles are dropped and common loanwords are mapped to their English spelling, so
+// "트랜잭션은", "트랜 잭션" and "Transaction" fold to the same text. Fuzzy distances run on
+// jamo (decomposeHangul) so a one-letter typo costs one jamo instead of a whole syllable.
+
+const HANGUL_BASE = 0xac00;
+const HANGUL_LAST = 0xd7a3;
+
+function isHangulSyllable(ch) {
+  const code = ch?.codePointAt(0);
+  return code >= HANGUL_BASE && code <= HANGUL_LAST;
+}
+
+function hasFinalConsonant(ch) {
+  return (ch.codePointAt(0) - HANGUL_BASE) % 28 !== 0;
+}
+
+// Syllable blocks → conjoining jamo (NFD does exactly this for Hangul); other text is kept
+export function decomposeHangul(text) {
+  return String(text ?? '').normalize('NFD');
+}
+
+// 은/이/을 follow a final consonant and 는/가/를 a vowel; after Latin letters or digits
+// ("TCP는", "API를") either form is accepted
+const PARTICLES_AFTER_CONSONANT = new Set(['은', '이', '을']);
+const PARTICLES_AFTER_VOWEL = new Set(['는', '가', '를']);
+
+export function stripParticle(word) {
+  const chars = Array.from(word);
+  if (chars.length < 2) return word;
+  const last = chars[chars.length - 1];
+  const prev = chars[chars.length - 2];
+  if (!PARTICLES_AFTER_CONSONANT.has(last) && !PARTICLES_AFTER_VOWEL.has(last)) return word;
+  const fits = isHangulSyllable(prev)
+    ? (hasFinalConsonant(prev) ? PARTICLES_AFTER_CONSONANT : PARTICLES_AFTER_VOWEL).has(last)
+    : /[\p{Script=Latin}\p{N}]/u.test(prev);
+  return fits ? chars.slice(0, -1).join('') : word;
+}
+
+// Hangul spellings of CS loanwords → English, keyed without spaces: "트랜 잭션" and
+// "가비지컬렉션" are matched with any spacing between their letters
+const LOANWORDS = new Map();
+let loanwordPattern = null;
+
+export function registerLoanword(english, ...spellings) {
+  spellings.forEach(spelling => LOANWORDS.set(spelling.replace(/\s+/g, ''), english.toLowerCase()));
+  loanwordPattern = null;
+}
+
+[
+  ['transaction', '트랜잭션', '트랜젝션'], ['thread', '스레드', '쓰레드'], ['process', '프로세스'],
+  ['cache', '캐시', '캐쉬'], ['index', '인덱스'], ['hash', '해시', '해쉬'], ['hashing', '해싱'],
+  ['hash table', '해시 테이블', '해시테이블'], ['stack', '스택'], ['queue', '큐'], ['heap', '힙'],
+  ['tree', '트리'], ['graph', '그래프'], ['list', '리스트'], ['linked list', '링크드 리스트'],
+  ['pointer', '포인터'], ['memory', '메모리'], ['kernel', '커널'], ['deadlock', '데드락'],
+  ['mutex', '뮤텍스'], ['semaphore', '세마포어', '세마포'], ['scheduler', '스케줄러', '스케쥴러'],
+  ['context switching', '컨텍스트 스위칭'], ['paging', '페이징'], ['segmentation', '세그멘테이션'],
+  ['router', '라우터'], ['switch', '스위치'], ['packet', '패킷'], ['protocol', '프로토콜'],
+  ['socket', '소켓'], ['session', '세션'], ['cookie', '쿠키'], ['token', '토큰'], ['server', '서버'],
+  ['client', '클라이언트'], ['proxy', '프록시'], ['load balancer', '로드 밸런서', '로드 발란서'],
+  ['database', '데이터베이스'], ['query', '쿼리'], ['join', '조인'], ['commit', '커밋'],
+  ['rollback', '롤백'], ['lock', '락'], ['garbage collection', '가비지 컬렉션'],
+  ['garbage collector', '가비지 컬렉터'], ['compiler', '컴파일러'], ['interpreter', '인터프리터'],
+  ['framework', '프레임워크'], ['library', '라이브러리'], ['interface', '인터페이스'],
+  ['class', '클래스'], ['instance', '인스턴스'], ['method', '메서드', '메소드'],
+  ['overloading', '오버로딩'], ['overriding', '오버라이딩'], ['algorithm', '알고리즘'],
+  ['binary search', '바이너리 서치'], ['sorting', '소팅'], ['handshake', '핸드셰이크', '핸드쉐이크'],
+  ['replication', '레플리케이션'], ['sharding', '샤딩'], ['partitioning', '파티셔닝']
+].forEach(([english, ...spellings]) => registerLoanword(english, ...spellings));
+
+function loanwordRegex() {
+  if (!loanwordPattern) {
+    // Longest spellings first so "해시테이블" wins over "해시"
+    const keys = [...LOANWORDS.keys()].sort((a, b) => b.length - a.length);
+    const alternatives = keys.map(key => Array.from(key).join('\\s*'));
+    loanwordPattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+  }
+  return loanwordPattern;
+}
+
+export function transliterate(text) {
+  return String(text ?? '').replace(loanwordRegex(), match => LOANWORDS.get(match.replace(/\s+/g, '')) ?? match);
+}
+
+// Comparable form of an answer: case, width, punctuation, particles, loanwords and spacing folded
+export function foldKorean(text) {
+  const words = String(text ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(stripParticle);
+  return transliterate(words.join(' ')).replace(/\s+/g, '');
+}
+
+// ========== Tests (pure functions) ==========
+export function runKoreanTextTests() {
+  console.assert(decomposeHangul('한').length === 3 && decomposeHangul('ab') === 'ab', 'jamo decomposition');
+  console.assert(stripParticle('스택이') === '스택' && stripParticle('트리는') === '트리' && stripParticle('TCP를') === 'TCP', 'particles after consonants, vowels and Latin');
+  console.assert(stripParticle('사이') === '사이' && stripParticle('이') === '이', 'particles must fit the preceding syllable');
+  console.assert(foldKorean('트랜잭션은') === foldKorean('Transaction') && foldKorean('트랜 잭션') === 'transaction', 'loanwords and spacing');
+  console.assert(foldKorean('가비지컬렉션') === 'garbagecollection' && foldKorean('해시 테이블을') === 'hashtable', 'multi-word loanwords with optional spaces');
+  console.assert(foldKorean('교착 상태') === foldKorean('교착상태') && foldKorean('교착상태가') === '교착상태', 'spacing and particles in plain Korean');
+  console.assert(foldKorean('시큐리티') === '시큐리티', 'loanwords only replace whole words');
+}
@@ -0,0 +1,49 @@
+// ========== Learned Synonyms ==========
+// "Accept my answer" on the result screen keeps a wrongly failed SHORT answer as a synonym of
+// the question, of every question in its deck with the same answer, or of that answer in every
+// deck. Each accepted answer is recorded in `learned_synonyms` so the review screen can list and
+// prune them; deck and global entries reach the matchers through setLearnedSynonyms().
+import { addLearnedSynonym, getLearnedSynonym, getLearnedSynonyms, deleteLearnedSynonym, getQuestion, updateQuestion } from './database.js';
+import { setLearnedSynonyms } from './scoring.js';
+
+export const SYNONYM_SCOPES = {
+  question: '이 문제',
+  deck: '이 덱 전체',
+  global: '모든 덱'
+};
+
+export async function loadLearnedSynonyms() {
+  setLearnedSynonyms(await getLearnedSynonyms());
+}
+
+export async function learnSynonym(q, synonym, scope = 'question') {
+  const value = String(synonym ?? '').trim();
+  if (!value) throw new Error('인정할 답이 없습니다');
+  if (!SYNONYM_SCOPES[scope]) throw new Error(`알 수 없는 범위: ${scope}`);
+  if (scope === 'question') {
+    q.synonyms = [...new Set([...(q.synonyms || []), value])];
+    await updateQuestion(q.id, { synonyms: q.synonyms });
+  }
+  const id = await addLearnedSynonym({
+    scope,
+    questionId: q.id,
+    deck: q.deck,
+    answer: q.answer,
+    synonym: value,
+    created: new Date().toISOString()
+  });
+  await loadLearnedSynonyms();
+  return id;
+}
+
+// Pruning a question-scoped synonym also takes it out of the question's `synonyms`
+export async function forgetSynonym(id) {
+  const entry = await getLearnedSynonym(id);
+  if (!entry) return;
+  if (entry.scope === 'question') {
+    const q = await getQuestion(entry.questionId).catch(() => null);
+    if (q) await updateQuestion(q.id, { synonyms: (q.synonyms || []).filter(s => s !== entry.synonym) });
+  }
+  await deleteLearnedSynonym(id);
+  await loadLearnedSynonyms();
+}
@@ -0,0 +1,76 @@
+// ========== Matching Questions ==========
+// MATCH questions pair terms with definitions ("404 = Not Found"). `pairs` keeps them as
+// [{ term, definition }]; `answer` mirrors them as "404 → Not Found, ..." for display.
+// A learner's answer lists, for each term in `pairs` order, the index of the definition they
+// paired with it ("2,0,1"); an empty entry means the term was left unpaired.
+import { shuffleOrder } from './ordering.js';
+
+export const MATCH_MIN_PAIRS = 2;
+export const MATCH_MAX_PAIRS = 8;
+export const PAIR_SEPARATOR = '=';
+
+// "term = definition" lines (CSV: '|'-separated); the first '=' splits, so definitions may contain more
+export function parsePairs(lines) {
+  return (lines || []).map(line => String(line ?? '').trim()).filter(Boolean).map(line => {
+    const at = line.indexOf(PAIR_SEPARATOR);
+    if (at < 0) return { term: line, definition: '' };
+    return { term: line.slice(0, at).trim(), definition: line.slice(at + 1).trim() };
+  });
+}
+
+export function formatPairLines(pairs) {
+  return (pairs || []).map(p => `${p.term} ${PAIR_SEPARATOR} ${p.definition}`).join('\n');
+}
+
+// Returns an error message, or '' when the question can be asked
+export function validatePairs(pairs) {
+  if (pairs.some(p => !p.term || !p.definition)) return `각 줄은 "용어 ${PAIR_SEPARATOR} 설명" 형식이어야 합니다`;
+  if (pairs.length < MATCH_MIN_PAIRS) return `짝은 ${MATCH_MIN_PAIRS}개 이상 필요합니다`;
+  if (pairs.length > MATCH_MAX_PAIRS) return `짝은 최대 ${MATCH_MAX_PAIRS}개까지 가능합니다`;
+  const lower = (s) => s.toLowerCase();
+  if (new Set(pairs.map(p => lower(p.term))).size !== pairs.length) return '용어가 중복되었습니다';
+  if (new Set(pairs.map(p => lower(p.definition))).size !== pairs.length) return '설명이 중복되었습니다';
+  return '';
+}
+
+export function describePairs(pairs) {
+  return (pairs || []).map(p => `${p.term} → ${p.definition}`).join(', ');
+}
+
+// Definitions are dealt out shuffled so no term starts next to its own definition in order
+export function shuffleDefinitions(count, random = Math.random) {
+  return shuffleOrder(count, random);
+}
+
+export function parseMatchAnswer(answer, count) {
+  const parts = String(answer ?? '').split(',').map(s => s.trim());
+  return Array.from({ length: count }, (_, i) => (/^\d+$/.test(parts[i] || '') && Number(parts[i]) < count ? Number(parts[i]) : null));
+}
+
+// One point per correctly paired term; `misses` spell out the right pairing for the result screen
+export function scorePairs(pairs, answer) {
+  const picked = parseMatchAnswer(answer, pairs.length);
+  const hits = [];
+  const misses = [];
+  pairs.forEach((pair, i) => {
+    if (picked[i] === i) hits.push(pair.term);
+    else misses.push(`${pair.term} → ${pair.definition}`);
+  });
+  return { score: pairs.length ? hits.length / pairs.length : 0, hits, misses };
+}
+
+// ========== Tests (pure functions) ==========
+export function runMatchingTests() {
+  const pairs = parsePairs(['200 = OK', '404=Not Found', ' 302 = Found = moved ', '']);
+  console.assert(pairs.length === 3 && pairs[1].definition === 'Not Found' && pairs[2].definition === 'Found = moved', 'pair parsing splits on the first =');
+  console.assert(validatePairs(pairs) === '', 'valid pairs');
+  console.assert(validatePairs(parsePairs(['a = x', 'b'])) !== '' && validatePairs(parsePairs(['a = x', 'A = y'])) !== '', 'missing definition and duplicate term');
+  console.assert(formatPairLines(pairs).split('\n')[0] === '200 = OK', 'pair lines round-trip');
+  console.assert(parseMatchAnswer('1,,9', 3).join() === '1,,', 'unpaired and out-of-range entries');
+  const full = scorePairs(pairs, '0,1,2');
+  console.assert(full.score === 1 && full.misses.length === 0, 'all pairs right');
+  const partial = scorePairs(pairs, '0,2,1');
+  console.assert(Math.abs(partial.score - 1 / 3) < 1e-9 && partial.hits[0] === '200' && partial.misses[0] === '404 → Not Found', 'per-pair credit');
+  let calls = 0;
+  console.assert(shuffleDefinitions(3, () => (calls++ < 2 ? 0.999 : 0)).join() !== '0,1,2', 'definitions start shuffled');
+}
@@ -0,0 +1,101 @@
+// ========== Multiple Choice ==========
+// MCQ questions store every choice in `options`, the 0-based indexes of the right ones in
+// `correctOptions`, and `multiSelect` for "select all that apply". `answer` mirrors the right
+// option texts so lists, search and the result screen can show it like any other type.
+// A learner's answer is the comma-separated option indexes they picked ("0,2").
+
+export const MCQ_MAX_OPTIONS = 9; // number keys 1-9 pick an option
+
+// Options written as a list where a leading '*' marks a correct one:
+// ["*TCP", "UDP", "ICMP"] → { options: ['TCP', 'UDP', 'ICMP'], correctOptions: [0] }
+export function parseOptionList(items) {
+  const options = [];
+  const correctOptions = [];
+  (items || []).map(item => String(item ?? '').trim()).filter(Boolean).forEach(item => {
+    const marked = item.startsWith('*');
+    const text = marked ? item.slice(1).trim() : item;
+    if (!text) return;
+    if (marked) correctOptions.push(options.length);
+    options.push(text);
+  });
+  return { options, correctOptions };
+}
+
+// The CSV `answer` column for MCQ: 1-based option numbers ("2", "1,3") or option texts
+export function resolveCorrectOptions(options, answer) {
+  const parts = String(answer ?? '').split(/[,|]/).map(s => s.trim()).filter(Boolean);
+  const indexes = parts.map(part => {
+    if (/^\d+$/.test(part)) return Number(part) - 1;
+    return options.findIndex(option => option.toLowerCase() === part.toLowerCase());
+  });
+  if (indexes.some(i => i < 0 || i >= options.length)) return null;
+  return [...new Set(indexes)].sort((a, b) => a - b);
+}
+
+// Returns an error message, or '' when the question can be asked
+export function validateChoiceQuestion({ options = [], correctOptions = [], multiSelect = false }) {
+  if (options.length < 2) return '보기는 2개 이상 필요합니다';
+  if (options.length > MCQ_MAX_OPTIONS) return `보기는 최대 ${MCQ_MAX_OPTIONS}개까지 가능합니다`;
+  if (correctOptions.length === 0) return '정답 보기를 지정하세요';
+  if (!multiSelect && correctOptions.length > 1) return '정답이 여러 개면 복수 선택으로 설정하세요';
+  return '';
+}
+
+export function describeCorrectOptions(q) {
+  return (q.correctOptions || []).map(i => q.options?.[i]).filter(Boolean).join(', ');
+}
+
+// Editable text form: one option per line, correct ones prefixed with '*'
+export function formatOptionLines(q) {
+  return (q.options || []).map((option, i) => ((q.correctOptions || []).includes(i) ? `*${option}` : option)).join('\n');
+}
+
+export function parseChoiceSelection(answer) {
+  return [...new Set(String(answer ?? '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(s => /^\d+$/.test(s))
+    .map(Number))];
+}
+
+// Single answer: all or nothing. Multi-select: right picks minus wrong picks over the number of
+// right options, floored at 0, so ticking everything earns nothing.
+export function scoreChoice(q, answer) {
+  const options = q.options || [];
+  const correct = new Set(q.correctOptions || []);
+  const picked = parseChoiceSelection(answer).filter(i => i < options.length);
+  const right = picked.filter(i => correct.has(i));
+  const wrong = picked.filter(i => !correct.has(i));
+  let score;
+  if (q.multiSelect) {
+    score = correct.size ? Math.max(0, (right.length - wrong.length) / correct.size) : 0;
+  } else {
+    score = picked.length === 1 && right.length === 1 ? 1 : 0;
+  }
+  return {
+    score,
+    hits: right.map(i => options[i]),
+    misses: [...correct].filter(i => !picked.includes(i)).map(i => options[i]),
+    wrong: wrong.map(i => options[i])
+  };
+}
+
+// ========== Tests (pure functions) ==========
+export function runMultipleChoiceTests() {
+  const parsed = parseOptionList(['*TCP', 'UDP', ' * SCTP ', '']);
+  console.assert(parsed.options.join('|') === 'TCP|UDP|SCTP' && parsed.correctOptions.join() === '0,2', 'option list with * marks');
+  console.assert(resolveCorrectOptions(['a', 'b', 'c'], '2')?.join() === '1', '1-based answer number');
+  console.assert(resolveCorrectOptions(['a', 'b', 'c'], 'C, a')?.join() === '0,2', 'answer by option text');
+  console.assert(resolveCorrectOptions(['a', 'b'], '5') === null, 'out of range answer');
+  console.assert(validateChoiceQuestion({ options: ['a'], correctOptions: [0] }) !== '', 'needs two options');
+  console.assert(validateChoiceQuestion({ options: ['a', 'b'], correctOptions: [0, 1] }) !== '', 'single answer with two correct options');
+
+  const single = { options: ['TCP', 'UDP', 'ICMP'], correctOptions: [1], multiSelect: false };
+  console.assert(scoreChoice(single, '1').score === 1 && scoreChoice(single, '0').score === 0, 'single answer');
+  console.assert(scoreChoice(single, '0,1').score === 0, 'single answer rejects several picks');
+  const multi = { options: ['a', 'b', 'c', 'd'], correctOptions: [0, 1, 2], multiSelect: true };
+  console.assert(scoreChoice(multi, '0,1,2').score === 1, 'multi-select full credit');
+  console.assert(Math.abs(scoreChoice(multi, '0,1').score - 2 / 3) < 1e-9, 'multi-select partial credit');
+  console.assert(Math.abs(scoreChoice(multi, '0,1,3').score - 1 / 3) < 1e-9, 'wrong picks cost credit');
+  console.assert(scoreChoice(multi, '0,1,2,3').score === 2 / 3 && scoreChoice(multi, '3').score === 0, 'score floors at zero');
+}
@@ -1,5 +1,6 @@
 // ========== Notes Management ==========
 import { getNotes, getNote, addNote, updateNote, deleteNote, addQuestion } from './database.js';
+import { hasCloze, buildClozeCards } from './cloze.js';
 
 let currentNoteId = null;
 
@@ -252,12 +253,16 @@ export async function convertSelectionToQuestions() {
     .map(lineNum => lines[lineNum - 1])
     .join('\n');
   
-  // 간단한 Q&A 형식 파싱 시도
+  // {{c1::...}} 빈칸이 있는 줄은 빈칸 번호마다 카드 하나
+  const clozeLines = selectedContent.split('\n').filter(hasCloze);
+  let questions = clozeLines.flatMap(line => buildClozeCards(line, { tags: ['from:note'] }));
+  
+  // 나머지 줄은 간단한 Q&A 형식 파싱 시도
   const qaPattern = /^(.+?)[:：]\s*(.+)$/gm;
   let matches;
-  let questions = [];
+  const qaContent = selectedContent.split('\n').filter(line => !hasCloze(line)).join('\n');
   
-  while ((matches = qaPattern.exec(selectedContent)) !== null) {
+  while ((matches = qaPattern.exec(qaContent)) !== null) {
     questions.push({
       prompt: matches[1].trim(),
       answer: matches[2].trim(),
@@ -266,7 +271,7 @@ export async function convertSelectionToQuestions() {
   }
   
   if (questions.length === 0) {
-    showToast('Q&A 형식을 찾을 수 없습니다. "질문: 답" 형식으로 작성해주세요', 'warning');
+    showToast('Q&A 형식을 찾을 수 없습니다. "질문: 답" 또는 {{c1::빈칸}} 형식으로 작성해주세요', 'warning');
     return;
   }
   
@@ -0,0 +1,171 @@
+// ========== Numeric Answers ==========
+// Parses quantities like "128", "1,024 KiB", "2^10", "250 µs" and ranges like "10-20 ms",
+// converting units to a base per dimension (data → bit, time → second) so answers given in
+// another unit of the same dimension still compare correctly.
+
+// [names, dimension, factor to base unit]. Byte-based entries come before bit-based ones so the
+// case-insensitive fallback reads "mb"/"gb" as bytes, which is what people usually mean.
+const UNIT_TABLE = [
+  [['B', 'byte', 'bytes', '바이트'], 'data', 8],
+  [['KB', 'kB'], 'data', 8e3],
+  [['MB'], 'data', 8e6],
+  [['GB'], 'data', 8e9],
+  [['TB'], 'data', 8e12],
+  [['KiB'], 'data', 8 * 2 ** 10],
+  [['MiB'], 'data', 8 * 2 ** 20],
+  [['GiB'], 'data', 8 * 2 ** 30],
+  [['TiB'], 'data', 8 * 2 ** 40],
+  [['b', 'bit', 'bits', '비트'], 'data', 1],
+  [['Kb', 'kb', 'kbit', 'Kbit'], 'data', 1e3],
+  [['Mb', 'Mbit'], 'data', 1e6],
+  [['Gb', 'Gbit'], 'data', 1e9],
+  [['Tb', 'Tbit'], 'data', 1e12],
+  [['Kib', 'Kibit'], 'data', 2 ** 10],
+  [['Mib', 'Mibit'], 'data', 2 ** 20],
+  [['Gib', 'Gibit'], 'data', 2 ** 30],
+  [['ns', 'nsec', '나노초'], 'time', 1e-9],
+  [['µs', 'μs', 'us', 'usec', '마이크로초'], 'time', 1e-6],
+  [['ms', 'msec', '밀리초'], 'time', 1e-3],
+  [['s', 'sec', 'secs', 'second', 'seconds', '초'], 'time', 1],
+  [['min', 'mins', 'minute', 'minutes', '분'], 'time', 60],
+  [['h', 'hr', 'hrs', 'hour', 'hours', '시간'], 'time', 3600]
+];
+
+const UNITS = new Map();
+const UNITS_LOOSE = new Map();
+UNIT_TABLE.forEach(([names, dimension, factor]) => {
+  const unit = { name: names[0], dimension, factor };
+  names.forEach(name => {
+    if (!UNITS.has(name)) UNITS.set(name, unit);
+    const loose = name.toLowerCase();
+    if (!UNITS_LOOSE.has(loose)) UNITS_LOOSE.set(loose, unit);
+  });
+});
+
+const QUANTITY_RE = /^([-+]?(?:\d[\d,]*\.?\d*|\.\d+)(?:e[-+]?\d+)?)(?:\s*\^\s*(\d+))?\s*(.*)$/i;
+const RANGE_SEPARATORS = /^(.+?)\s*(?:\.\.|~|–|—|\bto\b)\s*(.+)$/i;
+const DASH_RANGE = /^([-+]?[^-]*?\d[^-]*?)\s*-\s*([-+]?\d.*)$/;
+
+export function findUnit(text) {
+  const name = String(text ?? '').trim();
+  if (!name) return null;
+  return UNITS.get(name) || UNITS_LOOSE.get(name.toLowerCase()) || null;
+}
+
+// "1,024 KiB" → { value: 1024, unit: 'KiB', dimension: 'data', base: 8388608 }.
+// Returns null for non-numbers and for unknown units, so "2PL" is not read as 2.
+export function parseQuantity(text) {
+  const match = QUANTITY_RE.exec(String(text ?? '').trim());
+  if (!match) return null;
+  let value = Number(match[1].replace(/,/g, ''));
+  if (match[2] !== undefined) value = Math.pow(value, Number(match[2]));
+  if (!Number.isFinite(value)) return null;
+  const unitText = match[3].trim();
+  if (!unitText) return { value, unit: null, dimension: null, base: value };
+  const unit = findUnit(unitText);
+  if (!unit) return null;
+  return { value, unit: unit.name, dimension: unit.dimension, base: value * unit.factor };
+}
+
+// Expected answer: a single quantity or a range ("10-20 ms", "1 KB ~ 2 KB", "3..5").
+// A unit written only on the upper bound applies to both. Bounds are in base units.
+export function parseNumericAnswer(text) {
+  const single = parseQuantity(text);
+  if (single) {
+    return { min: single.base, max: single.base, unit: single.unit, dimension: single.dimension, factor: findUnit(single.unit)?.factor ?? 1 };
+  }
+  const trimmed = String(text ?? '').trim();
+  const parts = RANGE_SEPARATORS.exec(trimmed) || DASH_RANGE.exec(trimmed);
+  if (!parts) return null;
+  const high = parseQuantity(parts[2]);
+  let low = parseQuantity(parts[1]);
+  if (!low || !high) return null;
+  if (!low.unit && high.unit) low = parseQuantity(`${parts[1]} ${high.unit}`);
+  if (!low || (low.dimension && high.dimension && low.dimension !== high.dimension)) return null;
+  if (!high.dimension && low.dimension) return null;
+  const unit = findUnit(high.unit);
+  return {
+    min: Math.min(low.base, high.base),
+    max: Math.max(low.base, high.base),
+    unit: high.unit,
+    dimension: high.dimension,
+    factor: unit ? unit.factor : 1
+  };
+}
+
+// Tolerance: "" → exact, "5%" → relative, "0.5" → absolute in the answer's unit,
+// "2 ms" → absolute in its own unit. Returns null when it can't be read.
+export function parseTolerance(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return { relative: 0 };
+  const percent = /^(\d+\.?\d*|\.\d+)\s*%$/.exec(text);
+  if (percent) return { relative: Number(percent[1]) / 100 };
+  const quantity = parseQuantity(text);
+  if (!quantity || quantity.value < 0) return null;
+  return quantity.unit
+    ? { absolute: quantity.base, dimension: quantity.dimension }
+    : { absolute: quantity.value, dimension: null };
+}
+
+// Compares a learner's answer with the expected answer/tolerance.
+// Returns { matched, given, detail } or null when either side isn't a number.
+export function compareNumeric(expectedText, answerText, toleranceValue) {
+  const expected = parseNumericAnswer(expectedText);
+  const given = parseQuantity(answerText);
+  if (!expected || !given) return null;
+  if (expected.dimension && given.dimension && expected.dimension !== given.dimension) {
+    return { matched: false, given: given.base, detail: `단위 불일치 (${given.unit} ↔ ${expected.unit})` };
+  }
+  // Unitless answers are read in the expected unit; units on a unitless expectation are ignored
+  const value = expected.dimension
+    ? (given.dimension ? given.base : given.value * expected.factor)
+    : given.value;
+
+  const tolerance = parseTolerance(toleranceValue) || { relative: 0 };
+  let low = expected.min;
+  let high = expected.max;
+  if (tolerance.relative) {
+    low -= Math.abs(low) * tolerance.relative;
+    high += Math.abs(high) * tolerance.relative;
+  } else if (tolerance.absolute) {
+    const absolute = tolerance.dimension || !expected.dimension ? tolerance.absolute : tolerance.absolute * expected.factor;
+    low -= absolute;
+    high += absolute;
+  }
+  const epsilon = Number.EPSILON * Math.max(1, Math.abs(low), Math.abs(high)) * 4;
+  const matched = value >= low - epsilon && value <= high + epsilon;
+  const range = expected.min === expected.max ? '' : 'range';
+  const tol = String(toleranceValue ?? '').trim();
+  const detail = [range, tol ? `±${tol}` : '', given.unit && given.unit !== expected.unit ? `${given.unit}→${expected.unit}` : '']
+    .filter(Boolean).join(', ');
+  return { matched, given: value, detail };
+}
+
+// ========== Tests (pure functions) ==========
+export function runNumericAnswerTests() {
+  console.assert(parseQuantity('1,024')?.value === 1024, 'thousands separator');
+  console.assert(parseQuantity('2^10')?.value === 1024, 'power notation');
+  console.assert(parseQuantity('2PL') === null, 'unknown unit is not a number');
+  console.assert(parseQuantity('128 bits')?.base === 128, 'bits');
+  console.assert(parseQuantity('16 bytes')?.base === 128, 'bytes to bits');
+  console.assert(parseQuantity('1 KiB')?.base === 8192 && parseQuantity('1 KB')?.base === 8000, 'binary vs decimal prefixes');
+  console.assert(parseQuantity('1 kb')?.base === 1000 && parseQuantity('1 Kb')?.base === 1000, 'lowercase b is bits');
+  console.assert(parseQuantity('1 mb')?.base === 8e6, 'loose case falls back to bytes');
+
+  console.assert(compareNumeric('128', '128')?.matched === true, 'plain number');
+  console.assert(compareNumeric('128', '129')?.matched === false, 'plain number mismatch');
+  console.assert(compareNumeric('128 bit', '16 bytes')?.matched === true, 'unit conversion');
+  console.assert(compareNumeric('128 bit', '128')?.matched === true, 'unitless answer uses expected unit');
+  console.assert(compareNumeric('128', '128 bits')?.matched === true, 'unit on a unitless expectation is ignored');
+  console.assert(compareNumeric('1 ms', '1000 µs')?.matched === true && compareNumeric('1 ms', '1000 us')?.matched === true, 'time units');
+  console.assert(compareNumeric('1 ms', '1 KB')?.matched === false, 'dimension mismatch');
+  console.assert(compareNumeric('100', '104', '5%')?.matched === true && compareNumeric('100', '106', '5%')?.matched === false, 'relative tolerance');
+  console.assert(compareNumeric('10 ms', '10.4', '0.5')?.matched === true, 'absolute tolerance in answer unit');
+  console.assert(compareNumeric('10 ms', '10.4 ms', '500 µs')?.matched === true, 'absolute tolerance with its own unit');
+  console.assert(compareNumeric('10-20 ms', '15 ms')?.matched === true && compareNumeric('10-20 ms', '25 ms')?.matched === false, 'range answer');
+  console.assert(compareNumeric('1 KB ~ 2 KB', '1500 B')?.matched === true, 'range with units on both bounds');
+  console.assert(compareNumeric('-5..5', '-3')?.matched === true, 'negative range');
+  console.assert(compareNumeric('0.1', '0.30000000000000004', '0.2')?.matched === true, 'float edge');
+  console.assert(parseTolerance('abc') === null && parseTolerance('')?.relative === 0, 'tolerance parsing');
+  console.assert(parseNumericAnswer('B-Tree') === null, 'words are not ranges');
+}
@@ -0,0 +1,75 @@
+// ========== Ordering Questions ==========
+// ORDER questions keep their steps in the correct order in `items`; `answer` mirrors them as
+// "a → b → c" for display. A learner's answer is the original item indexes in the order they
+// arranged them ("2,0,1").
+
+export const ORDER_MIN_ITEMS = 2;
+export const ORDER_MAX_ITEMS = 12;
+export const ORDER_SEPARATOR = ' → ';
+
+export function parseOrderItems(lines) {
+  return (lines || []).map(line => String(line ?? '').trim()).filter(Boolean);
+}
+
+// Returns an error message, or '' when the question can be asked
+export function validateOrderItems(items) {
+  if (items.length < ORDER_MIN_ITEMS) return `항목은 ${ORDER_MIN_ITEMS}개 이상 필요합니다`;
+  if (items.length > ORDER_MAX_ITEMS) return `항목은 최대 ${ORDER_MAX_ITEMS}개까지 가능합니다`;
+  return '';
+}
+
+export function describeOrder(items) {
+  return (items || []).join(ORDER_SEPARATOR);
+}
+
+// A shuffled presentation order that is never already solved (unless there is one item)
+export function shuffleOrder(count, random = Math.random) {
+  const order = [...Array(count).keys()];
+  if (count < 2) return order;
+  do {
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+  } while (order.every((v, i) => v === i));
+  return order;
+}
+
+export function parseOrderAnswer(answer, count) {
+  const order = String(answer ?? '').split(',').map(s => s.trim()).filter(s => /^\d+$/.test(s)).map(Number);
+  const valid = order.length === count && new Set(order).size === count && order.every(i => i < count);
+  return valid ? order : null;
+}
+
+// Kendall tau distance: the share of item pairs left in the right relative order.
+// Swapping two neighbours of a 5-step sequence still earns 0.9; a full reversal earns 0.
+export function kendallTauScore(order) {
+  const n = order.length;
+  if (n < 2) return 1;
+  let discordant = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (order[i] > order[j]) discordant++;
+    }
+  }
+  return 1 - discordant / (n * (n - 1) / 2);
+}
+
+// Items that are not where they belong, for the result screen
+export function misplacedItems(items, order) {
+  return order.map((itemIndex, position) => (itemIndex === position ? null : items[itemIndex])).filter(Boolean);
+}
+
+// ========== Tests (pure functions) ==========
+export function runOrderingTests() {
+  console.assert(kendallTauScore([0, 1, 2, 3]) === 1, 'sorted order scores 1');
+  console.assert(kendallTauScore([3, 2, 1, 0]) === 0, 'reversed order scores 0');
+  console.assert(Math.abs(kendallTauScore([1, 0, 2, 3, 4]) - 0.9) < 1e-9, 'one adjacent swap of five');
+  console.assert(parseOrderAnswer('2,0,1', 3)?.join() === '2,0,1', 'answer parsing');
+  console.assert(parseOrderAnswer('0,0,1', 3) === null && parseOrderAnswer('0,1', 3) === null, 'incomplete or repeated answers are rejected');
+  console.assert(misplacedItems(['a', 'b', 'c'], [0, 2, 1]).join() === 'c,b', 'misplaced items');
+  let calls = 0;
+  const identityFirst = () => (calls++ < 2 ? 0.999 : 0); // first shuffle leaves the order solved
+  console.assert(shuffleOrder(3, identityFirst).join() !== '0,1,2', 'shuffle never presents the solved order');
+  console.assert(validateOrderItems(parseOrderItems(['a', ' ', 'b'])) === '' && validateOrderItems(['a']) !== '', 'item validation');
+}
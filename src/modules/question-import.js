@@ -0,0 +1,183 @@
+// ========== Question Import / Export (CSV/TSV) ==========
+// The guided import's file format: one question per row under a header of IMPORT_COLUMNS.
+// List cells are ','-separated (synonyms, keywords, tags) or '|'-separated (options, pairs).
+// Used by the browser's import preview and by the API server's /api/import and /api/export,
+// so a deck exported from either side can be imported on the other.
+import { parseOptionList, resolveCorrectOptions, describeCorrectOptions } from './multiple-choice.js';
+import { parseOrderItems, describeOrder } from './ordering.js';
+import { parsePairs, describePairs, PAIR_SEPARATOR } from './matching.js';
+import { buildClozeCards } from './cloze.js';
+import { resolveLanguage } from './code-highlight.js';
+import { STRICTNESS_TYPES } from './scoring.js';
+import { validateQuestion } from './question-schema.js';
+
+export const IMPORT_COLUMNS = ['type', 'deck', 'prompt', 'answer', 'synonyms', 'keywords', 'keywordThreshold', 'explain', 'tags', 'tolerance', 'options', 'code', 'language', 'pairs', 'strictness'];
+
+export function detectDelimiter(text) {
+  // Only the header decides: CSV code cells may contain tabs
+  const header = text.split('\n', 1)[0];
+  return header.indexOf('\t') !== -1 ? '\t' : ',';
+}
+
+export function parseDelimited(text, delimiter) {
+  // 간단 파서: TSV는 줄/탭 분리, CSV는 따옴표 처리(따옴표 안의 줄바꿈 포함 — CODE 문제의 코드/출력)
+  const normalized = text.replace(/\r\n?/g, '\n');
+  if (delimiter === '\t') return normalized.split('\n').filter(l => l.trim() !== '').map(l => l.split('\t'));
+  const rows = [];
+  let cells = [], cur = '', inQ = false;
+  const endRow = () => {
+    cells.push(cur.trim());
+    if (cells.some(c => c !== '')) rows.push(cells);
+    cells = []; cur = '';
+  };
+  for (let i = 0; i < normalized.length; i++) {
+    const ch = normalized[i];
+    if (inQ) {
+      if (ch === '"' && normalized[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') inQ = false;
+      else cur += ch;
+    } else {
+      if (ch === '"') inQ = true;
+      else if (ch === ',') { cells.push(cur.trim()); cur = ''; }
+      else if (ch === '\n') endRow();
+      else cur += ch;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+const splitList = (cell, separator) => String(cell || '').split(separator).map(s => s.trim()).filter(Boolean);
+
+// CSV/TSV text → validated rows; each carries `error` ('' when it can be imported)
+export function parseImportText(text) {
+  const rows = parseDelimited(String(text ?? ''), detectDelimiter(String(text ?? '')));
+  if (rows.length === 0) return [];
+  const headers = rows[0].map(h => h.trim());
+  const idx = (name) => headers.indexOf(name);
+  return rows.slice(1).map(cols => validateImportRow({
+    type: (cols[idx('type')] || '').trim(),
+    deck: (cols[idx('deck')] || '').trim(),
+    prompt: (cols[idx('prompt')] || '').trim(),
+    answer: (cols[idx('answer')] || '').trim(),
+    synonyms: splitList(cols[idx('synonyms')], ','),
+    keywords: splitList(cols[idx('keywords')], ','),
+    keywordThreshold: (cols[idx('keywordThreshold')] || '').trim(),
+    explain: (cols[idx('explain')] || ''),
+    tags: splitList(cols[idx('tags')], ','),
+    tolerance: (cols[idx('tolerance')] || '').trim(),
+    options: splitList(cols[idx('options')], '|'),
+    code: (cols[idx('code')] || '').replace(/\s+$/, ''),
+    language: (cols[idx('language')] || '').trim(),
+    pairs: parsePairs((cols[idx('pairs')] || '').split('|')),
+    strictness: (cols[idx('strictness')] || '').trim().toLowerCase()
+  }));
+}
+
+// Row-level checks (deck, MCQ option marks) here; the question itself goes through the shared schema
+export function validateImportRow(row) {
+  const errors = [];
+  const t = (row.type || '').toUpperCase();
+  if (!row.deck) errors.push('덱 누락');
+  let choice;
+  if (t === 'MCQ') {
+    // Correct options come from the answer column (numbers or texts) or '*' marks in `options`
+    const parsed = parseOptionList(row.options);
+    const correctOptions = row.answer ? resolveCorrectOptions(parsed.options, row.answer) : parsed.correctOptions;
+    if (correctOptions) choice = { options: parsed.options, correctOptions, multiSelect: correctOptions.length > 1 };
+    else errors.push('MCQ 정답 오류');
+  }
+  const validated = { ...row, type: t, choice };
+  if (t !== 'MCQ' || choice) {
+    errors.push(...Object.values(validateQuestion(importRowToQuestion(validated)).errors));
+  }
+  return { ...validated, error: errors.join(', ') };
+}
+
+// A validated row → the question stored for it (CLOZE rows are split by importRowToCards)
+export function importRowToQuestion(r, deckId = null) {
+  const q = { deck: deckId, type: r.type, prompt: r.prompt, explain: r.explain||'', tags: r.tags||[] };
+  if (r.type === 'OX') { q.answer = String(r.answer ?? '').toLowerCase(); }
+  else if (r.type === 'SHORT') { q.answer = r.answer; if (r.synonyms?.length) q.synonyms = r.synonyms; q.shortFuzzy = true; }
+  else if (r.type === 'ESSAY' || r.type === 'KEYWORD') { q.keywords = r.keywords || []; if (r.keywordThreshold) q.keywordThreshold = r.keywordThreshold; }
+  else if (r.type === 'NUMERIC') { q.answer = r.answer; if (r.tolerance) q.tolerance = r.tolerance; }
+  else if (r.type === 'MCQ') { Object.assign(q, r.choice); q.answer = describeCorrectOptions(q); }
+  // `options` lists the items in their correct order
+  else if (r.type === 'ORDER') { q.items = parseOrderItems(r.options); q.answer = describeOrder(q.items); }
+  // `pairs` holds "term=definition" entries separated by '|'
+  else if (r.type === 'MATCH') { q.pairs = r.pairs || []; q.answer = describePairs(q.pairs); }
+  else if (r.type === 'CODE') { q.code = r.code; q.language = resolveLanguage(r.language) || (r.language || '').toLowerCase() || 'text'; q.answer = r.answer; }
+  if (r.strictness && STRICTNESS_TYPES.includes(r.type)) q.strictness = r.strictness;
+  return q;
+}
+
+// A cloze text becomes one card per cloze number
+export function importRowToCards(r, deckId = null) {
+  const q = importRowToQuestion(r, deckId);
+  return r.type === 'CLOZE' ? buildClozeCards(r.prompt, q) : [q];
+}
+
+// ========== Export ==========
+// A stored question → its row, in IMPORT_COLUMNS order. Cloze cards share one row: export
+// only one card per cloze text, since importing the row rebuilds all of them.
+export function questionToImportRow(q, deckName = '') {
+  const type = q.type || '';
+  const list = (values, separator) => (Array.isArray(values) ? values.join(separator) : String(values ?? ''));
+  const cells = {
+    type,
+    deck: deckName,
+    prompt: q.prompt || '',
+    // MCQ correct options travel as '*' marks; ORDER, MATCH and CLOZE rebuild the answer
+    answer: ['MCQ', 'ORDER', 'MATCH', 'CLOZE'].includes(type) ? '' : String(q.answer ?? ''),
+    synonyms: list(q.synonyms, ', '),
+    keywords: list(q.keywords, ', '),
+    keywordThreshold: String(q.keywordThreshold ?? ''),
+    explain: q.explain || '',
+    tags: list(q.tags, ','),
+    tolerance: String(q.tolerance ?? ''),
+    options: type === 'MCQ'
+      ? (q.options || []).map((option, i) => ((q.correctOptions || []).includes(i) ? `*${option}` : option)).join('|')
+      : type === 'ORDER' ? list(q.items, '|') : '',
+    code: q.code || '',
+    language: q.language || '',
+    pairs: type === 'MATCH' ? (q.pairs || []).map(p => `${p.term}${PAIR_SEPARATOR}${p.definition}`).join('|') : '',
+    strictness: q.strictness || ''
+  };
+  return IMPORT_COLUMNS.map(column => cells[column]);
+}
+
+export function toCsvLine(values) {
+  return values.map(v => '"' + String(v ?? '').replace(/"/g, '""') + '"').join(',');
+}
+
+// ========== Tests (pure functions) ==========
+export function runQuestionImportTests() {
+  const csv = [
+    IMPORT_COLUMNS.join(','),
+    toCsvLine(['OX', 'net', 'TCP는 연결 지향이다.', 'TRUE', '', '', '', '', 'net', '', '', '', '', '', '']),
+    toCsvLine(['MCQ', 'net', '연결 지향 프로토콜은?', '', '', '', '', '', '', '', '*TCP|UDP', '', '', '', '']),
+    toCsvLine(['OX', 'net', '잘못된 OX', 'maybe', '', '', '', '', '', '', '', '', '', '', '']),
+    toCsvLine(['SHORT', '', '덱 없는 문제', 'a', '', '', '', '', '', '', '', '', '', '', ''])
+  ].join('\n');
+  const rows = parseImportText(csv);
+  console.assert(rows.length === 4 && !rows[0].error && !rows[1].error, 'valid rows import');
+  console.assert(importRowToQuestion(rows[0]).answer === 'true' && rows[1].choice.correctOptions[0] === 0, 'OX answers are lowercased, MCQ marks resolved');
+  console.assert(rows[2].error && rows[3].error.includes('덱 누락'), 'schema and row errors are reported');
+  const essay = validateImportRow({ type: 'essay', deck: 'db', prompt: '인덱스란?', keywords: ['B-Tree'] });
+  console.assert(!essay.error && importRowToQuestion(essay).keywords[0] === 'B-Tree', 'ESSAY rows keep their keywords');
+  console.assert(importRowToCards(validateImportRow({ type: 'CLOZE', deck: 'os', prompt: '{{c1::A}} and {{c2::B}}' })).length === 2, 'cloze rows become one card per number');
+
+  // Export → import round trip
+  const questions = [
+    { type: 'MCQ', prompt: '고르시오', options: ['A', 'B', 'C'], correctOptions: [0, 2], multiSelect: true, tags: ['x'] },
+    { type: 'MATCH', prompt: '짝', pairs: [{ term: '200', definition: 'OK' }, { term: '404', definition: 'Not Found' }] },
+    { type: 'ORDER', prompt: '순서', items: ['SYN', 'SYN-ACK', 'ACK'] },
+    { type: 'CODE', prompt: '출력은?', code: 'print("a, b")\nprint(1)', language: 'python', answer: 'a, b\n1' }
+  ];
+  const exported = [IMPORT_COLUMNS.join(','), ...questions.map(q => toCsvLine(questionToImportRow(q, 'deck')))].join('\n');
+  const back = parseImportText(exported).map(r => importRowToQuestion(r));
+  console.assert(back.length === 4 && back.every((q, i) => q.type === questions[i].type), 'round trip keeps every row');
+  console.assert(back[0].correctOptions.join() === '0,2' && back[0].multiSelect, 'MCQ round trip');
+  console.assert(back[1].pairs[1].definition === 'Not Found' && back[2].items.join() === 'SYN,SYN-ACK,ACK', 'MATCH and ORDER round trip');
+  console.assert(back[3].code === questions[3].code && back[3].answer === questions[3].answer, 'CODE cells keep commas and newlines');
+}
@@ -0,0 +1,119 @@
+// ========== Question Schema ==========
+// The rules a stored question must satisfy, shared by the browser (add form, CSV import,
+// validateQuestionData) and the API server, which loads this module with import() for
+// POST/PUT /api/questions. Errors are keyed by field so a form or a 400 response can point
+// at what is wrong. Type-specific rules reuse the validators of each question type's module.
+import { parseNumericAnswer, parseTolerance } from './numeric-answer.js';
+import { hasCloze } from './cloze.js';
+import { validateOrderItems } from './ordering.js';
+import { validatePairs } from './matching.js';
+import { validateChoiceQuestion } from './multiple-choice.js';
+import { STRICTNESS_LEVELS } from './scoring.js';
+
+export const QUESTION_TYPES = ['OX', 'SHORT', 'ESSAY', 'KEYWORD', 'NUMERIC', 'MCQ', 'CLOZE', 'ORDER', 'CODE', 'MATCH'];
+
+// Room for code listings and whole cloze paragraphs
+export const QUESTION_TEXT_LIMITS = { prompt: 5000, answer: 2000, explain: 10000, code: 20000 };
+
+const STRING_ARRAY_FIELDS = ['synonyms', 'keywords', 'tags'];
+
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+// Each rule adds at most one error per field via fail(field, message)
+const TYPE_RULES = {
+  OX(q, fail) {
+    if (!['true', 'false'].includes(String(q.answer ?? '').toLowerCase())) fail('answer', 'OX 정답은 true 또는 false여야 합니다');
+  },
+  SHORT(q, fail) {
+    if (!isText(q.answer)) fail('answer', '정답이 필요합니다');
+  },
+  ESSAY(q, fail) {
+    if (!isStringArray(q.keywords) || !q.keywords.some(isText)) fail('keywords', '키워드가 1개 이상 필요합니다');
+    if (q.keywordThreshold != null && q.keywordThreshold !== '' && !/^\s*\d+(\s*\/\s*\d+)?\s*$/.test(String(q.keywordThreshold))) {
+      fail('keywordThreshold', '임계값은 숫자 또는 "3/4" 형식이어야 합니다');
+    }
+  },
+  NUMERIC(q, fail) {
+    if (!isText(q.answer)) fail('answer', '정답이 필요합니다');
+    else if (!parseNumericAnswer(q.answer)) fail('answer', '숫자 정답을 읽을 수 없습니다 (예: 128 bit, 10-20 ms)');
+    if (!parseTolerance(q.tolerance)) fail('tolerance', '허용 오차 형식이 올바르지 않습니다 (예: 0.5, 5%, 2 ms)');
+  },
+  MCQ(q, fail) {
+    if (!isStringArray(q.options)) return fail('options', '보기는 문자열 배열이어야 합니다');
+    const correct = q.correctOptions;
+    if (!Array.isArray(correct) || !correct.every(i => Number.isInteger(i) && i >= 0 && i < q.options.length)) {
+      return fail('correctOptions', '정답 보기는 보기 번호(0부터) 배열이어야 합니다');
+    }
+    const error = validateChoiceQuestion({ options: q.options, correctOptions: correct, multiSelect: !!q.multiSelect });
+    if (error) fail(/정답/.test(error) ? 'correctOptions' : 'options', error);
+  },
+  CLOZE(q, fail) {
+    if (!hasCloze(q.prompt)) fail('prompt', '빈칸을 {{c1::정답}} 형식으로 표시하세요');
+  },
+  ORDER(q, fail) {
+    if (!isStringArray(q.items)) return fail('items', '항목은 문자열 배열이어야 합니다');
+    const error = validateOrderItems(q.items);
+    if (error) fail('items', error);
+  },
+  CODE(q, fail) {
+    if (!isText(q.code)) fail('code', '코드가 필요합니다');
+    if (!isText(q.answer)) fail('answer', '예상 출력이 필요합니다');
+  },
+  MATCH(q, fail) {
+    if (!Array.isArray(q.pairs) || !q.pairs.every(p => p && typeof p === 'object')) return fail('pairs', '짝은 { term, definition } 배열이어야 합니다');
+    const error = validatePairs(q.pairs);
+    if (error) fail('pairs', error);
+  }
+};
+TYPE_RULES.KEYWORD = TYPE_RULES.ESSAY;
+
+// → { valid, errors: { field: message } }
+export function validateQuestion(q) {
+  if (!q || typeof q !== 'object' || Array.isArray(q)) return { valid: false, errors: { question: '문제 데이터가 필요합니다' } };
+  const errors = {};
+  const fail = (field, message) => { if (!errors[field]) errors[field] = message; };
+
+  if (!QUESTION_TYPES.includes(q.type)) fail('type', `유형은 ${QUESTION_TYPES.join(', ')} 중 하나여야 합니다`);
+  if (!isText(q.prompt)) fail('prompt', '문제 내용이 필요합니다');
+  for (const [field, max] of Object.entries(QUESTION_TEXT_LIMITS)) {
+    if (q[field] == null) continue;
+    if (typeof q[field] !== 'string') fail(field, '문자열이어야 합니다');
+    else if (q[field].length > max) fail(field, `${max.toLocaleString()}자를 초과할 수 없습니다`);
+  }
+  for (const field of STRING_ARRAY_FIELDS) {
+    if (q[field] != null && !isStringArray(q[field])) fail(field, '문자열 배열이어야 합니다');
+  }
+  if (q.strictness != null && !STRICTNESS_LEVELS[q.strictness]) fail('strictness', '엄격도는 strict, normal, lenient 중 하나여야 합니다');
+
+  TYPE_RULES[q.type]?.(q, fail);
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+// ========== Tests (pure functions) ==========
+export function runQuestionSchemaTests() {
+  const ok = (q) => validateQuestion(q).valid;
+  const errorsOf = (q) => validateQuestion(q).errors;
+  console.assert(ok({ type: 'OX', prompt: 'TCP는 연결형이다', answer: 'TRUE' }), 'OX accepts true/false in any case');
+  console.assert(errorsOf({ type: 'OX', prompt: 'p', answer: 'yes' }).answer, 'OX rejects other answers');
+  console.assert(errorsOf({ prompt: 'p' }).type && errorsOf({ type: 'FOO', prompt: 'p' }).type, 'missing and unknown types');
+  console.assert(errorsOf({ type: 'SHORT', prompt: ' ', answer: 'a' }).prompt, 'blank prompt');
+  console.assert(errorsOf({ type: 'ESSAY', prompt: 'p', keywords: [] }).keywords && ok({ type: 'KEYWORD', prompt: 'p', keywords: ['a'], keywordThreshold: '1/2' }), 'keyword questions need keywords');
+  console.assert(errorsOf({ type: 'ESSAY', prompt: 'p', keywords: ['a'], keywordThreshold: 'most' }).keywordThreshold, 'keyword threshold format');
+  console.assert(errorsOf({ type: 'NUMERIC', prompt: 'p', answer: 'many' }).answer && ok({ type: 'NUMERIC', prompt: 'p', answer: '128 bit', tolerance: '5%' }), 'numeric answers');
+  console.assert(ok({ type: 'MCQ', prompt: 'p', options: ['a', 'b'], correctOptions: [1] }), 'valid MCQ');
+  console.assert(errorsOf({ type: 'MCQ', prompt: 'p', options: ['a', 'b'], correctOptions: [2] }).correctOptions, 'MCQ correct option out of range');
+  console.assert(errorsOf({ type: 'MCQ', prompt: 'p', options: ['a', 'b'], correctOptions: [0, 1] }).correctOptions, 'MCQ multiple answers need multiSelect');
+  console.assert(errorsOf({ type: 'CLOZE', prompt: 'no blanks' }).prompt && ok({ type: 'CLOZE', prompt: '{{c1::TCP}}는 연결형' }), 'cloze blanks');
+  console.assert(errorsOf({ type: 'ORDER', prompt: 'p', items: ['only'] }).items, 'order needs two items');
+  console.assert(Object.keys(errorsOf({ type: 'CODE', prompt: 'p' })).join() === 'code,answer', 'code and expected output');
+  console.assert(errorsOf({ type: 'MATCH', prompt: 'p', pairs: [{ term: 'a', definition: 'x' }] }).pairs, 'match needs two pairs');
+  console.assert(errorsOf({ type: 'SHORT', prompt: 'p', answer: 'a', tags: 'os' }).tags && errorsOf({ type: 'SHORT', prompt: 'p', answer: 'a', strictness: 'loose' }).strictness, 'field types');
+  console.assert(errorsOf({ type: 'SHORT', prompt: 'x'.repeat(QUESTION_TEXT_LIMITS.prompt + 1), answer: 'a' }).prompt, 'length limits');
+  console.assert(!validateQuestion(null).valid && !validateQuestion([]).valid, 'non-objects');
+}
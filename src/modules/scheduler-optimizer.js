@@ -0,0 +1,196 @@
+// ========== Scheduler Parameter Optimizer ==========
+// Fits scheduler parameters to the answer history in `review_log` by minimizing the log-loss of
+// the predicted recall at every review. Pure functions so it can run inside a Web Worker.
+import {
+  scheduleReview,
+  fsrsRetrievability,
+  resolveSm2Params,
+  DEFAULT_DECK_OPTIONS,
+  FSRS_DEFAULT_WEIGHTS
+} from './spaced-repetition.js';
+
+const DAY_MS = 86400000;
+const SM2_RECALL_AT_DUE = 0.9; // SM-2 intervals are read as "recall drops to 90% on the due date"
+const MIN_SAMPLES = 30;
+const EPSILON = 1e-4;
+
+// Search space per algorithm: SM-2 fits `sm2Params` keys, FSRS fits indices of `fsrsWeights`
+export const PARAM_SPACES = {
+  sm2: [
+    { key: 'againEaseDelta', min: -1.0, max: 0 },
+    { key: 'hardEaseDelta', min: -0.5, max: 0 },
+    { key: 'goodEaseDelta', min: -0.2, max: 0.2 },
+    { key: 'easyEaseDelta', min: 0, max: 0.5 },
+    { key: 'hardMultiplier', min: 1.0, max: 2.0 },
+    { key: 'intervalModifier', min: 0.5, max: 2.0 }
+  ],
+  fsrs: [
+    { index: 0, min: 0.1, max: 100 },
+    { index: 1, min: 0.1, max: 100 },
+    { index: 2, min: 0.1, max: 100 },
+    { index: 3, min: 0.1, max: 100 },
+    { index: 8, min: 0, max: 6 },
+    { index: 9, min: 0, max: 0.8 },
+    { index: 10, min: 0.01, max: 6 },
+    { index: 11, min: 0.01, max: 5 },
+    { index: 12, min: 0.01, max: 0.5 },
+    { index: 13, min: 0.01, max: 0.9 },
+    { index: 14, min: 0.01, max: 4 }
+  ]
+};
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Log entries grouped per card, oldest first
+export function groupLogByCard(log) {
+  const cards = new Map();
+  [...(log || [])]
+    .sort((a, b) => (new Date(a.ts) - new Date(b.ts)) || ((a.id || 0) - (b.id || 0)))
+    .forEach(entry => {
+      if (!cards.has(entry.questionId)) cards.set(entry.questionId, []);
+      cards.get(entry.questionId).push(entry);
+    });
+  return [...cards.values()];
+}
+
+function readParams(algorithm, options) {
+  if (algorithm === 'fsrs') {
+    const w = options.fsrsWeights || FSRS_DEFAULT_WEIGHTS;
+    return PARAM_SPACES.fsrs.map(dim => w[dim.index]);
+  }
+  const p = resolveSm2Params(options);
+  return PARAM_SPACES.sm2.map(dim => p[dim.key]);
+}
+
+// The deck option fields that hold the given parameter vector
+export function paramsToOptions(algorithm, options, values) {
+  if (algorithm === 'fsrs') {
+    const w = [...(options.fsrsWeights || FSRS_DEFAULT_WEIGHTS)];
+    PARAM_SPACES.fsrs.forEach((dim, i) => { w[dim.index] = round4(values[i]); });
+    return { fsrsWeights: w };
+  }
+  const p = { ...resolveSm2Params(options) };
+  PARAM_SPACES.sm2.forEach((dim, i) => { p[dim.key] = round4(values[i]); });
+  return { sm2Params: p };
+}
+
+function predictRecall(algorithm, state, elapsedDays) {
+  if (algorithm === 'fsrs') {
+    const stability = state.stability ?? state.interval;
+    return stability > 0 ? fsrsRetrievability(elapsedDays, stability) : null;
+  }
+  return state.interval > 0 ? Math.pow(SM2_RECALL_AT_DUE, elapsedDays / state.interval) : null;
+}
+
+// Replays every card under `options` and scores each answer given in the review phase
+// against the recall the scheduler predicted for that moment
+export function evaluateParams(cards, algorithm, options) {
+  let loss = 0;
+  let predicted = 0;
+  let recalled = 0;
+  let samples = 0;
+  cards.forEach(entries => {
+    let state = entries[0].before ? { ...entries[0].before } : null;
+    entries.forEach(entry => {
+      const now = new Date(entry.ts);
+      if (state && state.phase === 'review' && state.lastReview) {
+        const elapsed = Math.max(0, (now - new Date(state.lastReview)) / DAY_MS);
+        const p = predictRecall(algorithm, state, elapsed);
+        if (p !== null) {
+          const y = entry.grade > 0 ? 1 : 0;
+          const q = clamp(p, EPSILON, 1 - EPSILON);
+          loss -= y ? Math.log(q) : Math.log(1 - q);
+          predicted += p;
+          recalled += y;
+          samples++;
+        }
+      }
+      state = scheduleReview(entry.correct, state ? { ...state } : null, entry.grade, algorithm, options, now);
+    });
+  });
+  if (samples === 0) {
+    return { logLoss: null, retention: null, actualRetention: null, samples: 0 };
+  }
+  return {
+    logLoss: loss / samples,
+    retention: predicted / samples,
+    actualRetention: recalled / samples,
+    samples
+  };
+}
+
+// Coordinate descent with a shrinking step per parameter, bounded by PARAM_SPACES.
+// Returns { ok, algorithm, samples, before, after, params } where `params` can be merged
+// into deck options (or the global scheduler settings) as-is.
+export function optimizeParameters(log, { algorithm = 'sm2', options = DEFAULT_DECK_OPTIONS, maxIterations = 30, onProgress = () => {} } = {}) {
+  const space = PARAM_SPACES[algorithm];
+  if (!space) {
+    throw new Error(`Unknown scheduler: ${algorithm}`);
+  }
+  const cards = groupLogByCard(log);
+  const evaluate = (values) => evaluateParams(cards, algorithm, { ...options, ...paramsToOptions(algorithm, options, values) });
+
+  let values = readParams(algorithm, options);
+  const before = evaluate(values);
+  if (before.samples < MIN_SAMPLES) {
+    return { ok: false, reason: 'not-enough-data', algorithm, samples: before.samples, minSamples: MIN_SAMPLES, before };
+  }
+
+  let best = before.logLoss;
+  const steps = space.map(dim => (dim.max - dim.min) / 4);
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    let improved = false;
+    for (let i = 0; i < space.length; i++) {
+      let moved = false;
+      for (const dir of [1, -1]) {
+        const trial = [...values];
+        trial[i] = clamp(values[i] + dir * steps[i], space[i].min, space[i].max);
+        if (trial[i] === values[i]) continue;
+        const { logLoss } = evaluate(trial);
+        if (logLoss < best - 1e-9) {
+          best = logLoss;
+          values = trial;
+          moved = true;
+          break;
+        }
+      }
+      if (moved) improved = true;
+      else steps[i] /= 2;
+    }
+    onProgress({ iteration, maxIterations, logLoss: best });
+    if (!improved && steps.every((step, i) => step < (space[i].max - space[i].min) * 1e-3)) break;
+  }
+
+  const params = paramsToOptions(algorithm, options, values);
+  const after = evaluateParams(cards, algorithm, { ...options, ...params });
+  return { ok: true, algorithm, samples: before.samples, before, after, params };
+}
+
+// ========== Tests (pure functions) ==========
+export function runOptimizerTests() {
+  const sm2 = paramsToOptions('sm2', DEFAULT_DECK_OPTIONS, readParams('sm2', DEFAULT_DECK_OPTIONS));
+  console.assert(sm2.sm2Params.againEaseDelta === -0.8 && sm2.sm2Params.intervalModifier === 1, 'sm2 params round trip');
+  const fsrs = paramsToOptions('fsrs', DEFAULT_DECK_OPTIONS, readParams('fsrs', DEFAULT_DECK_OPTIONS));
+  console.assert(fsrs.fsrsWeights.length === FSRS_DEFAULT_WEIGHTS.length && fsrs.fsrsWeights[2] === FSRS_DEFAULT_WEIGHTS[2], 'fsrs weights round trip');
+  
+  // A card reviewed exactly on its due dates is predicted at SM-2's 90% recall
+  const log = [];
+  let state = null;
+  let t = Date.parse('2024-01-01T00:00:00.000Z');
+  for (let i = 0; i < 6; i++) {
+    const now = new Date(t);
+    log.push({ id: i + 1, questionId: 1, ts: now.toISOString(), grade: 2, correct: true, before: null });
+    state = scheduleReview(true, state, 2, 'sm2', DEFAULT_DECK_OPTIONS, now);
+    t = new Date(state.due).getTime();
+  }
+  const evaluated = evaluateParams(groupLogByCard(log), 'sm2', DEFAULT_DECK_OPTIONS);
+  console.assert(evaluated.samples > 0 && Math.abs(evaluated.retention - SM2_RECALL_AT_DUE) < 1e-9, `on-time recall prediction: ${evaluated.retention}`);
+  const tooShort = optimizeParameters(log, { algorithm: 'sm2' });
+  console.assert(!tooShort.ok && tooShort.reason === 'not-enough-data', 'optimizer needs enough reviews');
+}
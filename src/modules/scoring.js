@@ -1,7 +1,30 @@
 // ========== Answer Checking & Grading ==========
+import { compareNumeric, parseQuantity } from './numeric-answer.js';
+import { scoreChoice } from './multiple-choice.js';
+import { clozeBlanks, splitClozeAnswer } from './cloze.js';
+import { parseOrderAnswer, kendallTauScore, misplacedItems } from './ordering.js';
+import { scorePairs } from './matching.js';
+import { decomposeHangul, foldKorean } from './korean-text.js';
+
 export const SHORT_PASS = 0.75;
 export const KEYWORD_PASS = 0.60;
 export const ESSAY_PASS = 0.60;
+export const MATCH_PASS = 0.50;
+
+// Pass thresholds in use; they start at SHORT_PASS/KEYWORD_PASS and can be replaced by values
+// calibrated from the grades learners picked over the suggested ones (calibratePassThresholds)
+const passThresholds = { short: SHORT_PASS, keyword: KEYWORD_PASS };
+
+export function getPassThresholds() {
+  return { ...passThresholds };
+}
+
+// Missing or out-of-range values fall back to the defaults
+export function setPassThresholds({ short, keyword } = {}) {
+  const valid = (v) => Number.isFinite(v) && v > 0 && v <= 1;
+  passThresholds.short = valid(short) ? short : SHORT_PASS;
+  passThresholds.keyword = valid(keyword) ? keyword : KEYWORD_PASS;
+}
 
 export function normalizeText(text) {
   if (text === null || text === undefined) return '';
@@ -11,9 +34,12 @@ export function normalizeText(text) {
 // Alias for clarity in new APIs
 export const normalize = normalizeText;
 
+// Works on code points, so astral characters count once
 export function levenshteinDistance(str1, str2) {
-  const len1 = str1.length;
-  const len2 = str2.length;
+  const a = Array.from(str1);
+  const b = Array.from(str2);
+  const len1 = a.length;
+  const len2 = b.length;
   
   if (len1 === 0) return len2;
   if (len2 === 0) return len1;
@@ -25,7 +51,7 @@ export function levenshteinDistance(str1, str2) {
   
   for (let i = 1; i <= len1; i++) {
     for (let j = 1; j <= len2; j++) {
-      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
       matrix[i][j] = Math.min(
         matrix[i - 1][j] + 1,
         matrix[i][j - 1] + 1,
@@ -37,52 +63,23 @@ export function levenshteinDistance(str1, str2) {
   return matrix[len1][len2];
 }
 
-export function fuzzyMatch(target, input, threshold = 0.8) {
-  const normalizedTarget = normalizeText(target);
-  const normalizedInput = normalizeText(input);
-  
-  if (normalizedTarget === normalizedInput) return true;
-  if (normalizedInput.includes(normalizedTarget) || normalizedTarget.includes(normalizedInput)) return true;
-  
-  const distance = levenshteinDistance(normalizedTarget, normalizedInput);
-  const maxLen = Math.max(normalizedTarget.length, normalizedInput.length);
-  
-  if (maxLen === 0) return true;
-  
-  const similarity = 1 - (distance / maxLen);
-  return similarity >= threshold;
+// 0..1 similarity measured on jamo: "트랜젝션" vs "트랜잭션" differs by one vowel, not one syllable
+export function textSimilarity(str1, str2) {
+  const a = decomposeHangul(str1);
+  const b = decomposeHangul(str2);
+  const maxLen = Math.max(Array.from(a).length, Array.from(b).length);
+  if (maxLen === 0) return 1;
+  return 1 - levenshteinDistance(a, b) / maxLen;
 }
 
-export function checkShortAnswer(correctAnswer, userAnswer, synonyms = [], fuzzyEnabled = true, regexes = []) {
-  const normalizedCorrect = normalizeText(correctAnswer);
-  const normalizedUser = normalizeText(userAnswer);
+export function fuzzyMatch(target, input, threshold = 0.8, fold = normalizeText) {
+  const normalizedTarget = fold(target);
+  const normalizedInput = fold(input);
   
-  // Check regex patterns (case-insensitive)
-  for (const pattern of regexes) {
-    try {
-      if (new RegExp(pattern, 'i').test(userAnswer)) return true;
-    } catch (e) {
-      // Skip invalid regex
-    }
-  }
-  
-  // Exact match
-  if (normalizedCorrect === normalizedUser) return true;
-  
-  // Check synonyms
-  for (const syn of synonyms) {
-    if (normalizeText(syn) === normalizedUser) return true;
-  }
-  
-  // Fuzzy matching if enabled
-  if (fuzzyEnabled) {
-    if (fuzzyMatch(normalizedCorrect, normalizedUser, 0.85)) return true;
-    for (const syn of synonyms) {
-      if (fuzzyMatch(syn, userAnswer, 0.85)) return true;
-    }
-  }
+  if (normalizedTarget === normalizedInput) return true;
+  if (normalizedInput.includes(normalizedTarget) || normalizedTarget.includes(normalizedInput)) return true;
   
-  return false;
+  return textSimilarity(normalizedTarget, normalizedInput) >= threshold;
 }
 
 function toKeywordsArray(keywords) {
@@ -120,7 +117,7 @@ export function buildKeywordGroups(keywords) {
 }
 
 export function parseKeywordThreshold(q, total) {
-  const thresh = q.keywordThreshold;
+  const thresh = q.keywordThreshold == null ? '' : String(q.keywordThreshold);
   if (!thresh || thresh === 'default') {
     return Math.ceil(total * 0.75);
   }
@@ -134,223 +131,307 @@ export function parseKeywordThreshold(q, total) {
   return Number.isFinite(val) ? val : Math.ceil(total * 0.75);
 }
 
-export function matchKeywordAnswer(question, userAnswer) {
-  if (!question.keywords?.length) return false;
-  
-  const groups = buildKeywordGroups(question.keywords);
-  const required = parseKeywordThreshold(question, groups.length);
-  const normalizedAnswer = normalizeText(userAnswer);
-  
-  let matched = 0;
-  for (const group of groups) {
-    let groupMatched = false;
-    for (const variant of group) {
-      if (variant.type === 'regex') {
-        try {
-          if (new RegExp(variant.pattern, 'i').test(userAnswer)) {
-            groupMatched = true;
-            break;
-          }
-        } catch (e) {
-          // Skip invalid regex
-        }
-      } else if (normalizedAnswer.includes(normalizeText(variant.value))) {
-        groupMatched = true;
-        break;
-      }
-    }
-    if (groupMatched) matched++;
-  }
-  
-  return matched >= required;
+// ========== Matcher Pipeline ==========
+// A matcher stage takes (q, userAnswer) and returns a trace entry
+//   { stage, matched, score, target?, hits?, misses?, detail? }
+// or null when it doesn't apply to the question. Question types compose stages by name
+// (see PIPELINES); the first stage that matches decides the grade.
+export const SHORT_FUZZY = 0.85;
+export const SHORT_FUZZY_LENIENT = 0.75;
+export const SHORT_KEYWORD_CAP = 0.8; // keyword fallback for SHORT never counts as a full match
+
+const matchers = new Map();
+
+// Per-question `strictness` for typed answers (SHORT, CLOZE blanks, keywords):
+//   strict  – case and extra spaces only, no fuzzy matching
+//   normal  – Korean folding (spacing, particles, loanwords) and jamo-level fuzzy at SHORT_FUZZY
+//   lenient – the same folding with fuzzy matching at SHORT_FUZZY_LENIENT
+export const STRICTNESS_LEVELS = {
+  strict: { fold: false, fuzzy: null, label: '엄격 — 대소문자·공백만 무시' },
+  normal: { fold: true, fuzzy: SHORT_FUZZY, label: '보통 — 띄어쓰기·조사·외래어 표기 무시, 오타 조금 허용' },
+  lenient: { fold: true, fuzzy: SHORT_FUZZY_LENIENT, label: '관대 — 오타를 더 허용' }
+};
+export const DEFAULT_STRICTNESS = 'normal';
+export const STRICTNESS_TYPES = ['SHORT', 'CLOZE', 'KEYWORD', 'ESSAY'];
+
+export function resolveStrictness(q) {
+  return STRICTNESS_LEVELS[q?.strictness] || STRICTNESS_LEVELS[DEFAULT_STRICTNESS];
 }
 
-export function gradeWithFeedback(q, userAnswer) {
-  if (!userAnswer || typeof userAnswer !== 'string') {
-    return { correct: false, score: 0, hits: [], misses: [], notes: 'No answer provided' };
-  }
-  
-  if (q.type === 'OX') {
-    const normalized = normalizeText(userAnswer);
-    const correctNormalized = normalizeText(q.answer);
-    const correct = normalized === correctNormalized;
-    return {
-      correct,
-      score: correct ? 1 : 0,
-      hits: correct ? [q.answer] : [],
-      misses: correct ? [] : [q.answer]
-    };
-  }
-  
-  if (q.type === 'SHORT') {
-    const regexes = q.regexes || [];
-    const synonyms = q.synonyms || [];
-    const fuzzyEnabled = q.fuzzyEnabled !== false;
-    
-    const correct = checkShortAnswer(q.answer, userAnswer, synonyms, fuzzyEnabled, regexes);
-    return {
-      correct,
-      score: correct ? 1 : 0,
-      hits: correct ? [q.answer] : [],
-      misses: correct ? [] : [q.answer]
-    };
+export function registerMatcher(name, fn) {
+  matchers.set(name, fn);
+}
+
+export function getMatcherNames() {
+  return [...matchers.keys()];
+}
+
+function safeRegexTest(pattern, text) {
+  try {
+    return new RegExp(pattern, 'i').test(text);
+  } catch (_) {
+    return false; // skip invalid regex
   }
-  
-  if (q.type === 'ESSAY' || q.type === 'KEYWORD') {
-    if (!q.keywords?.length) {
-      return { correct: false, score: 0, hits: [], misses: [], notes: 'No keywords defined' };
-    }
-    
-    const groups = buildKeywordGroups(q.keywords);
-    const required = parseKeywordThreshold(q, groups.length);
-    const normalizedAnswer = normalizeText(userAnswer);
-    
-    const hits = [];
-    const misses = [];
-    let matched = 0;
-    
-    for (let i = 0; i < groups.length; i++) {
-      const group = groups[i];
-      let groupMatched = false;
-      
-      for (const variant of group) {
-        if (variant.type === 'regex') {
-          try {
-            if (new RegExp(variant.pattern, 'i').test(userAnswer)) {
-              groupMatched = true;
-              hits.push(q.keywords[i]);
-              break;
-            }
-          } catch (e) {}
-        } else if (normalizedAnswer.includes(normalizeText(variant.value))) {
-          groupMatched = true;
-          hits.push(q.keywords[i]);
-          break;
-        }
-      }
-      
-      if (groupMatched) {
-        matched++;
-      } else {
-        misses.push(q.keywords[i]);
-      }
-    }
-    
-    const score = groups.length > 0 ? matched / groups.length : 0;
-    const correct = matched >= required;
-    
-    return { correct, score, hits, misses };
+}
+
+function hasValue(v) {
+  return v !== undefined && v !== null && String(v).trim() !== '';
+}
+
+function stageResult(stage, matched, target, extra = {}) {
+  return { stage, matched, score: matched ? 1 : 0, target, ...extra };
+}
+
+// ========== Learned Synonyms ==========
+// Deck-wide and global synonyms accepted from learners' answers apply to every question whose
+// answer folds to the same text; question-scoped ones are stored in the question's own `synonyms`.
+let learnedSynonyms = [];
+
+export function setLearnedSynonyms(entries) {
+  learnedSynonyms = (entries || [])
+    .filter(e => (e.scope === 'deck' || e.scope === 'global') && hasValue(e.answer) && hasValue(e.synonym))
+    .map(e => ({ ...e, key: foldKorean(e.answer) }));
+}
+
+// The question's synonyms plus the learned ones that apply to its deck and answer
+export function synonymsOf(q) {
+  const own = (q.synonyms || []).filter(hasValue);
+  if (learnedSynonyms.length === 0 || !hasValue(q.answer)) return own;
+  const key = foldKorean(q.answer);
+  const learned = learnedSynonyms
+    .filter(e => e.key === key && (e.scope === 'global' || Number(e.deck) === Number(q.deck)))
+    .map(e => e.synonym);
+  return [...new Set([...own, ...learned])];
+}
+
+registerMatcher('exact', (q, answer) => {
+  if (!hasValue(q.answer)) return null;
+  return stageResult('exact', String(answer).trim() === String(q.answer).trim(), q.answer);
+});
+
+registerMatcher('normalized', (q, answer) => {
+  if (!hasValue(q.answer)) return null;
+  return stageResult('normalized', normalize(answer) === normalize(q.answer), q.answer);
+});
+
+// Spacing, particles and loanword spelling: "트랜잭션은" == "transaction", "교착 상태" == "교착상태"
+registerMatcher('folded', (q, answer) => {
+  if (!hasValue(q.answer) || !resolveStrictness(q).fold) return null;
+  // Folding drops punctuation, which would turn "1.5" into "15"; numbers belong to the numeric stage
+  if (parseQuantity(q.answer) !== null && parseQuantity(answer) !== null) return null;
+  const folded = foldKorean(answer);
+  return stageResult('folded', folded.length > 0 && folded === foldKorean(q.answer), q.answer);
+});
+
+registerMatcher('synonym', (q, answer) => {
+  const synonyms = synonymsOf(q);
+  if (synonyms.length === 0) return null;
+  const fold = resolveStrictness(q).fold ? foldKorean : normalize;
+  const hit = synonyms.find(syn => fold(syn) === fold(answer));
+  return stageResult('synonym', hit !== undefined, hit);
+});
+
+// Units are converted within a dimension ("16 bytes" == "128 bit"); `q.tolerance` is
+// absolute ("0.5", "2 ms") or relative ("5%"), and the answer may be a range ("10-20 ms")
+registerMatcher('numeric', (q, answer) => {
+  if (!hasValue(q.answer)) return null;
+  const result = compareNumeric(q.answer, answer, q.tolerance);
+  if (!result) return null;
+  return stageResult('numeric', result.matched, q.answer, result.detail ? { detail: result.detail } : {});
+});
+
+registerMatcher('regex', (q, answer) => {
+  const patterns = q.regexes || [];
+  if (patterns.length === 0) return null;
+  const hit = patterns.find(pattern => safeRegexTest(pattern, answer));
+  return stageResult('regex', hit !== undefined, hit);
+});
+
+registerMatcher('fuzzy', (q, answer) => {
+  const level = resolveStrictness(q);
+  if (q.fuzzyEnabled === false || q.shortFuzzy === false || level.fuzzy === null) return null;
+  // Numbers are judged by the numeric stage; "100" must not fuzzily match "1000"
+  if (parseQuantity(q.answer) !== null && parseQuantity(answer) !== null) return null;
+  const targets = [q.answer, ...synonymsOf(q)].filter(hasValue);
+  if (targets.length === 0) return null;
+  const fold = level.fold ? foldKorean : normalize;
+  const hit = targets.find(target => fuzzyMatch(target, answer, level.fuzzy, fold));
+  return stageResult('fuzzy', hit !== undefined, hit, hit !== undefined ? { similarity: textSimilarity(fold(hit), fold(answer)) } : {});
+});
+
+// N-of-M keyword groups: "a|b" alternatives and "/re/" regex variants per keyword.
+// Passes on either the ratio (KEYWORD_PASS, or its calibrated value) or the required count (keywordThreshold).
+registerMatcher('keyword-group', (q, answer) => {
+  const keywords = toKeywordsArray(q.keywords);
+  if (keywords.length === 0) return null;
+  const groups = buildKeywordGroups(keywords);
+  const required = parseKeywordThreshold(q, groups.length);
+  const normalizedAnswer = normalize(answer);
+  const foldedAnswer = resolveStrictness(q).fold ? foldKorean(answer) : null;
+  const contains = (value) => (normalize(value).length > 0 && normalizedAnswer.includes(normalize(value))) ||
+    (foldedAnswer !== null && foldKorean(value).length > 0 && foldedAnswer.includes(foldKorean(value)));
+  const hits = [];
+  const misses = [];
+  groups.forEach((group, i) => {
+    const groupMatched = group.some(variant => variant.type === 'regex'
+      ? safeRegexTest(variant.pattern, answer)
+      : contains(variant.value));
+    (groupMatched ? hits : misses).push(keywords[i]);
+  });
+  const score = groups.length > 0 ? hits.length / groups.length : 0;
+  const matched = score >= passThresholds.keyword || hits.length >= required;
+  return { stage: 'keyword-group', matched, score, hits, misses, detail: `${hits.length}/${groups.length} (need ${required})` };
+});
+
+// MCQ: the answer is the picked option indexes; multi-select earns partial credit
+registerMatcher('choice', (q, answer) => {
+  if (!Array.isArray(q.options) || q.options.length === 0) return null;
+  const { score, hits, misses, wrong } = scoreChoice(q, answer);
+  const detail = wrong.length ? `${hits.length}/${hits.length + misses.length}, 오답 ${wrong.join(', ')}` : `${hits.length}/${hits.length + misses.length}`;
+  return { stage: 'choice', matched: score === 1, score, hits, misses, detail };
+});
+
+// CLOZE: each blank of the card's cloze number runs the SHORT stages on its own line of the answer
+registerMatcher('cloze', (q, answer) => {
+  const blanks = clozeBlanks(q.prompt, q.clozeIndex);
+  if (blanks.length === 0) return null;
+  const given = splitClozeAnswer(answer);
+  const hits = [];
+  const misses = [];
+  const stages = [];
+  blanks.forEach((blank, i) => {
+    const blankQuestion = { answer: blank.answer, synonyms: blank.synonyms, shortFuzzy: q.shortFuzzy, strictness: q.strictness, deck: q.deck };
+    const { match } = given[i] ? runMatchers(PIPELINES.SHORT, blankQuestion, given[i]) : { match: null };
+    (match ? hits : misses).push(blank.answer);
+    stages.push(match ? match.stage : '-');
+  });
+  const score = hits.length / blanks.length;
+  return { stage: 'cloze', matched: misses.length === 0, score, hits, misses, detail: stages.join(', ') };
+});
+
+// ORDER: partial credit by Kendall tau distance to the correct sequence
+registerMatcher('order', (q, answer) => {
+  const items = q.items || [];
+  if (items.length === 0) return null;
+  const order = parseOrderAnswer(answer, items.length);
+  if (!order) return { stage: 'order', matched: false, score: 0, hits: [], misses: [...items] };
+  const score = kendallTauScore(order);
+  const misses = misplacedItems(items, order);
+  const hits = items.filter(item => !misses.includes(item));
+  return { stage: 'order', matched: score === 1, score, hits, misses, detail: `τ ${score.toFixed(2)}` };
+});
+
+// MATCH: one point per correctly paired term. Passing sets go through grade() like keyword
+// answers (all pairs → Easy, most → Good, half → Hard); fewer than MATCH_PASS is Again.
+registerMatcher('pairs', (q, answer) => {
+  const pairs = q.pairs || [];
+  if (pairs.length === 0) return null;
+  const { score, hits, misses } = scorePairs(pairs, answer);
+  return { stage: 'pairs', matched: score >= MATCH_PASS, score, hits, misses, detail: `${hits.length}/${pairs.length}` };
+});
+
+// CODE: predicted program output. Whitespace (indentation, line breaks, spacing inside
+// "[1, 2]") is ignored, but case and punctuation are not; synonyms list other accepted outputs.
+export function normalizeOutput(text) {
+  return String(text ?? '').replace(/\s+/g, '');
+}
+
+registerMatcher('output', (q, answer) => {
+  const targets = [q.answer, ...(q.synonyms || [])].filter(hasValue);
+  if (targets.length === 0) return null;
+  const hit = targets.find(target => normalizeOutput(target) === normalizeOutput(answer));
+  return stageResult('output', hit !== undefined, hit);
+});
+
+export const PIPELINES = {
+  OX: ['normalized'],
+  SHORT: ['exact', 'normalized', 'folded', 'synonym', 'numeric', 'regex', 'fuzzy'],
+  NUMERIC: ['numeric'],
+  MCQ: ['choice'],
+  CLOZE: ['cloze'],
+  ORDER: ['order'],
+  CODE: ['output'],
+  MATCH: ['pairs'],
+  KEYWORD: ['keyword-group'],
+  ESSAY: ['keyword-group']
+};
+
+// Runs stages in order until one matches; every stage that applied is kept in the trace
+export function runMatchers(stages, q, userAnswer) {
+  const trace = [];
+  for (const name of stages) {
+    const matcher = matchers.get(name);
+    if (!matcher) continue;
+    const entry = matcher(q, userAnswer);
+    if (!entry) continue;
+    trace.push(entry);
+    if (entry.matched) return { match: entry, trace };
   }
-  
-  return { correct: false, score: 0, hits: [], misses: [], notes: 'Unknown question type' };
+  return { match: null, trace };
 }
 
-export function checkAnswer(q, userAnswer) {
-  const result = gradeWithFeedback(q, userAnswer);
-  return result.score >= 0.5;
+export function checkShortAnswer(correctAnswer, userAnswer, synonyms = [], fuzzyEnabled = true, regexes = []) {
+  const q = { answer: correctAnswer, synonyms, fuzzyEnabled, regexes };
+  return runMatchers(PIPELINES.SHORT, q, userAnswer).match !== null;
 }
 
-// New unified grader used by app and AI local adapter
+export function matchKeywordAnswer(question, userAnswer) {
+  return runMatchers(['keyword-group'], question, userAnswer).match !== null;
+}
+
+// Unified grader used by app and AI local adapter.
+// `matchedBy` names the stage that decided a correct answer; `trace` lists every stage tried.
 export function gradeQuestion(q, userAnswer) {
   if (!userAnswer || typeof userAnswer !== 'string') {
-    return { correct: false, score: 0, hits: [], misses: [], notes: 'No answer provided' };
+    return { correct: false, score: 0, hits: [], misses: [], notes: 'No answer provided', matchedBy: null, trace: [] };
+  }
+  const stages = PIPELINES[q.type];
+  if (!stages) {
+    return { correct: false, score: 0, hits: [], misses: [], notes: 'Unknown question type', matchedBy: null, trace: [] };
+  }
+  if (stages.includes('keyword-group') && toKeywordsArray(q.keywords).length === 0) {
+    return { correct: false, score: 0, hits: [], misses: [], notes: 'No keywords defined', matchedBy: null, trace: [] };
   }
 
-  // OX exact match
-  if (q.type === 'OX') {
-    const isCorrect = normalize(q.answer) === normalize(userAnswer);
-    return {
-      correct: isCorrect,
-      score: isCorrect ? 1 : 0,
-      hits: isCorrect ? [q.answer] : [],
-      misses: isCorrect ? [] : [q.answer]
-    };
+  const { match, trace } = runMatchers(stages, q, userAnswer);
+  // Stages that report hits/misses (keyword-group, choice) carry their own score
+  if (match && Array.isArray(match.hits)) {
+    return { correct: true, score: match.score, hits: match.hits, misses: match.misses, matchedBy: match.stage, trace };
+  }
+  if (match) {
+    return { correct: true, score: 1, hits: [q.answer], misses: [], matchedBy: match.stage, trace };
   }
 
-  // SHORT: try strict/fuzzy/synonyms/regex. If fail and keywords exist, fallback to keyword grading (capped at 0.8)
+  // SHORT answers with keywords fall back to keyword grading, capped below a full match
   if (q.type === 'SHORT') {
-    const regexes = q.regexes || [];
-    const synonyms = q.synonyms || [];
-    const fuzzyEnabled = q.fuzzyEnabled !== false;
-
-    const shortOk = checkShortAnswer(q.answer || '', userAnswer, synonyms, fuzzyEnabled, regexes);
-    if (shortOk) {
-      return { correct: true, score: 1, hits: [q.answer], misses: [] };
-    }
-
-    // Fallback to keyword grading for essay-like SHORT with keywords present
-    if (Array.isArray(q.keywords) && q.keywords.length > 0) {
-      const groups = buildKeywordGroups(q.keywords);
-      const total = groups.length;
-      const normAns = normalize(userAnswer);
-      const hits = [];
-      const misses = [];
-      let matched = 0;
-
-      for (let i = 0; i < groups.length; i++) {
-        const group = groups[i];
-        let groupMatched = false;
-        for (const variant of group) {
-          if (variant.type === 'regex') {
-            try {
-              if (new RegExp(variant.pattern, 'i').test(userAnswer)) { groupMatched = true; break; }
-            } catch (_) {}
-          } else if (normalize(variant.value).length && normAns.includes(normalize(variant.value))) {
-            groupMatched = true; break;
-          }
-        }
-        if (groupMatched) { matched++; hits.push(q.keywords[i]); }
-        else { misses.push(q.keywords[i]); }
-      }
-      const rawScore = total > 0 ? matched / total : 0;
-      const score = Math.min(0.8, rawScore);
-      const correct = score >= SHORT_PASS; // still respect SHORT_PASS for fallback
-      return { correct, score, hits, misses };
+    const fallback = runMatchers(['keyword-group'], q, userAnswer).trace[0];
+    if (fallback) {
+      trace.push(fallback);
+      const score = Math.min(SHORT_KEYWORD_CAP, fallback.score);
+      const correct = score >= passThresholds.short;
+      return { correct, score, hits: fallback.hits, misses: fallback.misses, matchedBy: correct ? fallback.stage : null, trace };
     }
-
-    return { correct: false, score: 0, hits: [], misses: [q.answer] };
   }
 
-  // ESSAY/KEYWORD: N-of-M with regex and fuzzy; success if either pass ratio or required count
-  if (q.type === 'ESSAY' || q.type === 'KEYWORD') {
-    if (!q.keywords?.length) {
-      return { correct: false, score: 0, hits: [], misses: [], notes: 'No keywords defined' };
-    }
-
-    const groups = buildKeywordGroups(q.keywords);
-    const required = parseKeywordThreshold(q, groups.length);
-    const normalizedAnswer = normalize(userAnswer);
-    const hits = [];
-    const misses = [];
-    let matched = 0;
-
-    for (let i = 0; i < groups.length; i++) {
-      const group = groups[i];
-      let groupMatched = false;
-      for (const variant of group) {
-        if (variant.type === 'regex') {
-          try {
-            if (new RegExp(variant.pattern, 'i').test(userAnswer)) { groupMatched = true; break; }
-          } catch (_) {}
-        } else if (normalizedAnswer.includes(normalize(variant.value))) {
-          groupMatched = true; break;
-        }
-      }
-      if (groupMatched) { matched++; hits.push(q.keywords[i]); }
-      else { misses.push(q.keywords[i]); }
-    }
-
-    const score = groups.length > 0 ? matched / groups.length : 0;
-    const passByRatio = score >= KEYWORD_PASS;
-    const passByCount = matched >= required;
-    const correct = passByRatio || passByCount;
-    return { correct, score, hits, misses };
+  const partial = trace.find(t => Array.isArray(t.hits));
+  if (partial) {
+    return { correct: false, score: partial.score, hits: partial.hits, misses: partial.misses, matchedBy: null, trace };
   }
+  return { correct: false, score: 0, hits: [], misses: [q.answer], matchedBy: null, trace };
+}
 
-  return { correct: false, score: 0, hits: [], misses: [], notes: 'Unknown question type' };
+// Kept for older callers; grades exactly like gradeQuestion
+export function gradeWithFeedback(q, userAnswer) {
+  return gradeQuestion(q, userAnswer);
 }
 
-// Async version that uses local AI modules for advanced grading
+export function checkAnswer(q, userAnswer) {
+  const result = gradeWithFeedback(q, userAnswer);
+  return result.score >= 0.5;
+}
+
+// Async version that uses local AI modules for advanced grading.
+// `grader` reports who produced the result: 'local', 'cloud', or 'fallback' (cloud failed).
 export async function gradeQuestionAsync(q, userAnswer) {
   // Use AI for true essays and essay-like keyword questions when cloud is enabled
   if (q?.type === 'ESSAY' || q?.type === 'KEYWORD') {
@@ -358,6 +439,7 @@ export async function gradeQuestionAsync(q, userAnswer) {
     const aiMode = localStorage.getItem('aiMode') || 'local';
     const hasAiConfig = window.__AI_CONF && window.__AI_CONF.apiKey;
     
+    let cloudFailed = false;
     if ((aiMode === 'auto' || aiMode === 'cloud') && hasAiConfig) {
       try {
         // Use AI grading for ESSAY when AI is connected
@@ -379,10 +461,12 @@ export async function gradeQuestionAsync(q, userAnswer) {
           hits: [], 
           misses: [], 
           notes: result.rationale || 'AI grading completed',
-          aiGraded: true
+          aiGraded: true,
+          grader: 'cloud'
         };
       } catch (e) {
         console.warn('AI grading failed, falling back to keyword scoring:', e);
+        cloudFailed = true;
         // Fallback to keyword grading when AI fails
       }
     }
@@ -393,32 +477,208 @@ export async function gradeQuestionAsync(q, userAnswer) {
       return {
         ...keywordResult,
         notes: keywordResult.notes || 'Keyword-based grading (AI not connected)',
-        aiGraded: false
+        aiGraded: false,
+        grader: cloudFailed ? 'fallback' : 'local'
       };
     }
     
-    return { correct: false, score: 0, hits: [], misses: [], notes: 'No keywords defined for essay grading', aiGraded: false };
+    return { correct: false, score: 0, hits: [], misses: [], notes: 'No keywords defined for essay grading', aiGraded: false, grader: cloudFailed ? 'fallback' : 'local' };
   }
   // Default: reuse sync grading and wrap in Promise
-  return Promise.resolve(gradeQuestion(q, userAnswer));
+  return Promise.resolve({ ...gradeQuestion(q, userAnswer), grader: 'local' });
+}
+
+// 0..3 (Again/Hard/Good/Easy) for a grading result
+export function scoreToGrade(res) {
+  if (!res?.correct) return 0;              // Again
+  if (res.score >= 0.9) return 3;           // Easy
+  if (res.score >= 0.7) return 2;           // Good
+  return 1;                                 // Hard
+}
+
+const STAGE_LABELS = {
+  exact: '완전 일치',
+  normalized: '대소문자·공백 무시 일치',
+  folded: '띄어쓰기·조사·외래어 표기 무시 일치',
+  synonym: '동의어 일치',
+  numeric: '수치 일치',
+  regex: '정규식 일치',
+  output: '출력 일치'
+};
+
+// Why a result earned its grade: the AI rationale, the fuzzy similarity, the matched
+// keywords/blanks/pairs, or the stage that matched
+function gradeReason(res) {
+  const pct = (v) => `${Math.round((Number(v) || 0) * 100)}%`;
+  if (res.aiGraded) return `AI 채점 ${pct(res.score)}${res.notes ? ` — ${res.notes}` : ''}`;
+  if (res.matchedBy === 'fuzzy') {
+    const stage = (res.trace || []).find(t => t.stage === 'fuzzy' && t.matched);
+    return `오타 허용 일치 (유사도 ${pct(stage?.similarity)})`;
+  }
+  if (res.correct && STAGE_LABELS[res.matchedBy]) return STAGE_LABELS[res.matchedBy];
+  const hits = res.hits || [];
+  const total = hits.length + (res.misses || []).length;
+  if (hits.length > 0 && total > 0) return `${hits.length}/${total} 일치 (${pct(res.score)}): ${hits.join(', ')}`;
+  return res.correct ? '정답' : '일치하는 답 없음';
+}
+
+// The grade the result screen highlights (and auto-grade applies), with its reason
+export function suggestGrade(res) {
+  return { grade: scoreToGrade(res), reason: gradeReason(res) };
+}
+
+// Which pass threshold a question type's partial scores are judged against
+const THRESHOLD_OF_TYPE = { SHORT: 'short', KEYWORD: 'keyword', ESSAY: 'keyword' };
+export const CALIBRATION_MIN_SAMPLES = 10;
+
+// Refits the pass thresholds from review-log entries that carry a suggested grade. Only partial,
+// locally graded scores are informative; the learner's grade (anything but Again) says whether the
+// answer should have passed, and the threshold with the fewest disagreements wins (ties stay
+// closest to the current value).
+export function calibratePassThresholds(log, current = getPassThresholds()) {
+  const result = {};
+  for (const key of ['short', 'keyword']) {
+    const samples = (log || []).filter(e => THRESHOLD_OF_TYPE[e.type] === key &&
+      Number.isInteger(e.suggestedGrade) && typeof e.score === 'number' && e.score > 0 && e.score < 1 &&
+      e.grader !== 'cloud');
+    const overrides = samples.filter(e => e.grade !== e.suggestedGrade).length;
+    const errors = (t) => samples.filter(e => (e.score >= t) !== (e.grade > 0)).length;
+    if (samples.length < CALIBRATION_MIN_SAMPLES) {
+      result[key] = { ok: false, samples: samples.length, overrides, threshold: current[key] };
+      continue;
+    }
+    let best = current[key];
+    for (let t = 0.3; t <= 0.951; t += 0.05) {
+      const candidate = Math.round(t * 100) / 100;
+      const diff = errors(candidate) - errors(best);
+      if (diff < 0 || (diff === 0 && Math.abs(candidate - current[key]) < Math.abs(best - current[key]))) best = candidate;
+    }
+    result[key] = { ok: true, samples: samples.length, overrides, threshold: best, before: errors(current[key]), after: errors(best) };
+  }
+  return result;
 }
 
 // Compatibility wrapper for legacy modules expecting `grade()` returning { grade, feedback }
 // Maps detailed scoring into a 0..3 grade and human-readable feedback.
 export function grade(q, userAnswer) {
   const res = gradeQuestion(q, userAnswer);
-  let mapped = 0;
-  if (res.correct) {
-    if (res.score >= 0.9) mapped = 3;       // Easy
-    else if (res.score >= 0.7) mapped = 2;  // Good
-    else mapped = 1;                        // Hard
-  } else {
-    mapped = 0;                             // Again
-  }
+  const mapped = scoreToGrade(res);
   const hitsTxt = res.hits && res.hits.length ? `Matched: ${res.hits.join(', ')}` : '';
   const missTxt = res.misses && res.misses.length ? `Missing: ${res.misses.join(', ')}` : '';
   const notesTxt = res.notes ? `Notes: ${res.notes}` : '';
-  const parts = [hitsTxt, missTxt, notesTxt].filter(Boolean);
+  const stageTxt = res.matchedBy ? `Matched by: ${res.matchedBy}` : '';
+  const parts = [stageTxt, hitsTxt, missTxt, notesTxt].filter(Boolean);
   const feedback = parts.join(' | ');
-  return { grade: mapped, feedback, correct: res.correct, score: res.score };
+  return { grade: mapped, feedback, correct: res.correct, score: res.score, matchedBy: res.matchedBy, trace: res.trace };
+}
+
+// ========== Tests (pure functions) ==========
+export function runMatcherPipelineTests() {
+  const short = { type: 'SHORT', answer: 'Binary Search', synonyms: ['이진 탐색'], keywords: ['binary', 'search', 'sorted', 'half'] };
+  console.assert(gradeQuestion(short, 'Binary Search').matchedBy === 'exact', 'exact stage');
+  console.assert(gradeQuestion(short, '  binary   search ').matchedBy === 'normalized', 'normalized stage');
+  console.assert(gradeQuestion(short, '이진 탐색').matchedBy === 'synonym', 'synonym stage');
+  console.assert(gradeQuestion(short, 'binary serch').matchedBy === 'fuzzy', 'fuzzy stage');
+  console.assert(gradeQuestion({ ...short, regexes: ['^bin.*ch$'] }, 'binsearch').matchedBy === 'regex', 'regex stage');
+  
+  // Korean folding, jamo distance and strictness
+  const tx = { type: 'SHORT', answer: 'Transaction' };
+  console.assert(gradeQuestion(tx, '트랜잭션은').matchedBy === 'folded', 'loanword with particle folds to the English answer');
+  console.assert(gradeQuestion({ type: 'SHORT', answer: '교착상태' }, '교착 상태가').matchedBy === 'folded', 'spacing and particles are ignored');
+  console.assert(gradeQuestion({ type: 'SHORT', answer: '정규화' }, '정규하').matchedBy === 'fuzzy', 'one-jamo typo is fuzzy');
+  console.assert(Math.abs(textSimilarity('정규화', '정규하') - 6 / 7) < 1e-9, 'similarity counts jamo, not syllables');
+  console.assert(!gradeQuestion({ type: 'SHORT', answer: '정규화' }, '정규형').correct, 'a different syllable is not a typo');
+  console.assert(!gradeQuestion({ ...tx, strictness: 'strict' }, '트랜잭션').correct && !gradeQuestion({ ...short, strictness: 'strict' }, 'binary serch').correct, 'strict skips folding and fuzzy');
+  console.assert(gradeQuestion({ ...short, strictness: 'lenient' }, 'binery serch').matchedBy === 'fuzzy' && !gradeQuestion(short, 'binery serch').correct, 'lenient lowers the fuzzy threshold');
+  console.assert(gradeQuestion({ type: 'KEYWORD', keywords: ['transaction', '원자성'] }, '트랜잭션은 원자성을 보장한다').correct, 'keywords match folded loanwords');
+  
+  // SHORT keyword fallback is capped the same way everywhere
+  const fallback = gradeQuestion(short, 'cut the sorted range in half (binary), then search');
+  console.assert(fallback.score === SHORT_KEYWORD_CAP && fallback.correct && fallback.matchedBy === 'keyword-group', `SHORT keyword fallback: ${fallback.score}`);
+  console.assert(gradeWithFeedback(short, 'cut the sorted range in half (binary), then search').score === fallback.score, 'gradeWithFeedback matches gradeQuestion');
+  
+  const numeric = { type: 'SHORT', answer: '1000' };
+  console.assert(gradeQuestion(numeric, '1,000').matchedBy === 'numeric', 'numeric stage');
+  console.assert(!gradeQuestion(numeric, '100').correct, 'numbers must not match fuzzily');
+  console.assert(!gradeQuestion({ type: 'SHORT', answer: '1.5' }, '15').correct, 'folding must not merge numbers');
+  const ipv6 = { type: 'NUMERIC', answer: '128 bit', tolerance: '' };
+  console.assert(gradeQuestion(ipv6, '16 bytes').matchedBy === 'numeric', 'NUMERIC converts units');
+  console.assert(!gradeQuestion(ipv6, '64').correct && !gradeQuestion(ipv6, 'many').correct, 'NUMERIC rejects wrong or non-numeric answers');
+  console.assert(gradeQuestion({ type: 'NUMERIC', answer: '10-20 ms', tolerance: '10%' }, '21ms').correct, 'NUMERIC range with tolerance');
+  
+  const mcq = { type: 'MCQ', options: ['TCP', 'UDP', 'ICMP', 'ARP'], correctOptions: [0, 1], multiSelect: true, answer: 'TCP, UDP' };
+  console.assert(gradeQuestion(mcq, '1,0').matchedBy === 'choice', 'choice stage');
+  const partialMcq = gradeQuestion(mcq, '0');
+  console.assert(!partialMcq.correct && partialMcq.score === 0.5 && partialMcq.misses[0] === 'UDP', `choice partial credit: ${partialMcq.score}`);
+  
+  const cloze = { type: 'CLOZE', prompt: '{{c1::TCP|전송 제어 프로토콜}}는 {{c1::ACK}}로 응답하고 {{c2::UDP}}는 하지 않는다', clozeIndex: 1 };
+  console.assert(gradeQuestion(cloze, '전송 제어 프로토콜\nack').matchedBy === 'cloze', 'cloze blanks use synonyms and normalization');
+  const halfCloze = gradeQuestion(cloze, 'tcp\nSYN');
+  console.assert(!halfCloze.correct && halfCloze.score === 0.5 && halfCloze.hits[0] === 'TCP', `cloze blanks are graded one by one: ${halfCloze.score}`);
+  
+  const order = { type: 'ORDER', items: ['SYN', 'SYN-ACK', 'ACK'] };
+  console.assert(gradeQuestion(order, '0,1,2').matchedBy === 'order', 'order stage');
+  const swapped = gradeQuestion(order, '1,0,2');
+  console.assert(!swapped.correct && Math.abs(swapped.score - 2 / 3) < 1e-9 && swapped.misses.join() === 'SYN-ACK,SYN', `order partial credit: ${swapped.score}`);
+  
+  const code = { type: 'CODE', language: 'java', code: 'System.out.println(List.of(1, 2));', answer: '[1, 2]\ndone' };
+  console.assert(gradeQuestion(code, '  [1,2]\r\n done ').matchedBy === 'output', 'output ignores whitespace');
+  console.assert(!gradeQuestion(code, '[1, 2]\nDone').correct && !gradeQuestion(code, '[1, 2]').correct, 'output keeps case and content');
+  
+  const match = { type: 'MATCH', pairs: [{ term: '200', definition: 'OK' }, { term: '301', definition: 'Moved' }, { term: '404', definition: 'Not Found' }, { term: '500', definition: 'Error' }] };
+  console.assert(grade(match, '0,1,2,3').grade === 3 && grade(match, '0,1,3,2').grade === 1, 'pairs map through grade(): all Easy, half Hard');
+  const oneOfFour = gradeQuestion(match, '0,2,3,1');
+  console.assert(!oneOfFour.correct && oneOfFour.score === 0.25 && grade(match, '0,2,3,1').grade === 0, `pairs below MATCH_PASS are Again: ${oneOfFour.score}`);
+  
+  const keyword = { type: 'KEYWORD', keywords: ['TCP|전송', '/hand\\s*shake/', 'ack'] };
+  const kw = gradeQuestion(keyword, 'TCP uses a 3-way handshake');
+  console.assert(kw.correct && kw.matchedBy === 'keyword-group' && kw.misses[0] === 'ack', `keyword-group stage: ${kw.misses}`);
+  console.assert(matchKeywordAnswer(keyword, 'TCP uses a 3-way handshake') === kw.correct, 'matchKeywordAnswer agrees with gradeQuestion');
+  console.assert(grade(keyword, 'TCP uses a 3-way handshake').matchedBy === 'keyword-group', 'grade() reports the stage');
+  
+  // Deck and global synonyms learned from accepted answers
+  const osi = { type: 'SHORT', answer: 'Transport Layer', deck: 1 };
+  const savedSynonyms = learnedSynonyms;
+  setLearnedSynonyms([
+    { scope: 'deck', deck: 1, answer: 'transport  layer', synonym: '4계층' },
+    { scope: 'global', deck: 2, answer: 'Transport Layer', synonym: 'L4' },
+    { scope: 'question', deck: 1, answer: 'Transport Layer', synonym: '전송층' }
+  ]);
+  const learnedDeck = gradeQuestion(osi, '4계층').matchedBy;
+  const learnedGlobal = gradeQuestion({ ...osi, deck: 3 }, 'l4').matchedBy;
+  const otherDeck = gradeQuestion({ ...osi, deck: 3 }, '4계층').correct;
+  const questionScoped = gradeQuestion(osi, '전송층').correct;
+  learnedSynonyms = savedSynonyms;
+  console.assert(learnedDeck === 'synonym' && learnedGlobal === 'synonym', 'learned deck and global synonyms');
+  console.assert(!otherDeck && !questionScoped, 'deck synonyms stay in their deck; question synonyms live on the question');
+}
+
+export function runGradeSuggestionTests() {
+  const short = { type: 'SHORT', answer: 'Binary Search' };
+  const exact = suggestGrade(gradeQuestion(short, 'Binary Search'));
+  console.assert(exact.grade === 3 && exact.reason === '완전 일치', `exact suggestion: ${exact.reason}`);
+  const typo = suggestGrade(gradeQuestion(short, 'binary serch'));
+  console.assert(typo.grade === 3 && typo.reason === '오타 허용 일치 (유사도 92%)', `fuzzy reason: ${typo.reason}`);
+  const keyword = { type: 'KEYWORD', keywords: ['TCP', 'handshake', 'ack'] };
+  const kw = suggestGrade(gradeQuestion(keyword, 'TCP handshake'));
+  console.assert(kw.grade === 1 && kw.reason === '2/3 일치 (67%): TCP, handshake', `keyword reason: ${kw.reason}`);
+  const ai = suggestGrade({ correct: true, score: 0.8, hits: [], misses: [], aiGraded: true, notes: '핵심 개념 포함' });
+  console.assert(ai.grade === 2 && ai.reason === 'AI 채점 80% — 핵심 개념 포함', `AI reason: ${ai.reason}`);
+  console.assert(suggestGrade(gradeQuestion(short, 'Hash Table')).grade === 0, 'wrong answers suggest Again');
+  
+  // Learners kept passing 1/2-keyword answers and failing 1/3 ones: the keyword threshold drops to 0.5
+  const entry = (score, grade) => ({ type: 'KEYWORD', score, grade, suggestedGrade: score >= KEYWORD_PASS ? 1 : 0, grader: 'local' });
+  const log = [...Array(6).fill(entry(0.5, 2)), ...Array(6).fill(entry(1 / 3, 0)), entry(0.75, 2), { ...entry(0.5, 2), grader: 'cloud' }];
+  const calibrated = calibratePassThresholds(log, { short: SHORT_PASS, keyword: KEYWORD_PASS });
+  console.assert(calibrated.keyword.ok && calibrated.keyword.samples === 13 && calibrated.keyword.overrides === 7, `calibration samples: ${JSON.stringify(calibrated.keyword)}`);
+  console.assert(calibrated.keyword.after === 0 && calibrated.keyword.threshold > 1 / 3 && calibrated.keyword.threshold <= 0.5, `calibrated keyword threshold: ${calibrated.keyword.threshold}`);
+  console.assert(!calibrated.short.ok && calibrated.short.threshold === SHORT_PASS, 'too few samples keeps the threshold');
+  
+  const saved = getPassThresholds();
+  setPassThresholds({ keyword: calibrated.keyword.threshold });
+  const half = gradeQuestion({ type: 'KEYWORD', keywords: ['a', 'b', 'c', 'd'], keywordThreshold: 4 }, 'a b');
+  setPassThresholds({});
+  const reset = getPassThresholds();
+  setPassThresholds(saved);
+  console.assert(half.correct && reset.keyword === KEYWORD_PASS && reset.short === SHORT_PASS, 'calibrated thresholds apply and reset');
 }
@@ -0,0 +1,120 @@
+// ========== Server Mode ==========
+// The optional Express server (server/) keeps a shared question bank. Server mode is on once
+// the settings hold its URL and a session token from logging in; the question manager then
+// pages, filters and searches through GET /api/questions instead of scanning IndexedDB.
+// Pages are cached by URL with their ETag, so an unchanged bank costs a 304.
+
+const SERVER_KEY = 'serverConnection';
+export const SERVER_PAGE_SIZE = 50;
+
+const pageCache = new Map(); // request URL → { etag, body }
+
+export function getServerConnection() {
+  try {
+    const s = JSON.parse(localStorage.getItem(SERVER_KEY) || '{}');
+    return { url: s.url || '', username: s.username || '', token: s.token || '' };
+  } catch (_) {
+    return { url: '', username: '', token: '' };
+  }
+}
+
+function setServerConnection(next) {
+  localStorage.setItem(SERVER_KEY, JSON.stringify({ ...getServerConnection(), ...next }));
+  pageCache.clear();
+}
+
+export function isServerMode() {
+  const { url, token } = getServerConnection();
+  return Boolean(url && token);
+}
+
+function apiUrl(base, path) {
+  return `${String(base).replace(/\/+$/, '')}/api${path}`;
+}
+
+async function errorMessage(res) {
+  const body = await res.json().catch(() => null);
+  return body?.error || `HTTP ${res.status}`;
+}
+
+export async function loginToServer(url, username, password) {
+  const base = String(url || '').trim();
+  if (!/^https?:\/\//.test(base)) throw new Error('서버 주소는 http:// 또는 https://로 시작해야 합니다');
+  const res = await fetch(apiUrl(base, '/auth/login'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  if (!res.ok) throw new Error(res.status === 401 ? '아이디 또는 비밀번호가 올바르지 않습니다' : await errorMessage(res));
+  const { token, user } = await res.json();
+  setServerConnection({ url: base, username: user.username, token });
+  return user;
+}
+
+// Ends the session on the server when it is reachable; the local token is dropped either way
+export async function logoutFromServer() {
+  const { url, token } = getServerConnection();
+  if (url && token) {
+    await fetch(apiUrl(url, '/auth/logout'), { method: 'POST', headers: { Authorization: `Bearer ${token}` } }).catch(() => {});
+  }
+  setServerConnection({ token: '' });
+}
+
+// filters: { deck, type, tag, search, sort }
+export function buildQuestionQuery(filters = {}, cursor = null, limit = SERVER_PAGE_SIZE) {
+  const params = new URLSearchParams();
+  if (filters.deck) params.set('deck', filters.deck);
+  if (filters.type) params.set('type', filters.type);
+  if (filters.tag) params.set('tag', filters.tag);
+  if (filters.search) params.set('q', filters.search);
+  if (filters.sort) params.set('sort', filters.sort);
+  params.set('limit', String(limit));
+  if (cursor) params.set('cursor', cursor);
+  return `/questions?${params}`;
+}
+
+// → { items, total, cursor, more }
+export async function fetchQuestionPage(filters, cursor = null) {
+  const { url, token } = getServerConnection();
+  const requestUrl = apiUrl(url, buildQuestionQuery(filters, cursor));
+  const cached = pageCache.get(requestUrl);
+  const headers = { Authorization: `Bearer ${token}` };
+  if (cached) headers['If-None-Match'] = cached.etag;
+  const res = await fetch(requestUrl, { headers, cache: 'no-store' });
+  if (res.status === 304 && cached) return cached.body;
+  if (res.status === 401) {
+    setServerConnection({ token: '' });
+    throw new Error('서버 세션이 만료되었습니다. 설정에서 다시 로그인하세요');
+  }
+  if (!res.ok) throw new Error(await errorMessage(res));
+  const body = await res.json();
+  const etag = res.headers.get('ETag');
+  if (etag) pageCache.set(requestUrl, { etag, body });
+  return body;
+}
+
+// The server scores with its own copy of scoring.js and escalates borderline answers with its
+// provider keys. → gradeQuestionAsync's result shape
+export async function gradeOnServer(question, answer, { escalate = true } = {}) {
+  const { url, token } = getServerConnection();
+  const res = await fetch(apiUrl(url, '/grade'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ question, answer, escalate })
+  });
+  if (res.status === 401) {
+    setServerConnection({ token: '' });
+    throw new Error('서버 세션이 만료되었습니다. 설정에서 다시 로그인하세요');
+  }
+  if (!res.ok) throw new Error(await errorMessage(res));
+  return await res.json();
+}
+
+// ========== Tests (pure functions) ==========
+export function runServerApiTests() {
+  console.assert(apiUrl('http://host:5174/', '/questions') === 'http://host:5174/api/questions', 'API URL joins without double slashes');
+  console.assert(buildQuestionQuery({}) === `/questions?limit=${SERVER_PAGE_SIZE}`, 'empty filters only send the page size');
+  const query = new URLSearchParams(buildQuestionQuery({ deck: 3, type: 'SHORT', tag: 'os', search: '교착 상태' }, 'abc', 10).split('?')[1]);
+  console.assert(query.get('deck') === '3' && query.get('type') === 'SHORT' && query.get('tag') === 'os', 'filters map to query parameters');
+  console.assert(query.get('q') === '교착 상태' && query.get('cursor') === 'abc' && query.get('limit') === '10', 'search, cursor and limit');
+}
@@ -2,7 +2,7 @@
 import { getQuestions, getReview, updateReview, setProfile, getProfile } from './database.js';
 import { updateDailyStreak } from './statistics.js';
 import { grade } from './scoring.js';
-import { nextReview } from './spaced-repetition.js';
+import { nextReview, isReviewDue } from './spaced-repetition.js';
 
 let session = null;
 
@@ -34,7 +34,7 @@ export async function startSession() {
     : reviewRaw || {};
 
   const due = Object.entries(reviewById)
-    .filter(([id, r]) => r.due <= today && questions.some(q => String(q.id) === String(id)))
+    .filter(([id, r]) => isReviewDue(r) && questions.some(q => String(q.id) === String(id)))
     .map(([id, r]) => ({ questionId: Number(id), ...r }));
 
   if (due.length === 0) {
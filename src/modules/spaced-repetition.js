@@ -2,37 +2,154 @@
 import { todayStr } from './statistics.js';
 import { checkAnswer } from './scoring.js';
 
+export const DEFAULT_SCHEDULER = 'sm2';
+
+// ========== Deck Scheduling Options ==========
+// Stored per deck as `deck.options`; steps are in minutes, intervals in days
+export const DEFAULT_DECK_OPTIONS = {
+  learningSteps: [1, 10],
+  relearningSteps: [10],
+  graduatingInterval: 1,
+  easyInterval: 4,
+  easyBonus: 1.3,
+  maxInterval: 36500,
+  newCardsPerDay: 20,
+  targetRetention: 0.9, // FSRS only
+  fuzz: true, // spread review intervals over a window and balance the daily load
+  burySiblings: 'none' // 'none' | 'new' | 'review': postpone `group:*` siblings of an answered card to tomorrow
+};
+
+// Defaults < global scheduler params (fitted for all decks) < the deck's own options
+export function resolveDeckOptions(deck, globalParams = {}) {
+  return { ...DEFAULT_DECK_OPTIONS, ...(globalParams || {}), ...(deck?.options || {}) };
+}
+
+// "1m 10m 1h 2d" or "1, 10" (bare numbers are minutes) -> [1, 10, 60, 2880]
+export function parseSteps(text) {
+  const units = { m: 1, h: 60, d: 1440 };
+  return String(text || '')
+    .split(/[\s,]+/)
+    .map(tok => tok.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)([mhd]?)$/))
+    .filter(Boolean)
+    .map(([, n, unit]) => Math.round(parseFloat(n) * units[unit || 'm']))
+    .filter(n => n > 0);
+}
+
+export function formatSteps(steps) {
+  return (steps || []).map(min => {
+    if (min % 1440 === 0) return (min / 1440) + 'd';
+    if (min % 60 === 0) return (min / 60) + 'h';
+    return min + 'm';
+  }).join(' ');
+}
+
+// learning -> review on graduation, review -> relearning on a lapse
+function getPhase(state) {
+  return state.phase || inferPhase(state);
+}
+
+// The phase of a state stored before phases existed: never answered → learning,
+// a running interval → review, answered but back at interval 0 → relearning
+export function inferPhase(state) {
+  if (!state.count) return 'learning';
+  return state.interval > 0 ? 'review' : 'relearning';
+}
+
+function phaseSteps(state, options) {
+  return state.phase === 'relearning' ? options.relearningSteps : options.learningSteps;
+}
+
+// Walk the (re)learning steps; returns true once the card graduates to review
+function advanceSteps(state, grade, options) {
+  if (grade === 3) return true; // Easy skips the remaining steps
+  if (grade === 2) state.step = (state.step || 0) + 1;
+  // Hard repeats the current step
+  return state.step >= phaseSteps(state, options).length;
+}
+
+// Steps shorter than a day keep the card due today
+function stepIntervalDays(state, options) {
+  const minutes = phaseSteps(state, options)[state.step] || 0;
+  return Math.floor(minutes / 1440);
+}
+
+// (Re)learning cards are due once their step elapses, review cards after `interval` days
+function computeDue(state, options, now) {
+  const minutes = state.phase === 'review'
+    ? state.interval * 1440
+    : (phaseSteps(state, options)[state.step] || 0);
+  return new Date(now.getTime() + minutes * 60000).toISOString();
+}
+
+// Review cards stay due for the whole calendar day; (re)learning cards only once their timer is up.
+// Also accepts legacy date-only `due` strings.
+export function isReviewDue(state, now = new Date()) {
+  if (!state?.due) return false;
+  if (state.phase === 'learning' || state.phase === 'relearning') {
+    return new Date(state.due) <= now;
+  }
+  return String(state.due).slice(0, 10) <= now.toISOString().slice(0, 10);
+}
+
+function lapse(state) {
+  if (state.phase === 'review') state.phase = 'relearning';
+  state.step = 0;
+  state.interval = 0; // back into the (re)learning steps today
+}
+
 // ========== SM-2 Algorithm & Scheduling ==========
-export function nextSchedule(correct, state, grade = null) {
+// Ease deltas per grade and review interval multipliers; `options.sm2Params` overrides
+// them (e.g. with values fitted by the scheduler optimizer)
+export const DEFAULT_SM2_PARAMS = {
+  againEaseDelta: -0.8,
+  hardEaseDelta: -0.15,
+  goodEaseDelta: -0.02,
+  easyEaseDelta: 0.15,
+  hardMultiplier: 1.2,
+  intervalModifier: 1.0 // scales the Good/Easy ease factor
+};
+
+export function resolveSm2Params(options) {
+  return { ...DEFAULT_SM2_PARAMS, ...(options?.sm2Params || {}) };
+}
+
+export function nextSchedule(correct, state, grade = null, options = DEFAULT_DECK_OPTIONS, now = new Date()) {
   if (!state) {
     state = {ease: 2.5, interval: 0, due: todayStr(), count: 0, correct: 0};
   }
+  const p = resolveSm2Params(options);
   
+  state.phase = getPhase(state);
   state.count = (state.count || 0) + 1;
   
   if (grade !== null && grade !== undefined) {
     // SM-2 with grade (0=again, 1=hard, 2=good, 3=easy)
     if (grade === 0) {
-      state.interval = 0; // immediate retry today
-      state.ease = Math.max(1.3, state.ease - 0.8);
+      lapse(state);
+      state.ease = Math.max(1.3, state.ease + p.againEaseDelta);
     } else {
-      if (state.interval === 0) {
-        state.interval = grade === 1 ? 1 : grade === 2 ? 1 : 4;
+      if (state.phase !== 'review') {
+        const wasRelearning = state.phase === 'relearning';
+        if (advanceSteps(state, grade, options)) {
+          state.interval = wasRelearning ? 1 : grade === 3 ? options.easyInterval : options.graduatingInterval;
+          state.phase = 'review';
+          state.step = 0;
+        } else {
+          state.interval = stepIntervalDays(state, options);
+        }
       } else if (state.interval === 1) {
         state.interval = grade === 1 ? 3 : grade === 2 ? 6 : 6;
       } else {
-        const factor = grade === 1 ? 1.2 : grade === 2 ? state.ease : state.ease * 1.3;
-        state.interval = Math.round(state.interval * factor);
+        const factor = grade === 1 ? p.hardMultiplier
+          : grade === 2 ? state.ease * p.intervalModifier
+          : state.ease * p.intervalModifier * options.easyBonus;
+        state.interval = Math.max(1, Math.round(state.interval * factor));
       }
+      state.interval = Math.min(options.maxInterval, state.interval);
       
       // Ease adjustments
-      if (grade === 1) {
-        state.ease = Math.max(1.3, state.ease - 0.15);
-      } else if (grade === 2) {
-        state.ease = Math.max(1.3, state.ease - 0.02);
-      } else if (grade === 3) {
-        state.ease = Math.min(2.5, state.ease + 0.15);
-      }
+      const delta = grade === 1 ? p.hardEaseDelta : grade === 2 ? p.goodEaseDelta : p.easyEaseDelta;
+      state.ease = Math.min(2.5, Math.max(1.3, state.ease + delta));
     }
   } else {
     // Legacy correct/incorrect logic
@@ -49,40 +166,359 @@ export function nextSchedule(correct, state, grade = null) {
       }
       state.ease = Math.min(2.5, state.ease + 0.13);
     }
+    state.interval = Math.min(options.maxInterval, state.interval);
+    state.phase = 'review';
   }
   
-  const due = new Date();
-  due.setDate(due.getDate() + state.interval);
-  state.due = due.toISOString().slice(0, 10);
+  state.due = computeDue(state, options, now);
+  state.lastReview = now.toISOString();
+  state.scheduler = 'sm2';
   
   return state;
 }
 
+// ========== FSRS Algorithm ==========
+// FSRS-4.5 default weights (open-spaced-repetition). w[0..3] are the initial
+// stabilities for Again/Hard/Good/Easy, the rest shape difficulty and stability updates.
+export const FSRS_DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81; // chosen so that R(t = S) = 0.9
+const FSRS_REQUEST_RETENTION = 0.9;
+const FSRS_MAX_INTERVAL = 36500;
+
+function addDays(dateStr, days) {
+  const d = new Date(dateStr);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(fromStr, toStr) {
+  return Math.max(0, Math.round((new Date(toStr) - new Date(fromStr)) / 86400000));
+}
+
+function clampDifficulty(d) {
+  return Math.min(10, Math.max(1, d));
+}
+
+// Probability of recall after `elapsedDays` for a card with the given stability
+export function fsrsRetrievability(elapsedDays, stability) {
+  if (!stability || stability <= 0) return 0;
+  return Math.pow(1 + FSRS_FACTOR * Math.max(0, elapsedDays) / stability, FSRS_DECAY);
+}
+
+// Retrievability of a stored review row as of `now`
+export function currentRetrievability(state, now = new Date()) {
+  if (!state || state.stability == null) return null;
+  const last = state.lastReview || (state.due ? addDays(state.due, -(state.interval || 0)) : now.toISOString());
+  return fsrsRetrievability(daysBetween(last, now.toISOString()), state.stability);
+}
+
+function fsrsNextInterval(stability, retention = FSRS_REQUEST_RETENTION) {
+  const days = stability / FSRS_FACTOR * (Math.pow(retention, 1 / FSRS_DECAY) - 1);
+  return Math.min(FSRS_MAX_INTERVAL, Math.max(1, Math.round(days)));
+}
+
+function fsrsInitDifficulty(w, rating) {
+  return clampDifficulty(w[4] - (rating - 3) * w[5]);
+}
+
+function fsrsNextDifficulty(w, d, rating) {
+  const next = d - w[6] * (rating - 3);
+  // Mean reversion towards the default "Good" difficulty
+  return clampDifficulty(w[7] * fsrsInitDifficulty(w, 3) + (1 - w[7]) * next);
+}
+
+function fsrsRecallStability(w, d, s, r, rating) {
+  const hardPenalty = rating === 2 ? w[15] : 1;
+  const easyBonus = rating === 4 ? w[16] : 1;
+  return s * (1 + Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) *
+    (Math.exp((1 - r) * w[10]) - 1) * hardPenalty * easyBonus);
+}
+
+function fsrsForgetStability(w, d, s, r) {
+  return w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp((1 - r) * w[14]);
+}
+
+// SM-2 ease 2.5 (the default) maps to the FSRS default difficulty; lower ease means a harder card
+export function easeToDifficulty(ease) {
+  return clampDifficulty(FSRS_DEFAULT_WEIGHTS[4] + (2.5 - (ease ?? 2.5)) * 4);
+}
+
+export function difficultyToEase(difficulty) {
+  return Math.min(2.5, Math.max(1.3, 2.5 - (difficulty - FSRS_DEFAULT_WEIGHTS[4]) / 4));
+}
+
+// Derive FSRS memory state from an SM-2 row (used by the Dexie upgrade and when a deck switches algorithm)
+export function migrateToFsrsState(state) {
+  const interval = state?.interval || 0;
+  const reviewed = (state?.count || 0) > 0;
+  return {
+    stability: reviewed ? Math.max(interval, FSRS_DEFAULT_WEIGHTS[0]) : null,
+    fsrsDifficulty: reviewed ? easeToDifficulty(state.ease) : null,
+    lastReview: state?.due ? addDays(state.due, -interval) : (state?.lastReview || null)
+  };
+}
+
+// Same contract as nextSchedule: mutates and returns `state`, grade 0..3 = again/hard/good/easy.
+// `difficulty` on review rows belongs to adaptive difficulty, so FSRS uses `fsrsDifficulty`.
+export function nextScheduleFSRS(correct, state, grade = null, options = DEFAULT_DECK_OPTIONS, now = new Date()) {
+  if (!state) {
+    state = {ease: 2.5, interval: 0, due: todayStr(), count: 0, correct: 0};
+  }
+  if (state.scheduler !== 'fsrs') {
+    Object.assign(state, migrateToFsrsState(state));
+  }
+  if (grade === null || grade === undefined) {
+    grade = correct ? 2 : 0;
+  }
+  
+  const w = options.fsrsWeights || FSRS_DEFAULT_WEIGHTS;
+  const rating = grade + 1; // FSRS ratings are 1..4
+  state.phase = getPhase(state);
+  
+  if (!state.count || state.stability == null) {
+    state.stability = w[rating - 1];
+    state.fsrsDifficulty = fsrsInitDifficulty(w, rating);
+    state.retrievability = 1;
+  } else {
+    const elapsed = state.lastReview ? daysBetween(state.lastReview, now.toISOString()) : (state.interval || 0);
+    const r = fsrsRetrievability(elapsed, state.stability);
+    const d = state.fsrsDifficulty ?? easeToDifficulty(state.ease);
+    state.retrievability = r;
+    state.stability = rating === 1
+      ? fsrsForgetStability(w, d, state.stability, r)
+      : fsrsRecallStability(w, d, state.stability, r, rating);
+    state.fsrsDifficulty = fsrsNextDifficulty(w, d, rating);
+  }
+  
+  state.count = (state.count || 0) + 1;
+  if (grade === 0) {
+    lapse(state);
+  } else if (state.phase !== 'review' && !advanceSteps(state, grade, options)) {
+    state.interval = stepIntervalDays(state, options);
+  } else {
+    state.phase = 'review';
+    state.step = 0;
+    state.interval = Math.min(options.maxInterval, fsrsNextInterval(state.stability, options.targetRetention));
+  }
+  state.ease = difficultyToEase(state.fsrsDifficulty); // keep SM-2 fields usable if the deck switches back
+  state.lastReview = now.toISOString();
+  state.due = computeDue(state, options, now);
+  state.scheduler = 'fsrs';
+  
+  return state;
+}
+
+// ========== Scheduler Registry ==========
+// Every scheduler takes (correct, state, grade, options, now) and returns the updated state
+export const SCHEDULERS = {
+  sm2: { id: 'sm2', label: 'SM-2', next: nextSchedule },
+  fsrs: { id: 'fsrs', label: 'FSRS', next: nextScheduleFSRS }
+};
+
+export function getScheduler(algorithm) {
+  return SCHEDULERS[algorithm] || SCHEDULERS[DEFAULT_SCHEDULER];
+}
+
+// `balance` ({ dueCounts, random }) turns on fuzz and load balancing for real answers;
+// previews and the optimizer leave it off so they stay deterministic, and replays reuse the logged pick
+export function scheduleReview(correct, state, grade = null, algorithm = DEFAULT_SCHEDULER, options = DEFAULT_DECK_OPTIONS, now = new Date(), balance = null) {
+  const next = getScheduler(algorithm).next(correct, state, grade, options, now);
+  if (balance && options.fuzz !== false && next.phase === 'review' && grade !== 0) {
+    next.interval = pickBalancedInterval(next.interval, options, now, balance.dueCounts, balance.random);
+    next.due = computeDue(next, options, now);
+  }
+  return next;
+}
+
+// ========== Fuzz & Load Balancing ==========
+// Anki-style fuzz: none below 2.5 days, then ±15% (2.5-7d), ±10% (7-20d) and ±5% beyond, plus 1 day
+const FUZZ_RANGES = [
+  { start: 2.5, end: 7, factor: 0.15 },
+  { start: 7, end: 20, factor: 0.1 },
+  { start: 20, end: Infinity, factor: 0.05 }
+];
+
+export function fuzzWindow(interval, options = DEFAULT_DECK_OPTIONS) {
+  if (interval < 2.5) return { min: interval, max: interval };
+  const delta = FUZZ_RANGES.reduce((sum, r) => sum + r.factor * Math.max(0, Math.min(interval, r.end) - r.start), 1);
+  const max = Math.min(options.maxInterval, Math.round(interval + delta));
+  const min = Math.min(max, Math.max(2, Math.round(interval - delta)));
+  return { min, max };
+}
+
+// Least-loaded day in the fuzz window according to `dueCounts` ({ 'YYYY-MM-DD': n });
+// ties (and a missing `dueCounts`) are broken at random
+export function pickBalancedInterval(interval, options = DEFAULT_DECK_OPTIONS, now = new Date(), dueCounts = null, random = Math.random) {
+  const { min, max } = fuzzWindow(interval, options);
+  if (min === max) return min;
+  let candidates = [];
+  let lowest = Infinity;
+  for (let days = min; days <= max; days++) {
+    const load = dueCounts ? (dueCounts[addDays(now.toISOString(), days)] || 0) : 0;
+    if (load < lowest) {
+      lowest = load;
+      candidates = [days];
+    } else if (load === lowest) {
+      candidates.push(days);
+    }
+  }
+  return candidates[Math.min(candidates.length - 1, Math.floor(random() * candidates.length))];
+}
+
 // Backward-compatible alias expected by older session module
 export function nextReview(state, grade) {
   return nextSchedule(true, state, grade);
 }
 
-export function simulateNextInterval(state, grade) {
+export function simulateNextInterval(state, grade, algorithm = state?.scheduler || DEFAULT_SCHEDULER, options = DEFAULT_DECK_OPTIONS, now = new Date()) {
   const copy = state ? { ...state } : { ease: 2.5, interval: 0, due: todayStr(), count: 0 };
-  const res = nextSchedule(true, copy, grade);
+  const res = scheduleReview(true, copy, grade, algorithm, options, now);
   return res.interval;
 }
 
-export function simulateNextDueDate(state, grade) {
+export function simulateNextDueDate(state, grade, algorithm = state?.scheduler || DEFAULT_SCHEDULER, options = DEFAULT_DECK_OPTIONS, now = new Date()) {
   const copy = state ? { ...state } : { ease: 2.5, interval: 0, due: todayStr(), count: 0 };
-  const res = nextSchedule(true, copy, grade);
+  const res = scheduleReview(true, copy, grade, algorithm, options, now);
   return res.due;
 }
 
+// Earliest/latest due the answer can get once fuzz is applied
+export function simulateNextDueRange(state, grade, algorithm = state?.scheduler || DEFAULT_SCHEDULER, options = DEFAULT_DECK_OPTIONS, now = new Date()) {
+  const copy = state ? { ...state } : { ease: 2.5, interval: 0, due: todayStr(), count: 0 };
+  const res = scheduleReview(true, copy, grade, algorithm, options, now);
+  if (options.fuzz === false || res.phase !== 'review' || grade === 0) {
+    return { min: res.due, max: res.due };
+  }
+  const { min, max } = fuzzWindow(res.interval, options);
+  return {
+    min: computeDue({ ...res, interval: min }, options, now),
+    max: computeDue({ ...res, interval: max }, options, now)
+  };
+}
+
 export function formatInterval(days) {
   if (days <= 0) return 'today';
   if (days === 1) return '1 day';
   return days + ' days';
 }
 
+// Short label for a due timestamp: "10m"/"1h" within the day, otherwise the date
+export function formatDueLabel(due, now = new Date()) {
+  const minutes = Math.round((new Date(due) - now) / 60000);
+  if (minutes >= 1440) return String(due).slice(0, 10);
+  if (minutes <= 0) return 'now';
+  if (minutes < 60) return minutes + 'm';
+  return Math.round(minutes / 60) + 'h';
+}
+
+// "2024-01-05 ~ 01-08" for a fuzzed range, a single label otherwise
+export function formatDueRange(range, now = new Date()) {
+  const from = formatDueLabel(range.min, now);
+  const to = formatDueLabel(range.max, now);
+  return from === to ? from : `${from} ~ ${to.slice(5)}`;
+}
+
+// ========== Rescheduling Tools ==========
+// Chance the card is still remembered: FSRS stability when known, otherwise SM-2's
+// "90% at the due date" reading of the interval
+export function estimateRetrievability(state, now = new Date()) {
+  if (!state) return 0;
+  const fsrs = currentRetrievability(state, now);
+  if (fsrs !== null) return fsrs;
+  if (!state.interval) return 0;
+  const last = state.lastReview || (state.due ? addDays(state.due, -state.interval) : null);
+  if (!last) return 0.9;
+  const elapsed = Math.max(0, (now - new Date(last)) / 86400000);
+  return Math.pow(0.9, elapsed / state.interval);
+}
+
+// Spread the overdue review backlog evenly over `days` days starting today. Cards most likely
+// forgotten (lowest retrievability, or lowest ease) get the earliest days.
+// Returns [{ questionId, due }]; (re)learning cards are left alone.
+export function planBacklogReschedule(rows, days, priority = 'retrievability', now = new Date()) {
+  const overdue = (rows || []).filter(r => r.phase !== 'learning' && r.phase !== 'relearning' && isReviewDue(r, now));
+  const score = priority === 'ease'
+    ? (r => r.ease ?? 2.5)
+    : (r => estimateRetrievability(r, now));
+  const perDay = Math.ceil(overdue.length / Math.max(1, days));
+  return overdue
+    .map(r => ({ r, score: score(r) }))
+    .sort((a, b) => a.score - b.score)
+    .map(({ r }, i) => ({
+      questionId: r.questionId,
+      due: new Date(now.getTime() + Math.floor(i / perDay) * 86400000).toISOString()
+    }));
+}
+
+// Move a card (new or not) into review, due `days` from now; the interval is kept if it has one
+export function setDueInDays(state, days, now = new Date()) {
+  const next = state ? { ...state } : { ease: 2.5, interval: 0, count: 0, correct: 0 };
+  next.phase = 'review';
+  next.step = 0;
+  if (!next.interval) next.interval = Math.max(1, days);
+  next.due = new Date(now.getTime() + days * 86400000).toISOString();
+  return next;
+}
+
+// ========== Review Log Replay ==========
+// Per-card fields captured before/after every answer in `review_log`
+export const REVIEW_LOG_STATE_FIELDS = [
+  'ease', 'interval', 'due', 'count', 'phase', 'step', 'scheduler',
+  'stability', 'fsrsDifficulty', 'retrievability', 'lastReview',
+  'correct', 'againCount'
+];
+
+export function snapshotReviewState(state) {
+  if (!state) return null;
+  return Object.fromEntries(
+    REVIEW_LOG_STATE_FIELDS.filter(k => state[k] !== undefined).map(k => [k, state[k]])
+  );
+}
+
+// Rebuild per-question review state by re-running the schedulers over the log in time order.
+// `configFor(entry)` may return { scheduler, options } for the entry's deck; otherwise the logged
+// scheduler and default options are used. A card whose first entry has a `before` snapshot had
+// history older than the log, so replay starts from that snapshot.
+export function replayReviewLog(entries, configFor = () => null) {
+  const states = {};
+  [...entries]
+    .sort((a, b) => (new Date(a.ts) - new Date(b.ts)) || ((a.id || 0) - (b.id || 0)))
+    .forEach(entry => {
+      const prev = entry.questionId in states ? states[entry.questionId] : (entry.before || null);
+      const config = configFor(entry) || {};
+      const algorithm = config.scheduler || entry.scheduler || DEFAULT_SCHEDULER;
+      const options = config.options || DEFAULT_DECK_OPTIONS;
+      const now = new Date(entry.ts);
+      const next = scheduleReview(entry.correct, prev ? { ...prev } : null, entry.grade, algorithm, options, now);
+      // Fuzz and load balancing picked the logged interval from the window around this one;
+      // keep that pick so an unchanged history rebuilds the same due dates
+      const logged = entry.after;
+      if (logged?.phase === 'review' && next.phase === 'review' && entry.grade !== 0 && options.fuzz !== false
+          && (logged.scheduler || entry.scheduler) === algorithm) {
+        const { min, max } = fuzzWindow(next.interval, options);
+        if (logged.interval >= min && logged.interval <= max) {
+          next.interval = logged.interval;
+          next.due = computeDue(next, options, now);
+        }
+      }
+      next.correct = (prev?.correct || 0) + (entry.correct ? 1 : 0);
+      next.againCount = (prev?.againCount || 0) + (entry.grade === 0 ? 1 : 0);
+      next.lastResult = entry.correct ? 'ok' : 'ng';
+      states[entry.questionId] = snapshotReviewState(next);
+      states[entry.questionId].lastResult = next.lastResult;
+    });
+  return states;
+}
+
 // ========== Tests (pure functions) ==========
 export function runSM2PreviewTests() {
+  const now = new Date();
+  // Rows stored before phases existed (version 54 migration)
+  console.assert(inferPhase({ interval: 0, count: 0 }) === 'learning' && inferPhase({ interval: 0, count: 4 }) === 'relearning' && inferPhase({ interval: 6, count: 4 }) === 'review', 'phase inferred from legacy rows');
   const cases = [
     { state: { ease: 2.5, interval: 0, due: todayStr(), count: 0 }, grade: 0 },
     { state: { ease: 2.5, interval: 0, due: todayStr(), count: 0 }, grade: 2 },
@@ -90,13 +526,132 @@ export function runSM2PreviewTests() {
     { state: { ease: 1.8, interval: 6, due: todayStr(), count: 10 }, grade: 3 }
   ];
   cases.forEach((c, idx) => {
-    const a = simulateNextInterval(c.state, c.grade);
+    const a = simulateNextInterval(c.state, c.grade, 'sm2', DEFAULT_DECK_OPTIONS, now);
     const copy = { ...c.state };
-    const b = nextSchedule(true, copy, c.grade).interval;
+    const b = nextSchedule(true, copy, c.grade, DEFAULT_DECK_OPTIONS, now).interval;
     console.assert(a === b, `simulateNextInterval mismatch in case ${idx}: ${a} != ${b}`);
-    const d1 = simulateNextDueDate(c.state, c.grade);
+    const d1 = simulateNextDueDate(c.state, c.grade, 'sm2', DEFAULT_DECK_OPTIONS, now);
     const copy2 = { ...c.state };
-    const d2 = nextSchedule(true, copy2, c.grade).due;
+    const d2 = nextSchedule(true, copy2, c.grade, DEFAULT_DECK_OPTIONS, now).due;
     console.assert(d1 === d2, `simulateNextDueDate mismatch in case ${idx}: ${d1} != ${d2}`);
   });
+  
+  // Deck options: learning steps before graduation, max interval cap
+  const opts = { ...DEFAULT_DECK_OPTIONS, learningSteps: [1, 10], graduatingInterval: 2, maxInterval: 30 };
+  const learning = nextSchedule(true, null, 2, opts);
+  console.assert(learning.phase === 'learning' && learning.interval === 0, 'first Good should stay in learning steps');
+  const graduated = nextSchedule(true, learning, 2, opts);
+  console.assert(graduated.phase === 'review' && graduated.interval === 2, `graduating interval mismatch: ${graduated.interval}`);
+  const capped = nextSchedule(true, { ease: 2.5, interval: 20, due: todayStr(), count: 5, phase: 'review' }, 3, opts);
+  console.assert(capped.interval === 30, `maxInterval not applied: ${capped.interval}`);
+  console.assert(formatSteps(parseSteps('1m, 10 1h 1d')) === '1m 10m 1h 1d', 'parseSteps/formatSteps round trip');
+  
+  // Intraday steps: due is a timestamp `step` minutes out and only due once it elapses
+  const step = nextSchedule(true, null, 2, opts, now);
+  console.assert(new Date(step.due) - now === 10 * 60000, `learning step due mismatch: ${step.due}`);
+  console.assert(!isReviewDue(step, now) && isReviewDue(step, new Date(now.getTime() + 10 * 60000)), 'learning step due check');
+  const relearn = nextSchedule(false, { ease: 2.5, interval: 6, due: todayStr(), count: 4, phase: 'review' }, 0, opts, now);
+  console.assert(relearn.phase === 'relearning' && formatDueLabel(relearn.due, now) === '10m', `relearning step label: ${formatDueLabel(relearn.due, now)}`);
+  
+  // Fuzz: short intervals stay exact, longer ones land on the least-loaded day of the window
+  const w10 = fuzzWindow(10);
+  console.assert(fuzzWindow(2).min === 2 && fuzzWindow(2).max === 2, 'no fuzz below 2.5 days');
+  console.assert(w10.min === 8 && w10.max === 12, `fuzz window for 10 days: ${w10.min}-${w10.max}`);
+  const load = {};
+  for (let d = w10.min; d <= w10.max; d++) load[addDays(now.toISOString(), d)] = d === 11 ? 1 : 5;
+  console.assert(pickBalancedInterval(10, DEFAULT_DECK_OPTIONS, now, load) === 11, 'load balancer should pick the least-loaded day');
+  const reviewCard = { ease: 2.5, interval: 4, due: todayStr(), count: 5, phase: 'review' };
+  const balanced = scheduleReview(true, { ...reviewCard }, 2, 'sm2', DEFAULT_DECK_OPTIONS, now, { dueCounts: {} });
+  const range = simulateNextDueRange(reviewCard, 2, 'sm2', DEFAULT_DECK_OPTIONS, now);
+  console.assert(balanced.due >= range.min && balanced.due <= range.max, `balanced due outside preview range: ${balanced.due}`);
+}
+
+export function runFSRSPreviewTests() {
+  const cases = [
+    { state: null },
+    { state: { ease: 2.5, interval: 0, due: todayStr(), count: 0 } },
+    { state: { ease: 2.2, interval: 3, due: todayStr(), count: 4 } },
+    { state: { ease: 1.4, interval: 20, due: todayStr(), count: 12 } }
+  ];
+  cases.forEach((c, idx) => {
+    const intervals = [0, 1, 2, 3].map(g => simulateNextInterval(c.state, g, 'fsrs', DEFAULT_DECK_OPTIONS));
+    const copy = c.state ? { ...c.state } : null;
+    const direct = nextScheduleFSRS(true, copy, 2);
+    console.assert(intervals[2] === direct.interval, `FSRS preview mismatch in case ${idx}: ${intervals[2]} != ${direct.interval}`);
+    console.assert(intervals[0] === 0, `FSRS again should retry today in case ${idx}`);
+    console.assert(intervals[1] <= intervals[2] && intervals[2] <= intervals[3], `FSRS intervals not monotonic in case ${idx}: ${intervals}`);
+    console.assert(direct.stability > 0 && direct.fsrsDifficulty >= 1 && direct.fsrsDifficulty <= 10, `FSRS state out of range in case ${idx}`);
+  });
+  const migrated = migrateToFsrsState({ ease: 2.5, interval: 6, due: todayStr(), count: 3 });
+  console.assert(migrated.stability === 6, `migrateToFsrsState stability: ${migrated.stability}`);
+  console.assert(Math.abs(migrated.fsrsDifficulty - FSRS_DEFAULT_WEIGHTS[4]) < 1e-9, `migrateToFsrsState difficulty: ${migrated.fsrsDifficulty}`);
+}
+
+export function runReviewLogReplayTests() {
+  const t0 = new Date('2024-01-01T09:00:00.000Z');
+  const answers = [
+    { questionId: 1, grade: 2, correct: true, minutes: 0 },
+    { questionId: 1, grade: 2, correct: true, minutes: 10 },
+    { questionId: 2, grade: 0, correct: false, minutes: 12 },
+    { questionId: 1, grade: 1, correct: true, minutes: 60 * 24 * 2 },
+    { questionId: 2, grade: 3, correct: true, minutes: 60 * 24 * 2 }
+  ];
+  // Schedule live, logging each answer the way the session does
+  const live = {};
+  const log = answers.map((a, idx) => {
+    const now = new Date(t0.getTime() + a.minutes * 60000);
+    const before = snapshotReviewState(live[a.questionId]);
+    const next = scheduleReview(a.correct, before ? { ...before } : null, a.grade, 'fsrs', DEFAULT_DECK_OPTIONS, now);
+    next.correct = (before?.correct || 0) + (a.correct ? 1 : 0);
+    next.againCount = (before?.againCount || 0) + (a.grade === 0 ? 1 : 0);
+    live[a.questionId] = next;
+    return { id: idx + 1, questionId: a.questionId, ts: now.toISOString(), grade: a.grade, correct: a.correct, scheduler: 'fsrs', before, after: snapshotReviewState(next) };
+  });
+  const replayed = replayReviewLog([...log].reverse());
+  [1, 2].forEach(id => {
+    const want = snapshotReviewState(live[id]);
+    Object.keys(want).forEach(k => {
+      console.assert(replayed[id][k] === want[k], `replay mismatch for q${id}.${k}: ${replayed[id][k]} != ${want[k]}`);
+    });
+  });
+  // Answers scheduled with fuzz and load balancing rebuild to the due dates that were stored
+  ['sm2', 'fsrs'].forEach(algorithm => {
+    const balanced = {};
+    const days = [0, 1, 4, 14, 45, 120];
+    const balancedLog = days.map((day, idx) => {
+      const now = new Date(t0.getTime() + day * 86400000);
+      const before = snapshotReviewState(balanced[7]);
+      const next = scheduleReview(true, before ? { ...before } : null, 2, algorithm, DEFAULT_DECK_OPTIONS, now, { dueCounts: {}, random: () => 0.99 });
+      next.correct = (before?.correct || 0) + 1;
+      next.againCount = before?.againCount || 0;
+      balanced[7] = next;
+      return { id: idx + 1, questionId: 7, ts: now.toISOString(), grade: 2, correct: true, scheduler: algorithm, before, after: snapshotReviewState(next) };
+    });
+    const want = snapshotReviewState(balanced[7]);
+    const rebuilt = replayReviewLog(balancedLog);
+    console.assert(rebuilt[7].due === want.due && rebuilt[7].interval === want.interval,
+      `${algorithm} replay keeps the balanced due date: ${rebuilt[7].due} != ${want.due}`);
+  });
+  // Switching algorithm on replay re-derives the schedule from the same answers
+  const asSm2 = replayReviewLog(log, () => ({ scheduler: 'sm2' }));
+  console.assert(asSm2[1].scheduler === 'sm2' && asSm2[1].count === 3, 'replay with overridden scheduler');
+}
+
+export function runRescheduleTests() {
+  const now = new Date('2024-03-10T12:00:00.000Z');
+  const rows = [
+    { questionId: 1, ease: 2.5, interval: 10, due: '2024-03-01T00:00:00.000Z', phase: 'review', lastReview: '2024-02-20T00:00:00.000Z' },
+    { questionId: 2, ease: 1.3, interval: 2, due: '2024-03-09T00:00:00.000Z', phase: 'review', lastReview: '2024-03-07T00:00:00.000Z' },
+    { questionId: 3, ease: 2.0, interval: 30, due: '2024-03-10T00:00:00.000Z', phase: 'review', lastReview: '2024-02-09T00:00:00.000Z' },
+    { questionId: 4, ease: 2.5, interval: 0, due: '2024-03-10T11:00:00.000Z', phase: 'learning' },
+    { questionId: 5, ease: 2.5, interval: 5, due: '2024-03-20T00:00:00.000Z', phase: 'review' }
+  ];
+  const plan = planBacklogReschedule(rows, 2, 'retrievability', now);
+  console.assert(plan.length === 3, `backlog should hold the 3 overdue review cards: ${plan.length}`);
+  console.assert(plan[0].questionId === 1 && plan[0].due === now.toISOString(), 'least retrievable card stays due today');
+  console.assert(plan[2].due.slice(0, 10) === '2024-03-11', `backlog spread over 2 days: ${plan[2].due}`);
+  const byEase = planBacklogReschedule(rows, 3, 'ease', now);
+  console.assert(byEase.map(p => p.questionId).join() === '2,3,1', `ease priority order: ${byEase.map(p => p.questionId)}`);
+  const moved = setDueInDays(null, 3, now);
+  console.assert(moved.phase === 'review' && moved.interval === 3 && moved.due.slice(0, 10) === '2024-03-13', 'set due on a new card');
 }
@@ -1,10 +1,21 @@
 // ========== Statistics & Calendar Management ==========
-import { getProfile, setProfile, getQuestions, getReview, getDailyRollup } from './database.js';
+import { getProfile, setProfile, getQuestions, getReview, getReviewLog, getDailyRollup } from './database.js';
 
 export function todayStr() {
   return new Date().toISOString().slice(0, 10);
 }
 
+// Review rows (array or map) -> { 'YYYY-MM-DD': number of cards due that day }
+export function countDueByDay(review) {
+  const counts = {};
+  Object.values(review || {}).forEach(r => {
+    if (!r?.due) return;
+    const day = String(r.due).slice(0, 10);
+    counts[day] = (counts[day] || 0) + 1;
+  });
+  return counts;
+}
+
 export async function updateDailyStreak() {
   const profile = await getProfile();
   const today = todayStr();
@@ -49,8 +60,9 @@ export async function updateStats() {
   const tomorrow = (()=>{const t=new Date(today); t.setDate(t.getDate()+1); return t.toISOString().slice(0,10);})();
   const weekEnd = (()=>{const t=new Date(today); t.setDate(t.getDate()+7); return t;})();
   const vals = Object.values(review);
-  const dueToday = vals.filter(r=> r.due === today).length;
-  const dueTomorrow = vals.filter(r=> r.due === tomorrow).length;
+  const dueByDay = countDueByDay(review);
+  const dueToday = dueByDay[today] || 0;
+  const dueTomorrow = dueByDay[tomorrow] || 0;
   const dueWeek = vals.filter(r=> { const d=new Date(r.due); return d>new Date(today) && d<=weekEnd; }).length;
 
   // 학습 통계 - Enhanced with better visuals
@@ -149,7 +161,8 @@ export async function updateStats() {
   await generateReviewSchedule(review, questions);
 
   // Generate enhanced top 10 difficult problems
-  await generateDifficultProblems(review, questions);
+  const reviewLog = await getReviewLog();
+  await generateDifficultProblems(review, questions, reviewLog);
 }
 
 export async function generateAchievements(roll, profile, questions, review) {
@@ -242,7 +255,7 @@ export async function generateReviewSchedule(review, questions) {
     // Group by date for better organization
     const groupedByDate = {};
     upcoming.forEach(([id, r]) => {
-      const date = r.due;
+      const date = String(r.due).slice(0, 10);
       if (!groupedByDate[date]) groupedByDate[date] = [];
       groupedByDate[date].push([id, r]);
     });
@@ -314,15 +327,28 @@ export async function generateReviewSchedule(review, questions) {
   document.getElementById('scheduleContent').innerHTML = scheduleHtml;
 }
 
-export async function generateDifficultProblems(review, questions) {
+export async function generateDifficultProblems(review, questions, reviewLog = []) {
   // Enhanced Top 10 Difficult Problems
   const revArr = Object.entries(review).map(([id,r])=>({
-    id: Number(id), 
+    id: Number(r.questionId ?? id), 
     ease: r.ease ?? 2.5, 
     again: r.againCount||0,
     correct: r.correct || 0,
     total: r.count || 0
   }));
+
+  // Prefer attempt counts from the answer history when it covers a card
+  const history = {};
+  (reviewLog || []).forEach(entry => {
+    const h = history[entry.questionId] || (history[entry.questionId] = { again: 0, correct: 0, total: 0 });
+    h.total += 1;
+    if (entry.correct) h.correct += 1;
+    if (entry.grade === 0) h.again += 1;
+  });
+  revArr.forEach(item => {
+    const h = history[item.id];
+    if (h && h.total >= item.total) Object.assign(item, h);
+  });
   revArr.sort((a,b)=> (a.ease - b.ease) || (b.again - a.again));
   const hardest = revArr.slice(0,10);
 
@@ -1,5 +1,13 @@
 // ========== UI Handlers & Event Management ==========
 import { getDecks, getQuestion, updateQuestion, getNotes, getNote, addNote, updateNote, deleteNote as deleteNoteRow } from './database.js';
+import { parseNumericAnswer, parseTolerance } from './numeric-answer.js';
+import { hasCloze, clozeIndexes, clozeBlanks } from './cloze.js';
+import { parseOrderItems, validateOrderItems, describeOrder } from './ordering.js';
+import { parseOptionList, validateChoiceQuestion, describeCorrectOptions, formatOptionLines } from './multiple-choice.js';
+import { getSupportedLanguages, resolveLanguage } from './code-highlight.js';
+import { parsePairs, validatePairs, describePairs, formatPairLines } from './matching.js';
+import { enableImagePaste } from './attachments.js';
+import { STRICTNESS_LEVELS, STRICTNESS_TYPES, DEFAULT_STRICTNESS } from './scoring.js';
 
 // UI update functions are available globally from app.js
 // updateHeader, updateDeckSelects, updateDeckList, updateQuestionList, updateSettingsPanel, updateStats
@@ -157,6 +165,9 @@ export function bindEvents() {
     
     // Enter/Space: reveal answer or submit (only when not typing)
     if ((e.key === 'Enter' || e.key === ' ' || e.code === 'Space') && !e.shiftKey) {
+      // Answer controls (MCQ options, ORDER/MATCH buttons) handle their own keys in the quiz handler,
+      // and a focused result button (a grade, "내 답 인정") is activated by the browser
+      if (activeEl?.closest?.('#answerSection, #resultArea') && activeEl.tagName === 'BUTTON') return;
       if (isTyping) {
         // Allow normal behavior in inputs
         if (e.key === 'Enter' && activeEl.id === 'userAnswer') {
@@ -179,8 +190,10 @@ export function bindEvents() {
       // Check if in grading phase
       const resultVisible = !!document.querySelector('.grade-buttons');
       if (resultVisible) {
-        // Second press after result: grade as Good
-        if (typeof gradeAnswer === 'function') gradeAnswer(2);
+        // Second press after result: take the suggested grade (Good when there is none)
+        const suggested = document.querySelector('.grade-btn.suggested');
+        if (suggested) suggested.click();
+        else if (typeof gradeAnswer === 'function') gradeAnswer(2);
         return;
       }
       
@@ -432,6 +445,12 @@ export async function openEditQuestion(id) {
           <option value="OX" ${q.type==='OX'?'selected':''}>OX</option>
           <option value="SHORT" ${q.type==='SHORT'?'selected':''}>단답형</option>
           <option value="ESSAY" ${q.type==='ESSAY'||q.type==='KEYWORD'?'selected':''}>서술형</option>
+          <option value="NUMERIC" ${q.type==='NUMERIC'?'selected':''}>숫자형</option>
+          <option value="MCQ" ${q.type==='MCQ'?'selected':''}>객관식</option>
+          <option value="CLOZE" ${q.type==='CLOZE'?'selected':''}>빈칸</option>
+          <option value="ORDER" ${q.type==='ORDER'?'selected':''}>순서</option>
+          <option value="CODE" ${q.type==='CODE'?'selected':''}>코드</option>
+          <option value="MATCH" ${q.type==='MATCH'?'selected':''}>짝짓기</option>
         </select>
       </div>
       <div style="grid-column:1/-1">
@@ -451,6 +470,41 @@ export async function openEditQuestion(id) {
         <input type="text" id="editSynonyms" value="${(q.synonyms||[]).join(', ')}" />
         <div><input type="checkbox" id="editFuzzy" ${q.shortFuzzy!==false?'checked':''}/> 퍼지 허용</div>
       </div>
+      <div id="editNumericWrap" style="display:${q.type==='NUMERIC'?'block':'none'}">
+        <label style="color:var(--muted);font-size:14px">정답 (숫자, 단위, 범위)</label>
+        <input type="text" id="editNumericAnswer" value="${q.type==='NUMERIC'?escapeHtml(q.answer||''):''}" placeholder="예: 128 bit, 10-20 ms" />
+        <label style="color:var(--muted);font-size:14px;margin-top:8px">허용 오차 (예: 0.5, 5%, 2 ms)</label>
+        <input type="text" id="editTolerance" value="${escapeHtml(q.tolerance||'')}" />
+      </div>
+      <div id="editClozeWrap" style="display:${q.type==='CLOZE'?'block':'none'}">
+        <label style="color:var(--muted);font-size:14px">빈칸 번호 (문제의 {{cN::...}} 중 이 카드가 묻는 N)</label>
+        <input type="number" id="editClozeIndex" min="1" value="${q.clozeIndex||1}" />
+      </div>
+      <div id="editStrictWrap" style="display:${STRICTNESS_TYPES.includes(q.type)?'block':'none'}">
+        <label style="color:var(--muted);font-size:14px">채점 엄격도</label>
+        <select id="editStrictness">${Object.entries(STRICTNESS_LEVELS).map(([value, level]) => `<option value="${value}" ${(q.strictness || DEFAULT_STRICTNESS)===value?'selected':''}>${level.label}</option>`).join('')}</select>
+      </div>
+      <div id="editOrderWrap" style="display:${q.type==='ORDER'?'block':'none'}">
+        <label style="color:var(--muted);font-size:14px">항목 (한 줄에 하나, 올바른 순서대로)</label>
+        <textarea id="editOrderItems">${escapeHtml((q.items||[]).join('\n'))}</textarea>
+      </div>
+      <div id="editMatchWrap" style="display:${q.type==='MATCH'?'block':'none'}">
+        <label style="color:var(--muted);font-size:14px">짝 (한 줄에 하나, 용어 = 설명)</label>
+        <textarea id="editPairs">${escapeHtml(formatPairLines(q.pairs))}</textarea>
+      </div>
+      <div id="editCodeWrap" style="display:${q.type==='CODE'?'block':'none'};grid-column:1/-1">
+        <label style="color:var(--muted);font-size:14px">언어</label>
+        <select id="editLanguage">${[...getSupportedLanguages(), 'text'].map(l => `<option value="${l}" ${(resolveLanguage(q.language) || 'text')===l?'selected':''}>${l}</option>`).join('')}</select>
+        <label style="color:var(--muted);font-size:14px;margin-top:8px">코드</label>
+        <textarea id="editCode" class="code-input" spellcheck="false">${escapeHtml(q.code||'')}</textarea>
+        <label style="color:var(--muted);font-size:14px;margin-top:8px">예상 출력 (공백 무시)</label>
+        <textarea id="editExpectedOutput" class="code-input" spellcheck="false">${q.type==='CODE'?escapeHtml(q.answer||''):''}</textarea>
+      </div>
+      <div id="editMcqWrap" style="display:${q.type==='MCQ'?'block':'none'}">
+        <label style="color:var(--muted);font-size:14px">보기 (한 줄에 하나, 정답 앞에 *)</label>
+        <textarea id="editOptions">${escapeHtml(formatOptionLines(q))}</textarea>
+        <div><input type="checkbox" id="editMultiSelect" ${q.multiSelect?'checked':''}/> 복수 선택 (부분 점수)</div>
+      </div>
       <div id="editKeyWrap" style="display:${q.type==='ESSAY'||q.type==='KEYWORD'?'block':'none'}">
         <label style="color:var(--muted);font-size:14px">키워드 (쉼표, 항목 내 a|b 허용)</label>
         <input type="text" id="editKeywords" value="${(q.keywords||[]).join(', ')}" />
@@ -464,6 +518,8 @@ export async function openEditQuestion(id) {
     </div>
   `;
 
+  ['editPrompt', 'editExplain'].forEach(id => enableImagePaste(document.getElementById(id)));
+
   // Toggle sections on type change
   const typeEl = document.getElementById('editType');
   typeEl.addEventListener('change', () => {
@@ -471,6 +527,13 @@ export async function openEditQuestion(id) {
     document.getElementById('editAnswerWrap').style.display = (t==='OX') ? 'block' : 'none';
     document.getElementById('editSynWrap').style.display = (t==='SHORT') ? 'block' : 'none';
     document.getElementById('editKeyWrap').style.display = (t==='ESSAY') ? 'block' : 'none';
+    document.getElementById('editNumericWrap').style.display = (t==='NUMERIC') ? 'block' : 'none';
+    document.getElementById('editMcqWrap').style.display = (t==='MCQ') ? 'block' : 'none';
+    document.getElementById('editClozeWrap').style.display = (t==='CLOZE') ? 'block' : 'none';
+    document.getElementById('editOrderWrap').style.display = (t==='ORDER') ? 'block' : 'none';
+    document.getElementById('editCodeWrap').style.display = (t==='CODE') ? 'block' : 'none';
+    document.getElementById('editMatchWrap').style.display = (t==='MATCH') ? 'block' : 'none';
+    document.getElementById('editStrictWrap').style.display = STRICTNESS_TYPES.includes(t) ? 'block' : 'none';
   });
 
   const overlay = document.getElementById('editOverlay');
@@ -541,6 +604,37 @@ export async function saveEditQuestion(id) {
     const syn = (document.getElementById('editSynonyms').value || '').split(',').map(s=>s.trim()).filter(Boolean);
     updates.synonyms = syn;
     updates.shortFuzzy = !!document.getElementById('editFuzzy').checked;
+  } else if (updates.type === 'NUMERIC') {
+    updates.answer = (document.getElementById('editNumericAnswer').value || '').trim();
+    if (!parseNumericAnswer(updates.answer)) { showToast('숫자 정답을 입력하세요 (예: 128 bit, 10-20 ms)', 'warning'); return; }
+    updates.tolerance = (document.getElementById('editTolerance').value || '').trim();
+    if (!parseTolerance(updates.tolerance)) { showToast('허용 오차 형식이 올바르지 않습니다 (예: 0.5, 5%, 2 ms)', 'warning'); return; }
+  } else if (updates.type === 'MCQ') {
+    Object.assign(updates, parseOptionList((document.getElementById('editOptions').value || '').split('\n')));
+    updates.multiSelect = !!document.getElementById('editMultiSelect').checked;
+    const error = validateChoiceQuestion(updates);
+    if (error) { showToast(error, 'warning'); return; }
+    updates.answer = describeCorrectOptions(updates);
+  } else if (updates.type === 'ORDER') {
+    updates.items = parseOrderItems((document.getElementById('editOrderItems').value || '').split('\n'));
+    const error = validateOrderItems(updates.items);
+    if (error) { showToast(error, 'warning'); return; }
+    updates.answer = describeOrder(updates.items);
+  } else if (updates.type === 'MATCH') {
+    updates.pairs = parsePairs((document.getElementById('editPairs').value || '').split('\n'));
+    const error = validatePairs(updates.pairs);
+    if (error) { showToast(error, 'warning'); return; }
+    updates.answer = describePairs(updates.pairs);
+  } else if (updates.type === 'CODE') {
+    updates.code = (document.getElementById('editCode').value || '').replace(/\s+$/, '');
+    updates.language = document.getElementById('editLanguage').value;
+    updates.answer = (document.getElementById('editExpectedOutput').value || '').trim();
+    if (!updates.code || !updates.answer) { showToast('코드와 예상 출력을 입력하세요', 'warning'); return; }
+  } else if (updates.type === 'CLOZE') {
+    updates.clozeIndex = Number(document.getElementById('editClozeIndex').value);
+    if (!hasCloze(updates.prompt)) { showToast('빈칸을 {{c1::정답}} 형식으로 표시하세요', 'warning'); return; }
+    if (!clozeIndexes(updates.prompt).includes(updates.clozeIndex)) { showToast(`문제에 c${updates.clozeIndex} 빈칸이 없습니다`, 'warning'); return; }
+    updates.answer = clozeBlanks(updates.prompt, updates.clozeIndex).map(b => b.answer).join(', ');
   }
   if (updates.type === 'ESSAY') {
     const keys = (document.getElementById('editKeywords').value || '').split(',').map(s=>s.trim()).filter(Boolean);
@@ -549,6 +643,9 @@ export async function saveEditQuestion(id) {
     const thr = (document.getElementById('editKeyThr').value || '').trim();
     if (thr) updates.keywordThreshold = thr; else delete updates.keywordThreshold;
   }
+  if (STRICTNESS_TYPES.includes(updates.type)) {
+    updates.strictness = document.getElementById('editStrictness').value;
+  }
 
   try {
     console.log('Calling updateQuestion...');
@@ -7,6 +7,13 @@ import type {
   ShortQuestion,
   EssayQuestion,
   KeywordQuestion,
+  NumericQuestion,
+  MCQQuestion,
+  ClozeQuestion,
+  OrderQuestion,
+  CodeQuestion,
+  MatchQuestion,
+  MatchPair,
   QuestionType,
   UserPerformance,
   PerformanceRecord,
@@ -17,7 +24,9 @@ import type {
   Grade,
   DifficultyLevel,
   Deck,
-  UserProfile
+  UserProfile,
+  SchedulerId,
+  DeckOptions
 } from './quiz-models.js';
 
 // ========== Database Operations ==========
@@ -64,16 +73,28 @@ export declare function createQuestion<T extends QuestionType>(
     ? { answer: string; synonyms?: string[]; shortFuzzy?: boolean }
     : T extends 'ESSAY' | 'KEYWORD'
     ? { keywords: string[]; keywordThreshold?: string | number }
+    : T extends 'NUMERIC'
+    ? { answer: string; tolerance?: string | number }
+    : T extends 'MCQ'
+    ? { options: string[]; correctOptions: number[]; multiSelect?: boolean }
+    : T extends 'CLOZE'
+    ? { clozeIndex: number; shortFuzzy?: boolean }
+    : T extends 'ORDER'
+    ? { items: string[] }
+    : T extends 'CODE'
+    ? { code: string; language: string; answer: string }
+    : T extends 'MATCH'
+    ? { pairs: MatchPair[] }
     : never
 ): TypedQuestion;
 
 /**
- * Validate question data based on type
+ * Validate question data based on type (src/modules/question-schema.js, shared with the
+ * API server). Errors are keyed by field, e.g. { answer: 'OX 정답은 true 또는 false여야 합니다' }.
  */
 export declare function validateQuestion(question: Question): {
-  isValid: boolean;
-  errors: string[];
-  warnings?: string[];
+  valid: boolean;
+  errors: Partial<Record<keyof Question | 'question', string>>;
 };
 
 /**
@@ -88,6 +109,18 @@ export declare function isQuestionType<T extends QuestionType>(
   ? ShortQuestion 
   : T extends 'ESSAY' 
   ? EssayQuestion 
+  : T extends 'NUMERIC' 
+  ? NumericQuestion 
+  : T extends 'MCQ' 
+  ? MCQQuestion 
+  : T extends 'CLOZE' 
+  ? ClozeQuestion 
+  : T extends 'ORDER' 
+  ? OrderQuestion 
+  : T extends 'CODE' 
+  ? CodeQuestion 
+  : T extends 'MATCH' 
+  ? MatchQuestion 
   : KeywordQuestion;
 
 // ========== Answer Grading System ==========
@@ -185,9 +218,20 @@ export declare function getDueQuestions(
  */
 export declare function simulateNextDueDate(
   performance: UserPerformance,
-  grade: Grade
+  grade: Grade,
+  algorithm?: SchedulerId
 ): string;
 
+/**
+ * Earliest/latest due date for grade preview once fuzz is applied
+ */
+export declare function simulateNextDueRange(
+  performance: UserPerformance,
+  grade: Grade,
+  algorithm?: SchedulerId,
+  options?: DeckOptions
+): { min: string; max: string };
+
 // ========== Adaptive Difficulty System ==========
 
 /**
@@ -455,6 +499,12 @@ export type QuestionCreationData<T extends QuestionType> =
   : T extends 'SHORT' ? Omit<ShortQuestion, 'id'>
   : T extends 'ESSAY' ? Omit<EssayQuestion, 'id'>
   : T extends 'KEYWORD' ? Omit<KeywordQuestion, 'id'>
+  : T extends 'NUMERIC' ? Omit<NumericQuestion, 'id'>
+  : T extends 'MCQ' ? Omit<MCQQuestion, 'id'>
+  : T extends 'CLOZE' ? Omit<ClozeQuestion, 'id'>
+  : T extends 'ORDER' ? Omit<OrderQuestion, 'id'>
+  : T extends 'CODE' ? Omit<CodeQuestion, 'id'>
+  : T extends 'MATCH' ? Omit<MatchQuestion, 'id'>
   : never;
 
 /**
@@ -3,7 +3,14 @@
 /**
  * Question Types supported by the CS Study App
  */
-export type QuestionType = 'OX' | 'SHORT' | 'ESSAY' | 'KEYWORD';
+export type QuestionType = 'OX' | 'SHORT' | 'ESSAY' | 'KEYWORD' | 'NUMERIC' | 'MCQ' | 'CLOZE' | 'ORDER' | 'CODE' | 'MATCH';
+
+/**
+ * How strictly typed answers are compared: `strict` only ignores case and extra spaces,
+ * `normal` also folds Korean spacing, particles and loanword spellings and allows small
+ * (jamo-level) typos, `lenient` allows larger typos
+ */
+export type Strictness = 'strict' | 'normal' | 'lenient';
 
 /**
  * Difficulty levels for adaptive learning system
@@ -36,7 +43,7 @@ export interface Question {
   /** Deck ID this question belongs to */
   deck: number | string;
   
-  /** Type of question (OX, SHORT, ESSAY, KEYWORD) */
+  /** Type of question (OX, SHORT, ESSAY, KEYWORD, NUMERIC, MCQ, CLOZE, ORDER, CODE, MATCH) */
   type: QuestionType;
   
   /** The question text/prompt */
@@ -71,6 +78,36 @@ export interface Question {
   /** Whether fuzzy matching is enabled for SHORT questions */
   shortFuzzy?: boolean;
   
+  /** Answer comparison level for SHORT/CLOZE/KEYWORD/ESSAY questions (default 'normal') */
+  strictness?: Strictness;
+  
+  /** Absolute or relative ("5%") tolerance for NUMERIC questions */
+  tolerance?: string | number;
+  
+  /** Choices for MCQ questions */
+  options?: string[];
+  
+  /** 0-based indexes of the correct MCQ options */
+  correctOptions?: number[];
+  
+  /** MCQ "select all that apply" with partial credit */
+  multiSelect?: boolean;
+  
+  /** Cloze number ({{cN::...}}) a CLOZE card asks for */
+  clozeIndex?: number;
+  
+  /** Steps of an ORDER question, in the correct order */
+  items?: string[];
+  
+  /** Term/definition pairs of a MATCH question */
+  pairs?: MatchPair[];
+  
+  /** Snippet shown with a CODE question */
+  code?: string;
+  
+  /** Highlighting language of `code` (java, javascript, python, sql, ...) */
+  language?: string;
+  
   /** AI-generated flag */
   generated?: boolean;
 }
@@ -114,10 +151,88 @@ export interface KeywordQuestion extends Question {
   shortFuzzy?: never;
 }
 
+export interface NumericQuestion extends Question {
+  type: 'NUMERIC';
+  /** Number with optional unit, or a range: "128 bit", "1.5 ms", "10-20 ms" */
+  answer: string;
+  /** Absolute ("0.5", "2 ms") or relative ("5%") tolerance */
+  tolerance?: string | number;
+  keywords?: never;
+  synonyms?: never;
+  keywordThreshold?: never;
+  shortFuzzy?: never;
+}
+
+export interface MCQQuestion extends Question {
+  type: 'MCQ';
+  /** Correct option texts, kept in sync with `correctOptions` for display */
+  answer: string;
+  options: string[];
+  correctOptions: number[];
+  multiSelect?: boolean;
+  keywords?: never;
+  synonyms?: never;
+  keywordThreshold?: never;
+  shortFuzzy?: never;
+}
+
+export interface ClozeQuestion extends Question {
+  type: 'CLOZE';
+  /** Full source text with {{cN::answer|synonym::hint}} markup */
+  prompt: string;
+  clozeIndex: number;
+  /** Answers of this card's blanks, for display */
+  answer: string;
+  shortFuzzy?: boolean;
+  keywords?: never;
+  synonyms?: never;
+  keywordThreshold?: never;
+}
+
+export interface OrderQuestion extends Question {
+  type: 'ORDER';
+  items: string[];
+  /** Items joined with " → ", for display */
+  answer: string;
+  keywords?: never;
+  synonyms?: never;
+  keywordThreshold?: never;
+  shortFuzzy?: never;
+}
+
+export interface CodeQuestion extends Question {
+  type: 'CODE';
+  code: string;
+  language: string;
+  /** Expected output, compared ignoring whitespace */
+  answer: string;
+  /** Other accepted outputs */
+  synonyms?: string[];
+  keywords?: never;
+  keywordThreshold?: never;
+  shortFuzzy?: never;
+}
+
+export interface MatchPair {
+  term: string;
+  definition: string;
+}
+
+export interface MatchQuestion extends Question {
+  type: 'MATCH';
+  pairs: MatchPair[];
+  /** Pairs joined as "term → definition", for display */
+  answer: string;
+  keywords?: never;
+  synonyms?: never;
+  keywordThreshold?: never;
+  shortFuzzy?: never;
+}
+
 /**
  * Union type for type-safe question handling
  */
-export type TypedQuestion = OXQuestion | ShortQuestion | EssayQuestion | KeywordQuestion;
+export type TypedQuestion = OXQuestion | ShortQuestion | EssayQuestion | KeywordQuestion | NumericQuestion | MCQQuestion | ClozeQuestion | OrderQuestion | CodeQuestion | MatchQuestion;
 
 /**
  * User performance data for spaced repetition
@@ -135,7 +250,7 @@ export interface UserPerformance {
   /** Current interval in days */
   interval: number;
   
-  /** Next due date (ISO string) */
+  /** Next due timestamp (ISO datetime; legacy rows may hold a date-only string) */
   due: string;
   
   /** Total number of times this question has been reviewed */
@@ -169,6 +284,176 @@ export interface UserPerformance {
   
   /** Recent performance history for trend analysis */
   recentPerformance?: PerformanceRecord[];
+  
+  // Scheduler fields
+  
+  /** Algorithm that produced the current schedule */
+  scheduler?: SchedulerId;
+  
+  /** FSRS memory stability in days */
+  stability?: number | null;
+  
+  /** FSRS difficulty (1-10), separate from the adaptive difficulty level */
+  fsrsDifficulty?: number | null;
+  
+  /** Retrievability at the time of the last review (0-1) */
+  retrievability?: number | null;
+  
+  /** Timestamp of the last review (ISO datetime) */
+  lastReview?: string | null;
+  
+  /** Scheduling phase */
+  phase?: 'learning' | 'review' | 'relearning' | null;
+  
+  /** Index into the current (re)learning steps */
+  step?: number;
+}
+
+/**
+ * Grader that produced an answer's score
+ */
+export type GraderId = 'local' | 'cloud' | 'fallback';
+
+/**
+ * Scheduling fields captured before/after an answer
+ */
+export type ReviewStateSnapshot = Pick<UserPerformance,
+  'ease' | 'interval' | 'due' | 'count' | 'phase' | 'step' | 'scheduler' |
+  'stability' | 'fsrsDifficulty' | 'retrievability' | 'lastReview' |
+  'correct' | 'againCount'>;
+
+/**
+ * One answer in the append-only review log
+ */
+export interface ReviewLogEntry {
+  /** Unique identifier */
+  id?: number;
+  
+  /** Question that was answered */
+  questionId: number;
+  
+  /** Deck the question belonged to when answered */
+  deck: number;
+  
+  /** Answer timestamp (ISO datetime) */
+  ts: string;
+  
+  /** Grade given (0=Again, 1=Hard, 2=Good, 3=Easy) */
+  grade: 0 | 1 | 2 | 3;
+  
+  /** Whether the answer was graded correct */
+  correct: boolean;
+  
+  /** Time from showing the question to submitting, in milliseconds */
+  elapsedMs: number | null;
+  
+  /** The user's answer text */
+  answer: string;
+  
+  /** Grader used */
+  grader: GraderId;
+  
+  /** Grader score (0-1) */
+  score: number | null;
+  
+  /** Question type when answered */
+  type?: QuestionType;
+  
+  /** Matcher stage that accepted the answer, if any */
+  matchedBy?: string | null;
+  
+  /** Grade the grader suggested; differs from `grade` when the user overrode it */
+  suggestedGrade?: 0 | 1 | 2 | 3 | null;
+  
+  /** Algorithm that scheduled this answer */
+  scheduler: SchedulerId;
+  
+  /** Scheduling state before the answer (null for a new card) */
+  before: Partial<ReviewStateSnapshot> | null;
+  
+  /** Scheduling state after the answer */
+  after: Partial<ReviewStateSnapshot>;
+}
+
+/**
+ * An answer accepted as a synonym from the result screen ("accept my answer")
+ */
+export interface LearnedSynonym {
+  id?: number;
+  /** 'question' adds to the question's own synonyms; 'deck'/'global' apply to every question with the same answer */
+  scope: 'question' | 'deck' | 'global';
+  /** Question the answer was accepted on */
+  questionId: number;
+  /** Deck of that question (limits 'deck' scope) */
+  deck: number;
+  /** Correct answer the synonym belongs to */
+  answer: string;
+  /** The accepted answer */
+  synonym: string;
+  /** ISO datetime */
+  created: string;
+}
+
+/**
+ * Available spaced repetition algorithms
+ */
+export type SchedulerId = 'sm2' | 'fsrs';
+
+/**
+ * Per-deck scheduling preset
+ */
+export interface DeckOptions {
+  /** Learning steps in minutes before a new card graduates */
+  learningSteps: number[];
+  
+  /** Relearning steps in minutes after a lapse */
+  relearningSteps: number[];
+  
+  /** First review interval after graduating (days) */
+  graduatingInterval: number;
+  
+  /** Interval when a learning card is answered Easy (days) */
+  easyInterval: number;
+  
+  /** Extra multiplier applied to Easy review intervals */
+  easyBonus: number;
+  
+  /** Upper bound for any interval (days) */
+  maxInterval: number;
+  
+  /** New cards introduced per day */
+  newCardsPerDay: number;
+  
+  /** Desired recall probability (FSRS only) */
+  targetRetention: number;
+  
+  /** Spread review intervals over a fuzz window, preferring the least-loaded day */
+  fuzz: boolean;
+  
+  /** Which `group:*` siblings of an answered card are postponed to tomorrow */
+  burySiblings: 'none' | 'new' | 'review';
+  
+  /** SM-2 ease deltas and interval multipliers (fitted by the optimizer) */
+  sm2Params?: Partial<Sm2Params>;
+  
+  /** FSRS weights (17 values, fitted by the optimizer) */
+  fsrsWeights?: number[];
+}
+
+/**
+ * Tunable SM-2 constants
+ */
+export interface Sm2Params {
+  againEaseDelta: number;
+  hardEaseDelta: number;
+  goodEaseDelta: number;
+  easyEaseDelta: number;
+  
+  /** Interval multiplier for Hard reviews */
+  hardMultiplier: number;
+  
+  /** Scales the Good/Easy ease factor */
+  intervalModifier: number;
 }
 
 /**
@@ -247,6 +532,35 @@ export interface GradingResult {
   
   /** Grade suggestion based on performance */
   suggestedGrade?: Grade;
+
+  /** Name of the matcher stage that accepted the answer (null when none did) */
+  matchedBy?: string | null;
+
+  /** Per-stage results of the matcher pipeline, in evaluation order */
+  trace?: MatchTrace[];
+}
+
+/**
+ * One stage of the answer-matcher pipeline
+ */
+export interface MatchTrace {
+  /** Matcher name (exact, normalized, synonym, numeric, regex, fuzzy, keyword-group, ...) */
+  stage: string;
+
+  /** Whether this stage accepted the answer */
+  matched: boolean;
+
+  /** Stage score (0-1) */
+  score: number;
+
+  /** Accepted answer the stage compared against */
+  target?: string;
+
+  hits?: string[];
+  misses?: string[];
+
+  /** Free-form note, e.g. the similarity or the regex that failed */
+  detail?: string;
 }
 
 /**
@@ -316,6 +630,12 @@ export interface Deck {
   /** Deck name */
   name: string;
   
+  /** Spaced repetition algorithm used for this deck */
+  scheduler?: SchedulerId;
+  
+  /** Per-deck scheduling preset (missing fields fall back to defaults) */
+  options?: Partial<DeckOptions>;
+  
   /** Creation timestamp */
   created: number;
   
@@ -68,6 +68,47 @@ export function getBackendInterviewSampleData() {
       explain: 'TCP handshake는 연결 설정과 해제를 위한 프로토콜입니다.',
       created: new Date()
     },
+    {
+      type: 'ORDER',
+      deck: 'network',
+      prompt: '크롬에서 도메인의 IP를 찾는 DNS 룩업 순서대로 정렬하세요.',
+      items: ['브라우저 DNS 캐시', 'hosts 파일', 'OS DNS 캐시', '루트 도메인 서버', 'TLD 서버', '권한 있는 네임 서버'],
+      answer: '브라우저 DNS 캐시 → hosts 파일 → OS DNS 캐시 → 루트 도메인 서버 → TLD 서버 → 권한 있는 네임 서버',
+      explain: '로컬 캐시와 hosts 파일에서 먼저 찾고, 없으면 루트 도메인 서버부터 서브도메인 서버 순으로 질의합니다.',
+      created: new Date()
+    },
+    {
+      type: 'ORDER',
+      deck: 'network',
+      prompt: 'OSI 7계층을 아래(1계층)부터 순서대로 정렬하세요.',
+      items: ['물리', '데이터 링크', '네트워크', '전송', '세션', '표현', '응용'],
+      answer: '물리 → 데이터 링크 → 네트워크 → 전송 → 세션 → 표현 → 응용',
+      explain: '물리 계층이 1계층, 응용 계층이 7계층입니다.',
+      created: new Date()
+    },
+    {
+      type: 'MATCH',
+      deck: 'database',
+      prompt: '트랜잭션 격리 수준과, 그 수준에서 처음으로 막히는 이상 현상을 짝지으세요.',
+      pairs: [
+        { term: 'READ COMMITTED', definition: 'Dirty Read' },
+        { term: 'REPEATABLE READ', definition: 'Non-Repeatable Read' },
+        { term: 'SERIALIZABLE', definition: 'Phantom Read' }
+      ],
+      answer: 'READ COMMITTED → Dirty Read, REPEATABLE READ → Non-Repeatable Read, SERIALIZABLE → Phantom Read',
+      explain: '격리 수준이 높아질수록 Dirty Read, Non-Repeatable Read, Phantom Read 순서로 막힙니다. READ UNCOMMITTED는 셋 다 허용합니다.',
+      created: new Date()
+    },
+    {
+      type: 'CODE',
+      deck: 'java',
+      prompt: '다음 코드의 출력은?',
+      language: 'java',
+      code: 'String a = "hello";\nString b = "hello";\nString c = new String("hello");\nSystem.out.println(a == b);\nSystem.out.println(a == c);\nSystem.out.println(a.equals(c));',
+      answer: 'true\nfalse\ntrue',
+      explain: '문자열 리터럴은 String Constant Pool에서 같은 객체를 공유하지만 `new String()`은 힙에 새 객체를 만듭니다.\n```java\na == c        // 참조 비교: false\na.equals(c)   // 값 비교: true\n```',
+      created: new Date()
+    },
     {
       type: 'ESSAY',
       deck: 'network',
@@ -2,9 +2,10 @@
 // Provides automatic backup/restore for container environments
 
 import { 
-  getProfile, getDecks, getQuestions, getReview, getNotes, getDailyRollup,
-  setProfile, addDeck, addQuestion, addReview, addNote, setDailyRollup
+  getProfile, getDecks, getQuestions, getReview, getReviewLog, getNotes, getDailyRollup, getLearnedSynonyms,
+  setProfile, addDeck, addQuestion, addReview, addReviewLog, addNote, setDailyRollup, putLearnedSynonym
 } from '../modules/database.js';
+import { exportAttachments, importAttachments, rewriteRecordAttachmentRefs } from '../modules/attachments.js';
 
 const BACKUP_KEY = 'cs_study_backup';
 const BACKUP_VERSION = '1.0';
@@ -19,8 +20,13 @@ export async function exportAllData() {
       decks: await getDecks(),
       questions: await getQuestions(),
       reviews: await getReview(),
+      // Answer history, so the schedule can be rebuilt after a restore
+      reviewLog: await getReviewLog(),
       notes: await getNotes(),
-      dailyRollup: await getDailyRollup()
+      dailyRollup: await getDailyRollup(),
+      // Image Blobs as base64 so the backup stays plain JSON
+      attachments: await exportAttachments(),
+      learnedSynonyms: await getLearnedSynonyms()
     };
     
     console.log('Data exported successfully:', Object.keys(data));
@@ -46,6 +52,13 @@ export async function importAllData(data) {
       await setProfile(data.profile);
     }
 
+    // Import attachments first: they get new ids, and the questions and notes below are
+    // rewritten to reference them
+    let attachmentIds = new Map();
+    if (data.attachments && Array.isArray(data.attachments)) {
+      attachmentIds = await importAttachments(data.attachments);
+    }
+
     // Import decks
     if (data.decks && Array.isArray(data.decks)) {
       for (const deck of data.decks) {
@@ -56,7 +69,7 @@ export async function importAllData(data) {
     // Import questions
     if (data.questions && Array.isArray(data.questions)) {
       for (const question of data.questions) {
-        await addQuestion(question);
+        await addQuestion(rewriteRecordAttachmentRefs(question, attachmentIds));
       }
     }
 
@@ -67,10 +80,27 @@ export async function importAllData(data) {
       }
     }
 
+    // Import the review log. Entries get new ids (the device may have its own log) and an
+    // answer already in the log (same question and time) is not added twice.
+    if (data.reviewLog && Array.isArray(data.reviewLog)) {
+      const logged = new Set((await getReviewLog()).map(entry => `${entry.questionId}|${entry.ts}`));
+      for (const { id, ...entry } of data.reviewLog) {
+        if (logged.has(`${entry.questionId}|${entry.ts}`)) continue;
+        await addReviewLog(entry);
+      }
+    }
+
     // Import notes
     if (data.notes && Array.isArray(data.notes)) {
       for (const note of data.notes) {
-        await addNote(note);
+        await addNote(rewriteRecordAttachmentRefs(note, attachmentIds));
+      }
+    }
+
+    // Import learned synonyms
+    if (data.learnedSynonyms && Array.isArray(data.learnedSynonyms)) {
+      for (const entry of data.learnedSynonyms) {
+        await putLearnedSynonym(entry);
       }
     }
 
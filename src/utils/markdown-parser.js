@@ -1,7 +1,10 @@
 // Markdown Parser for Backend Interview Questions
 // Converts markdown formatted Q&A to question objects
+import { validateQuestion } from '../modules/question-schema.js';
 
-export function parseBackendInterviewMarkdown(markdownText) {
+// `keepUncategorized` keeps questions that come before any ### heading (with an empty deck and
+// category) so an importer can report them instead of losing them
+export function parseBackendInterviewMarkdown(markdownText, { keepUncategorized = false } = {}) {
   console.log('Starting markdown parsing...');
   const questions = [];
   let currentCategory = '';
@@ -30,7 +33,7 @@ export function parseBackendInterviewMarkdown(markdownText) {
     // Check for question details blocks
     if (line.includes('<details>')) {
       const questionData = parseDetailsBlock(lines, i);
-      if (questionData && questionData.prompt && questionData.answer && currentCategoryId) {
+      if (questionData && questionData.prompt && questionData.answer && (currentCategoryId || keepUncategorized)) {
         questions.push({
           ...questionData,
           deck: currentCategoryId,
@@ -108,6 +111,8 @@ function parseDetailsBlock(lines, startIndex) {
   let prompt = '';
   let answer = '';
   let inAnswer = false;
+  let storedKeywords = null;
+  let storedThreshold = '';
   
   // Find the summary (question prompt)
   while (i < lines.length && !lines[i].includes('<summary>')) {
@@ -129,6 +134,18 @@ function parseDetailsBlock(lines, startIndex) {
   while (i < lines.length && !lines[i].includes('</details>')) {
     const line = lines[i].trim();
     
+    // Keyword comments written by formatMarkdownQuestion
+    const meta = line.match(/^<!--\s*(keywords|keywordThreshold):\s*(.*?)\s*-->$/);
+    if (meta) {
+      if (meta[1] === 'keywords') {
+        try { storedKeywords = JSON.parse(meta[2]).filter(k => typeof k === 'string' && k.trim()); } catch (_) {}
+      } else {
+        storedThreshold = meta[2];
+      }
+      i++;
+      continue;
+    }
+    
     if (line.includes('<p>') || inAnswer) {
       inAnswer = true;
       
@@ -164,17 +181,24 @@ function parseDetailsBlock(lines, startIndex) {
   console.log(`Extracted answer length: ${answer.length} characters`);
   
   if (prompt && answer) {
-    const keywords = extractKeywords(answer);
-    const questionData = {
-      type: 'ESSAY', // Descriptive questions are essay type
+    const keywords = storedKeywords || extractKeywords(answer);
+    // Descriptive questions are essay type; ESSAY needs keywords, so answers without any become SHORT
+    const questionData = keywords.length ? {
+      type: 'ESSAY',
       prompt: prompt,
       answer: answer.trim(),
       keywords: keywords,
-      keywordThreshold: Math.max(2, Math.min(4, Math.ceil(keywords.length * 0.5))), // 50% of keywords, min 2, max 4
+      keywordThreshold: storedThreshold || Math.max(2, Math.min(4, Math.ceil(keywords.length * 0.5))), // 50% of keywords, min 2, max 4
       explain: answer.trim(), // Full answer as explanation
       endIndex: i + 1
+    } : {
+      type: 'SHORT',
+      prompt: prompt,
+      answer: answer.trim(),
+      explain: answer.trim(),
+      endIndex: i + 1
     };
-    console.log(`Successfully parsed question with ${questionData.keywords.length} keywords`);
+    console.log(`Successfully parsed question with ${keywords.length} keywords`);
     return questionData;
   }
   
@@ -232,6 +256,25 @@ export function generateDecksFromQuestions(questions) {
   return Array.from(deckMap.values());
 }
 
+// Writers for the same <details>/<summary> format, so parseBackendInterviewMarkdown reads
+// an exported deck back. Prompt, answer and keywords survive: imported questions become ESSAY
+// when they have keywords and SHORT otherwise.
+export function formatMarkdownCategory(name) {
+  return `### ${String(name ?? '').replace(/\s+/g, ' ').trim()}\n\n`;
+}
+
+export function formatMarkdownQuestion(q) {
+  // The parser reads the prompt from the <summary> line, so it has to stay on one line
+  const prompt = String(q.prompt ?? '').replace(/\s+/g, ' ').trim();
+  const answer = String(q.answer || q.explain || '').trim();
+  const keywords = Array.isArray(q.keywords) ? q.keywords.filter(k => typeof k === 'string' && k.trim()) : [];
+  // The parser reads these comments instead of guessing keywords from the answer
+  const meta = keywords.length
+    ? `  <!-- keywords: ${JSON.stringify(keywords)} -->\n${q.keywordThreshold ? `  <!-- keywordThreshold: ${String(q.keywordThreshold).trim()} -->\n` : ''}`
+    : '';
+  return `<details>\n  <summary>${prompt}</summary>\n${meta}  </br>\n  <p>${answer}</p>\n</details>\n\n`;
+}
+
 // Sample function to test parsing
 export function testMarkdownParsing() {
   const sampleMarkdown = `### 네트워크
@@ -244,4 +287,24 @@ export function testMarkdownParsing() {
 </details>`;
   
   return parseBackendInterviewMarkdown(sampleMarkdown);
-}
\ No newline at end of file
+}
+
+// ========== Tests (pure functions) ==========
+export function runMarkdownParserTests() {
+  const questions = [
+    { type: 'ESSAY', prompt: 'TCP와 UDP의 차이점은?', answer: 'TCP는 연결 지향, UDP는 비연결', keywords: ['TCP', 'UDP', '연결 지향'], keywordThreshold: '2/3' },
+    { type: 'SHORT', prompt: '자바의\n가비지 컬렉터가 하는 일은?', answer: '사용하지 않는 객체의 메모리를 회수합니다' },
+    { type: 'ESSAY', prompt: '정규화란?', answer: '중복을 줄이도록\n테이블을 나누는 것', keywords: [] }
+  ];
+  const exported = formatMarkdownCategory('데이터 베이스') + questions.map(formatMarkdownQuestion).join('');
+  const back = parseBackendInterviewMarkdown(exported);
+  console.assert(back.length === questions.length && back.every(q => q.category === '데이터 베이스'), 'markdown round trip keeps every question');
+  console.assert(back.every(q => validateQuestion(q).valid), 'markdown round trip has no invalid questions');
+  console.assert(back[0].type === 'ESSAY' && back[0].keywords.join() === 'TCP,UDP,연결 지향' && back[0].keywordThreshold === '2/3', 'keywords and threshold survive');
+  console.assert(back[0].answer === questions[0].answer && back[1].prompt === '자바의 가비지 컬렉터가 하는 일은?', 'answer and one-line prompt');
+  console.assert(back[2].type === 'SHORT' && back[2].answer === questions[2].answer, 'answers without keywords become SHORT');
+  const loose = '<details>\n  <summary>제목 없는 문제</summary>\n  <p>답</p>\n</details>\n';
+  console.assert(parseBackendInterviewMarkdown(loose).length === 0, 'questions before any heading are skipped by default');
+  const kept = parseBackendInterviewMarkdown(loose, { keepUncategorized: true });
+  console.assert(kept.length === 1 && kept[0].category === '' && kept[0].type === 'SHORT', 'keepUncategorized keeps them without a deck');
+}
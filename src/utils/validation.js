@@ -1,4 +1,5 @@
 // ========== Input Validation Utilities ==========
+import { validateQuestion } from '../modules/question-schema.js';
 
 export function validateEmail(email) {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -48,32 +49,12 @@ export function sanitizeInput(input) {
     .replace(/on\w+\s*=/gi, '');
 }
 
+// The rules live in the shared question schema (also enforced by the API server)
 export function validateQuestionData(data) {
-  const errors = [];
-  
-  if (!validateRequired(data.prompt)) {
-    errors.push('문제 내용이 필요합니다');
-  }
-  
-  if (!validateRequired(data.answer)) {
-    errors.push('정답이 필요합니다');
-  }
-  
-  if (data.prompt && !validateMaxLength(data.prompt, 1000)) {
-    errors.push('문제 내용은 1000자를 초과할 수 없습니다');
-  }
-  
-  if (data.answer && !validateMaxLength(data.answer, 500)) {
-    errors.push('정답은 500자를 초과할 수 없습니다');
-  }
-  
-  if (data.explain && !validateMaxLength(data.explain, 1000)) {
-    errors.push('설명은 1000자를 초과할 수 없습니다');
-  }
-  
+  const { valid, errors } = validateQuestion(data);
   return {
-    isValid: errors.length === 0,
-    errors
+    isValid: valid,
+    errors: Object.values(errors)
   };
 }
 
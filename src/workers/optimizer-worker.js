@@ -0,0 +1,19 @@
+// ========== Scheduler Optimizer Worker ==========
+// Runs the parameter fit off the main thread.
+// In:  { log, algorithm, options }
+// Out: { type: 'progress', iteration, maxIterations, logLoss } | { type: 'done', result } | { type: 'error', message }
+import { optimizeParameters } from '../modules/scheduler-optimizer.js';
+
+self.onmessage = (event) => {
+  const { log, algorithm, options } = event.data || {};
+  try {
+    const result = optimizeParameters(log || [], {
+      algorithm,
+      options,
+      onProgress: (progress) => self.postMessage({ type: 'progress', ...progress })
+    });
+    self.postMessage({ type: 'done', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};